@@ -41,6 +41,14 @@ CREATE TABLE Users (
     RoleID INT NOT NULL COMMENT 'Foreign key linking to the Roles table',
     Status ENUM('active', 'inactive', 'suspended') NOT NULL DEFAULT 'active' COMMENT 'User account status',
     LastLogin TIMESTAMP NULL COMMENT 'Timestamp of the last login',
+    EmailVerifiedAt DATETIME NULL COMMENT 'When the email address was verified (NULL until verified)',
+    FailedLoginAttempts INT NOT NULL DEFAULT 0 COMMENT 'Consecutive failed logins since the last success or lockout',
+    LockedUntil DATETIME NULL COMMENT 'Login is refused until this time after too many failures (NULL if not locked)',
+    PasswordResetRequired BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Set by an administrator; login is refused until the password is reset',
+    TwoFactorSecret VARCHAR(64) NULL COMMENT 'Base32 TOTP shared secret (NULL if 2FA is not enrolled)',
+    TwoFactorEnabledAt DATETIME NULL COMMENT 'When TOTP two-factor authentication was enabled',
+    TwoFactorLastUsedStep BIGINT NULL COMMENT 'Time step of the last accepted TOTP code (prevents code replay)',
+    AnonymizedAt DATETIME NULL COMMENT 'When personal data was erased on request (NULL for normal accounts)',
     CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Timestamp of user creation',
     UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Timestamp of last update',
     FOREIGN KEY (RoleID) REFERENCES Roles(RoleID) ON DELETE RESTRICT ON UPDATE CASCADE
@@ -60,7 +68,7 @@ CREATE TABLE Venues (
     ContactEmail VARCHAR(100) NULL COMMENT 'Email of the venue contact',
     ContactPhone VARCHAR(20) NULL COMMENT 'Phone number of the venue contact',
     VenueType ENUM('Auditorium', 'Hall', 'Lab', 'Outdoor Space', 'Classroom', 'Other') NOT NULL COMMENT 'Type classification of the venue',
-    Status ENUM('Available', 'Under Maintenance', 'Unavailable') NOT NULL DEFAULT 'Available' COMMENT 'Current status of the venue',
+    Status ENUM('Available', 'Under Maintenance', 'Unavailable') NOT NULL DEFAULT 'Available' COMMENT 'Indefinite status of the venue; dated closures go in VenueMaintenanceWindows',
     Equipment TEXT NULL COMMENT 'List of available equipment',
     Restrictions TEXT NULL COMMENT 'Any restrictions for using the venue',
     CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -159,6 +167,7 @@ CREATE TABLE Events (
     Name VARCHAR(150) NOT NULL COMMENT 'Name of the event',
     Date DATE NOT NULL COMMENT 'Date the event takes place',
     Time TIME NOT NULL COMMENT 'Time the event starts',
+    DurationMinutes INT NOT NULL DEFAULT 60 CHECK (DurationMinutes > 0) COMMENT 'How long the event occupies its venue; used to detect double bookings',
     Reg_Fee DECIMAL(10, 2) NOT NULL DEFAULT 0.00 CHECK (Reg_Fee >= 0) COMMENT 'Registration fee (0 for free events)',
     Max_Participants INT NULL CHECK (Max_Participants IS NULL OR Max_Participants > 0) COMMENT 'Maximum number of participants allowed (NULL for unlimited)',
     Rules TEXT NULL COMMENT 'Specific rules for the event',
@@ -168,13 +177,17 @@ CREATE TABLE Events (
     CategoryID INT NOT NULL COMMENT 'Category the event belongs to (FK to EventCategories)',
     EventType ENUM('Individual', 'Team', 'Both') NOT NULL DEFAULT 'Individual' COMMENT 'Specifies if participation is individual, team-based, or both',
     RegistrationDeadline DATETIME NULL COMMENT 'Timestamp after which registration is closed (NULL if no deadline)',
-    Status ENUM('Draft', 'Published', 'Ongoing', 'Completed', 'Cancelled') NOT NULL DEFAULT 'Draft' COMMENT 'Current status of the event lifecycle',
+    Status ENUM('Draft', 'Published', 'Ongoing', 'Completed', 'Cancelled') NOT NULL DEFAULT 'Draft' COMMENT 'Current status of the event lifecycle (changed only through legal transitions, see EventStatusHistory)',
+    ScoresFrozenAt DATETIME NULL COMMENT 'Set when the event is completed; scores can no longer be added, changed or removed',
+    TransferRequiresApproval BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Whether the organizer must approve registration transfers after the recipient accepts',
+    ClonedFromEventID INT NULL COMMENT 'Event this one was duplicated from, e.g. the same competition in the previous edition (FK to Events)',
     CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     UNIQUE KEY unique_event_venue_time (VenueID, Date, Time),
     FOREIGN KEY (OrganizerID) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE,
     FOREIGN KEY (VenueID) REFERENCES Venues(VenueID) ON DELETE SET NULL ON UPDATE CASCADE,
-    FOREIGN KEY (CategoryID) REFERENCES EventCategories(CategoryID) ON DELETE RESTRICT ON UPDATE CASCADE
+    FOREIGN KEY (CategoryID) REFERENCES EventCategories(CategoryID) ON DELETE RESTRICT ON UPDATE CASCADE,
+    FOREIGN KEY (ClonedFromEventID) REFERENCES Events(EventID) ON DELETE SET NULL ON UPDATE CASCADE
 ) COMMENT 'Stores details for all conventions events like competitions, workshops, etc.';
 
 CREATE TABLE Teams (
@@ -212,11 +225,18 @@ CREATE TABLE Registrations (
     Status ENUM('pending', 'confirmed', 'cancelled', 'waitlisted', 'checked_in') NOT NULL DEFAULT 'pending' COMMENT 'Status of the registration',
     PaymentStatus ENUM('pending', 'paid', 'failed', 'refunded', 'not_required') NOT NULL DEFAULT 'pending' COMMENT 'Status of the payment for this registration',
     SpecialRequirements TEXT NULL COMMENT 'Any special needs or requests from the participant',
+    WaitlistedAt DATETIME NULL COMMENT 'When the registration joined the waitlist; orders the queue',
+    PaymentDueAt DATETIME NULL COMMENT 'Deadline to pay after promotion from the waitlist, after which the place moves on',
+    CancelledAt DATETIME NULL COMMENT 'When the participant cancelled',
+    CancellationReason TEXT NULL COMMENT 'Reason given by the participant when cancelling',
+    CheckedInAt DATETIME NULL COMMENT 'When the QR ticket was scanned at the event',
+    CheckedInBy INT NULL COMMENT 'Staff member who checked the participant in (FK to Users)',
     UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     UNIQUE KEY unique_user_event_registration (UserID, EventID),
     FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE,
     FOREIGN KEY (EventID) REFERENCES Events(EventID) ON DELETE CASCADE ON UPDATE CASCADE,
-    FOREIGN KEY (TeamID) REFERENCES Teams(TeamID) ON DELETE SET NULL ON UPDATE CASCADE
+    FOREIGN KEY (TeamID) REFERENCES Teams(TeamID) ON DELETE SET NULL ON UPDATE CASCADE,
+    FOREIGN KEY (CheckedInBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
 ) COMMENT 'Tracks participant registrations for specific events.';
 
 -- 6. Payments (must be after all referenced tables)
@@ -226,17 +246,19 @@ CREATE TABLE Payments (
     Amount DECIMAL(12, 2) NOT NULL CHECK (Amount > 0) COMMENT 'Amount of the payment',
     PaymentDate TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Timestamp when payment was recorded/processed',
     PaymentMethod ENUM('credit_card', 'debit_card', 'bank_transfer', 'cash', 'check', 'online_gateway', 'other') NOT NULL COMMENT 'Method used for payment',
-    Status ENUM('pending', 'completed', 'failed', 'refunded') NOT NULL DEFAULT 'pending' COMMENT 'Status of the payment transaction',
+    Status ENUM('pending', 'completed', 'failed', 'refunded', 'cancelled') NOT NULL DEFAULT 'pending' COMMENT 'Status of the payment transaction (cancelled when its event is cancelled before payment)',
     TransactionID VARCHAR(255) NULL UNIQUE COMMENT 'Unique ID from payment gateway or bank (if applicable)',
     Description TEXT NULL COMMENT 'Optional description for the payment',
     PayerUserID INT NULL COMMENT 'User who initiated the payment (FK to Users)',
     RelatedRegistrationID INT NULL COMMENT 'Links payment to a specific event registration (FK to Registrations)',
     RelatedContractID INT NULL COMMENT 'Links payment to a specific sponsorship contract (FK to SponsorshipContracts)',
+    RefundOfPaymentID INT NULL COMMENT 'Set on refund rows (Status refunded): the original payment being refunded, which keeps its own status',
     CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (PayerUserID) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE,
     FOREIGN KEY (RelatedRegistrationID) REFERENCES Registrations(RegistrationID) ON DELETE SET NULL ON UPDATE CASCADE,
-    FOREIGN KEY (RelatedContractID) REFERENCES SponsorshipContracts(ContractID) ON DELETE SET NULL ON UPDATE CASCADE
+    FOREIGN KEY (RelatedContractID) REFERENCES SponsorshipContracts(ContractID) ON DELETE SET NULL ON UPDATE CASCADE,
+    FOREIGN KEY (RefundOfPaymentID) REFERENCES Payments(PaymentID) ON DELETE RESTRICT ON UPDATE CASCADE
 ) COMMENT 'Stores all financial transactions for registrations and sponsorships.';
 
 -- Triggers to enforce: at least one of RelatedRegistrationID or RelatedContractID must be non-NULL, but not both
@@ -322,6 +344,7 @@ CREATE TABLE Workshops (
     InstructorUserID INT NOT NULL COMMENT 'FK to Users (instructor)',
     Date DATE NOT NULL,
     Time TIME NOT NULL,
+    DurationMinutes INT NOT NULL DEFAULT 60 CHECK (DurationMinutes > 0) COMMENT 'How long the workshop occupies its venue',
     VenueID INT NULL COMMENT 'FK to Venues',
     Capacity INT NOT NULL CHECK (Capacity > 0),
     RegFee DECIMAL(10,2) NOT NULL DEFAULT 0.00,
@@ -418,6 +441,264 @@ CREATE TABLE ContactInquiries (
     UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) COMMENT 'Contact form submissions.';
 
+-- PasswordResetTokens Table
+CREATE TABLE PasswordResetTokens (
+    TokenID INT AUTO_INCREMENT PRIMARY KEY,
+    UserID INT NOT NULL COMMENT 'FK to Users',
+    TokenHash CHAR(64) NOT NULL UNIQUE COMMENT 'SHA-256 hash of the emailed token (raw token is never stored)',
+    ExpiresAt DATETIME NOT NULL COMMENT 'Token is rejected after this time',
+    UsedAt DATETIME NULL COMMENT 'Set when the token is redeemed or superseded (single use)',
+    CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'Single-use password reset tokens.';
+
+-- EmailVerificationTokens Table
+CREATE TABLE EmailVerificationTokens (
+    TokenID INT AUTO_INCREMENT PRIMARY KEY,
+    UserID INT NOT NULL COMMENT 'FK to Users',
+    TokenHash CHAR(64) NOT NULL UNIQUE COMMENT 'SHA-256 hash of the emailed token (raw token is never stored)',
+    ExpiresAt DATETIME NOT NULL COMMENT 'Token is rejected after this time',
+    UsedAt DATETIME NULL COMMENT 'Set when the token is redeemed or superseded (single use)',
+    CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'Single-use email address verification tokens.';
+
+-- LoginAttempts Table
+CREATE TABLE LoginAttempts (
+    AttemptID BIGINT AUTO_INCREMENT PRIMARY KEY,
+    Email VARCHAR(100) NOT NULL COMMENT 'Email address that was submitted',
+    UserID INT NULL COMMENT 'FK to Users (NULL if the email did not match an account)',
+    IPAddress VARCHAR(45) NOT NULL COMMENT 'Client IP address (IPv4 or IPv6)',
+    Successful BOOLEAN NOT NULL DEFAULT FALSE,
+    AttemptedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Login attempt history used for per-account and per-IP throttling.';
+
+-- TwoFactorRecoveryCodes Table
+CREATE TABLE TwoFactorRecoveryCodes (
+    CodeID INT AUTO_INCREMENT PRIMARY KEY,
+    UserID INT NOT NULL COMMENT 'FK to Users',
+    CodeHash CHAR(64) NOT NULL COMMENT 'SHA-256 hash of the recovery code',
+    UsedAt DATETIME NULL COMMENT 'Set when the code is redeemed (single use)',
+    CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_user_recovery_code (UserID, CodeHash),
+    FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'One-time recovery codes for TOTP two-factor authentication.';
+
+-- UserPrivileges Table
+CREATE TABLE UserPrivileges (
+    UserPrivilegeID INT AUTO_INCREMENT PRIMARY KEY,
+    UserID INT NOT NULL COMMENT 'FK to Users',
+    Resource VARCHAR(50) NOT NULL COMMENT 'The system resource (same naming as RolePrivileges.Resource)',
+    Action VARCHAR(50) NOT NULL COMMENT 'The action on the resource (same naming as RolePrivileges.Action)',
+    Effect ENUM('grant', 'deny') NOT NULL DEFAULT 'grant' COMMENT 'grant adds the privilege, deny removes it even if the role has it',
+    GrantedBy INT NULL COMMENT 'FK to Users (administrator who added the override)',
+    CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_user_privilege (UserID, Resource, Action) COMMENT 'One override per user, resource and action',
+    FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (GrantedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Per-user privilege overrides applied on top of RolePrivileges.';
+
+-- ApiTokens Table
+CREATE TABLE ApiTokens (
+    TokenID INT AUTO_INCREMENT PRIMARY KEY,
+    UserID INT NOT NULL COMMENT 'FK to Users (the token acts as this user)',
+    Name VARCHAR(100) NOT NULL COMMENT 'Label chosen by the user (e.g. "CI payments report")',
+    TokenHash CHAR(64) NOT NULL UNIQUE COMMENT 'SHA-256 hash of the bearer token (raw token is shown once and never stored)',
+    Scopes TEXT NOT NULL COMMENT 'Comma-separated Resource.action privileges the token may use (Resource.* for all actions)',
+    ExpiresAt DATETIME NULL COMMENT 'Token is rejected after this time (NULL for no expiry)',
+    LastUsedAt DATETIME NULL COMMENT 'When the token last authenticated a request',
+    RevokedAt DATETIME NULL COMMENT 'Set when the user revokes the token',
+    CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'Personal API bearer tokens for scripted access to the /api routes.';
+
+-- Sessions Table
+CREATE TABLE Sessions (
+    SessionID VARCHAR(128) NOT NULL PRIMARY KEY COMMENT 'express-session ID (the cookie value, unsigned)',
+    UserID INT NULL COMMENT 'FK to Users (NULL until the session is logged in)',
+    Data MEDIUMTEXT NOT NULL COMMENT 'Serialized session data (JSON)',
+    IPAddress VARCHAR(45) NULL COMMENT 'Client IP address recorded at login',
+    UserAgent VARCHAR(255) NULL COMMENT 'Client user agent recorded at login',
+    ExpiresAt DATETIME NOT NULL COMMENT 'Session is ignored and purged after this time',
+    CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    LastSeenAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Last request made with this session',
+    FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'Persistent express-session store shared by all app processes.';
+
+-- ImpersonationLog Table
+CREATE TABLE ImpersonationLog (
+    LogID INT AUTO_INCREMENT PRIMARY KEY,
+    AdminUserID INT NOT NULL COMMENT 'FK to Users (the super_admin who started the impersonation)',
+    TargetUserID INT NOT NULL COMMENT 'FK to Users (the account being viewed)',
+    IPAddress VARCHAR(45) NULL COMMENT 'Admin IP address when the impersonation started',
+    StartedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    EndedAt DATETIME NULL COMMENT 'Set when the admin stops impersonating or logs out (NULL while active)',
+    FOREIGN KEY (AdminUserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (TargetUserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'Audit trail of super_admin "log in as" sessions.';
+
+-- DataDeletionRequests Table
+CREATE TABLE DataDeletionRequests (
+    RequestID INT AUTO_INCREMENT PRIMARY KEY,
+    UserID INT NOT NULL COMMENT 'FK to Users (the account to anonymize; the row is kept after anonymization)',
+    Reason TEXT NULL COMMENT 'Optional reason given by the user',
+    Status ENUM('pending', 'completed', 'rejected', 'cancelled') NOT NULL DEFAULT 'pending',
+    RequestedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ProcessedBy INT NULL COMMENT 'FK to Users (admin who completed or rejected the request)',
+    ProcessedAt DATETIME NULL,
+    AdminNotes TEXT NULL COMMENT 'Shown to the user when a request is rejected',
+    FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (ProcessedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Requests to erase personal data from an account (Payments rows are kept for accounting).';
+
+-- EventStatusHistory Table
+CREATE TABLE EventStatusHistory (
+    HistoryID INT AUTO_INCREMENT PRIMARY KEY,
+    EventID INT NOT NULL COMMENT 'FK to Events',
+    FromStatus ENUM('Draft', 'Published', 'Ongoing', 'Completed', 'Cancelled') NOT NULL,
+    ToStatus ENUM('Draft', 'Published', 'Ongoing', 'Completed', 'Cancelled') NOT NULL,
+    ChangedBy INT NULL COMMENT 'FK to Users (who made the change)',
+    Reason TEXT NULL COMMENT 'Optional explanation (sent to registrants when an event is cancelled)',
+    ChangedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (EventID) REFERENCES Events(EventID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (ChangedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Audit trail of event lifecycle status changes.';
+
+-- Event Refund Rules Table
+CREATE TABLE EventRefundRules (
+    RuleID INT AUTO_INCREMENT PRIMARY KEY,
+    EventID INT NOT NULL COMMENT 'FK to Events',
+    MinDaysBefore INT NOT NULL CHECK (MinDaysBefore >= 0) COMMENT 'Applies when at least this many days are left before the event',
+    RefundPercent TINYINT UNSIGNED NOT NULL CHECK (RefundPercent <= 100) COMMENT 'Share of the payment refunded',
+    UNIQUE KEY unique_event_refund_days (EventID, MinDaysBefore),
+    FOREIGN KEY (EventID) REFERENCES Events(EventID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'Per-event cancellation refund schedule; events without rules use the published default policy.';
+
+-- Venue Maintenance Windows Table
+CREATE TABLE VenueMaintenanceWindows (
+    WindowID INT AUTO_INCREMENT PRIMARY KEY,
+    VenueID INT NOT NULL COMMENT 'FK to Venues',
+    StartsAt DATETIME NOT NULL COMMENT 'Start of the closure (venue local time)',
+    EndsAt DATETIME NOT NULL COMMENT 'End of the closure (exclusive)',
+    Reason VARCHAR(255) NOT NULL COMMENT 'Why the venue is closed, shown on the calendar',
+    CreatedBy INT NULL COMMENT 'FK to Users (who scheduled it)',
+    CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (EndsAt > StartsAt),
+    FOREIGN KEY (VenueID) REFERENCES Venues(VenueID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (CreatedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Scheduled maintenance or closure periods during which a venue cannot be booked.';
+
+-- Registration Transfers Table
+CREATE TABLE RegistrationTransfers (
+    TransferID INT AUTO_INCREMENT PRIMARY KEY,
+    RegistrationID INT NOT NULL COMMENT 'FK to Registrations (the place being handed over)',
+    FromUserID INT NOT NULL COMMENT 'FK to Users (holder when the transfer was requested)',
+    ToUserID INT NOT NULL COMMENT 'FK to Users (recipient nominated by email)',
+    Status ENUM('pending_recipient', 'pending_approval', 'completed', 'declined', 'rejected', 'cancelled') NOT NULL DEFAULT 'pending_recipient' COMMENT 'pending_approval is used only for events with TransferRequiresApproval',
+    RequestedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    RespondedAt DATETIME NULL COMMENT 'When the recipient accepted or declined',
+    ReviewedBy INT NULL COMMENT 'FK to Users (organizer who approved or rejected it)',
+    ReviewedAt DATETIME NULL,
+    CompletedAt DATETIME NULL COMMENT 'When the registration changed hands',
+    FOREIGN KEY (RegistrationID) REFERENCES Registrations(RegistrationID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (FromUserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (ToUserID) REFERENCES Users(UserID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (ReviewedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Hand-overs of a registration from one participant to another; payments stay linked to the registration.';
+
+-- Event Registration Questions Table
+CREATE TABLE EventRegistrationQuestions (
+    QuestionID INT AUTO_INCREMENT PRIMARY KEY,
+    EventID INT NOT NULL COMMENT 'FK to Events',
+    Prompt VARCHAR(255) NOT NULL COMMENT 'Question shown on the registration form',
+    QuestionType ENUM('text', 'choice', 'checkbox', 'file') NOT NULL DEFAULT 'text' COMMENT 'choice picks one option, checkbox any number (or a single tick when there are no options)',
+    Options TEXT NULL COMMENT 'JSON array of options for choice and checkbox questions',
+    IsRequired BOOLEAN NOT NULL DEFAULT FALSE,
+    SortOrder INT NOT NULL DEFAULT 0,
+    UNIQUE KEY unique_event_question_prompt (EventID, Prompt),
+    FOREIGN KEY (EventID) REFERENCES Events(EventID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'Organizer-defined questions asked when registering for an event.';
+
+-- Registration Answers Table
+CREATE TABLE RegistrationAnswers (
+    AnswerID INT AUTO_INCREMENT PRIMARY KEY,
+    RegistrationID INT NOT NULL COMMENT 'FK to Registrations',
+    QuestionID INT NOT NULL COMMENT 'FK to EventRegistrationQuestions',
+    AnswerText TEXT NULL COMMENT 'Text answer, chosen option or comma-separated ticked options',
+    FileName VARCHAR(255) NULL COMMENT 'Original name of an uploaded file',
+    StoredFileName VARCHAR(100) NULL COMMENT 'Random name of the file in the private upload directory',
+    AnsweredAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_registration_question (RegistrationID, QuestionID),
+    FOREIGN KEY (RegistrationID) REFERENCES Registrations(RegistrationID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (QuestionID) REFERENCES EventRegistrationQuestions(QuestionID) ON DELETE CASCADE ON UPDATE CASCADE
+) COMMENT 'Answers to EventRegistrationQuestions, exported with the participant list.';
+
+-- Check-In Scans Table
+CREATE TABLE CheckInScans (
+    ScanID INT AUTO_INCREMENT PRIMARY KEY,
+    EventID INT NOT NULL COMMENT 'FK to Events (event being checked in)',
+    RegistrationID INT NULL COMMENT 'FK to Registrations (NULL when the code could not be read)',
+    ScannedBy INT NULL COMMENT 'FK to Users (staff member at the scanner)',
+    Result ENUM('checked_in', 'duplicate', 'rejected') NOT NULL COMMENT 'duplicate means the ticket had already been used',
+    Detail VARCHAR(255) NULL COMMENT 'Why a scan was rejected, or how an offline conflict was resolved',
+    Conflict BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Offline scan that admitted someone the server would have turned away or had already checked in',
+    ClientScanID CHAR(36) NULL UNIQUE COMMENT 'ID given by an offline scanner, so a scan sent twice is recorded once',
+    ScannedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Time at the scanner, also for offline scans',
+    SyncedAt TIMESTAMP NULL COMMENT 'When an offline scan reached the server (NULL for online scans)',
+    FOREIGN KEY (EventID) REFERENCES Events(EventID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (RegistrationID) REFERENCES Registrations(RegistrationID) ON DELETE SET NULL ON UPDATE CASCADE,
+    FOREIGN KEY (ScannedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Every ticket scan at the door, including duplicates and rejected tickets.';
+
+CREATE TABLE CertificateTemplates (
+    TemplateID INT AUTO_INCREMENT PRIMARY KEY,
+    CategoryID INT NOT NULL UNIQUE COMMENT 'FK to EventCategories; categories without a row use the built-in design',
+    ParticipationTitle VARCHAR(100) NOT NULL COMMENT 'Heading of participation certificates',
+    ParticipationText TEXT NOT NULL COMMENT 'Body of participation certificates; placeholders {name}, {event}, {category}, {date}, {team}',
+    WinnerTitle VARCHAR(100) NOT NULL COMMENT 'Heading of 1st/2nd/3rd place certificates',
+    WinnerText TEXT NOT NULL COMMENT 'Body of winner certificates; the same placeholders plus {place}',
+    AccentColour CHAR(7) NOT NULL DEFAULT '#1565c0' COMMENT 'Border and heading colour (#rrggbb)',
+    SignatoryName VARCHAR(100) NULL COMMENT 'Name printed under the signature line (no line when NULL)',
+    SignatoryTitle VARCHAR(100) NULL COMMENT 'Position printed under the signatory name',
+    UpdatedBy INT NULL COMMENT 'FK to Users (last editor)',
+    UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (CategoryID) REFERENCES EventCategories(CategoryID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (UpdatedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Certificate wording and design per event category.';
+
+CREATE TABLE Certificates (
+    CertificateID INT AUTO_INCREMENT PRIMARY KEY,
+    RegistrationID INT NOT NULL UNIQUE COMMENT 'FK to Registrations (one certificate per participant and event)',
+    Place TINYINT NULL CHECK (Place IS NULL OR Place BETWEEN 1 AND 3) COMMENT 'Winning place from the event rankings; NULL for participation',
+    VerificationCode VARCHAR(20) NOT NULL UNIQUE COMMENT 'Random code printed on the certificate and checked at /certificates/verify/:code',
+    IssuedBy INT NULL COMMENT 'FK to Users (organizer who issued it)',
+    IssuedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (RegistrationID) REFERENCES Registrations(RegistrationID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (IssuedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Participation and winner certificates issued for completed events; names and event details are read live when printed.';
+
+CREATE TABLE EventTemplates (
+    TemplateID INT AUTO_INCREMENT PRIMARY KEY,
+    TemplateName VARCHAR(150) NOT NULL UNIQUE COMMENT 'Name shown when creating an event from the template',
+    SourceEventID INT NULL COMMENT 'FK to Events (event the template was saved from)',
+    Name VARCHAR(150) NOT NULL COMMENT 'Name given to events created from the template',
+    CategoryID INT NOT NULL COMMENT 'FK to EventCategories',
+    EventType ENUM('Individual', 'Team', 'Both') NOT NULL DEFAULT 'Individual',
+    EventDescription TEXT NULL,
+    Rules TEXT NULL,
+    DurationMinutes INT NOT NULL DEFAULT 60 CHECK (DurationMinutes > 0),
+    Reg_Fee DECIMAL(10, 2) NOT NULL DEFAULT 0.00 CHECK (Reg_Fee >= 0),
+    Max_Participants INT NULL CHECK (Max_Participants IS NULL OR Max_Participants > 0),
+    TransferRequiresApproval BOOLEAN NOT NULL DEFAULT FALSE,
+    Settings TEXT NOT NULL COMMENT 'JSON: judge panel (judgeIds), custom refund rules (refundRules) and registration questions (questions)',
+    CreatedBy INT NULL COMMENT 'FK to Users (owner; only they, or users with Events.update, can replace or delete it)',
+    UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (SourceEventID) REFERENCES Events(EventID) ON DELETE SET NULL ON UPDATE CASCADE,
+    FOREIGN KEY (CategoryID) REFERENCES EventCategories(CategoryID) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (CreatedBy) REFERENCES Users(UserID) ON DELETE SET NULL ON UPDATE CASCADE
+) COMMENT 'Reusable event setups for recurring competitions; events are created from them as Drafts without dates copied.';
+
 -- =========================
 -- SEED DATA (for demo)
 -- =========================
@@ -767,6 +1048,54 @@ CREATE INDEX idx_workshopregistrations_status ON WorkshopRegistrations(Status);
 CREATE INDEX idx_inquiries_status ON ContactInquiries(Status);
 CREATE INDEX idx_inquiries_email ON ContactInquiries(Email);
 
+-- PasswordResetTokens Table
+CREATE INDEX idx_pwreset_user ON PasswordResetTokens(UserID);
+CREATE INDEX idx_pwreset_expires ON PasswordResetTokens(ExpiresAt);
+
+-- EmailVerificationTokens Table
+CREATE INDEX idx_emailverify_user ON EmailVerificationTokens(UserID);
+
+-- LoginAttempts Table
+CREATE INDEX idx_loginattempts_ip_time ON LoginAttempts(IPAddress, AttemptedAt);
+CREATE INDEX idx_loginattempts_user_time ON LoginAttempts(UserID, AttemptedAt);
+
+-- ApiTokens Table
+CREATE INDEX idx_apitokens_user ON ApiTokens(UserID);
+
+-- Sessions Table
+CREATE INDEX idx_sessions_user ON Sessions(UserID);
+CREATE INDEX idx_sessions_expires ON Sessions(ExpiresAt);
+
+-- ImpersonationLog Table
+CREATE INDEX idx_impersonationlog_admin ON ImpersonationLog(AdminUserID, StartedAt);
+CREATE INDEX idx_impersonationlog_target ON ImpersonationLog(TargetUserID, StartedAt);
+
+-- DataDeletionRequests Table
+CREATE INDEX idx_datadeletionrequests_user ON DataDeletionRequests(UserID, Status);
+CREATE INDEX idx_datadeletionrequests_status ON DataDeletionRequests(Status, RequestedAt);
+
+-- EventStatusHistory Table
+CREATE INDEX idx_eventstatushistory_event ON EventStatusHistory(EventID, ChangedAt);
+CREATE INDEX idx_venuemaintenance_venue_time ON VenueMaintenanceWindows(VenueID, StartsAt, EndsAt);
+
+-- Registrations waitlist
+CREATE INDEX idx_registrations_event_waitlist ON Registrations(EventID, Status, WaitlistedAt);
+CREATE INDEX idx_registrations_payment_due ON Registrations(Status, PaymentDueAt);
+
+-- Refunds
+CREATE INDEX idx_payments_refund_of ON Payments(RefundOfPaymentID);
+
+-- Registration transfers
+CREATE INDEX idx_registrationtransfers_registration ON RegistrationTransfers(RegistrationID, Status);
+CREATE INDEX idx_registrationtransfers_recipient ON RegistrationTransfers(ToUserID, Status);
+
+-- Registration questions
+CREATE INDEX idx_registrationquestions_event ON EventRegistrationQuestions(EventID, SortOrder);
+CREATE INDEX idx_registrationanswers_question ON RegistrationAnswers(QuestionID);
+
+-- Check-in
+CREATE INDEX idx_checkinscans_event_time ON CheckInScans(EventID, ScannedAt);
+
 -- =========================
 -- END OF INDEXES
 -- =========================
@@ -829,9 +1158,12 @@ DELIMITER //
 -- Procedure: Generate Financial Summary
 CREATE PROCEDURE GenerateFinancialSummary()
 BEGIN
-    SELECT 'Registration Revenue' AS Source, COALESCE(SUM(Amount), 0.00) AS TotalAmount
+    SELECT 'Registration Revenue' AS Source,
+           COALESCE(SUM(CASE WHEN Status = 'completed' THEN Amount
+                             WHEN Status = 'refunded' AND RefundOfPaymentID IS NOT NULL THEN -Amount
+                             ELSE 0 END), 0.00) AS TotalAmount
     FROM Payments
-    WHERE RelatedRegistrationID IS NOT NULL AND Status = 'completed'
+    WHERE RelatedRegistrationID IS NOT NULL
     UNION ALL
     SELECT 'Sponsorship Revenue' AS Source, COALESCE(SUM(Amount), 0.00) AS TotalAmount
     FROM Payments
@@ -953,6 +1285,27 @@ BEGIN
 END //
 DELIMITER ;
 
+DELIMITER //
+CREATE EVENT IF NOT EXISTS PurgeOldLoginAttempts
+ON SCHEDULE EVERY 1 DAY
+STARTS TIMESTAMP(CURDATE() + INTERVAL 1 DAY + INTERVAL 4 HOUR)
+COMMENT 'Removes login attempt history older than 30 days.'
+DO
+BEGIN
+    DELETE FROM LoginAttempts WHERE AttemptedAt < NOW() - INTERVAL 30 DAY;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE EVENT IF NOT EXISTS PurgeExpiredSessions
+ON SCHEDULE EVERY 1 HOUR
+COMMENT 'Removes expired rows from the session store.'
+DO
+BEGIN
+    DELETE FROM Sessions WHERE ExpiresAt < NOW();
+END //
+DELIMITER ;
+
 -- =========================
 -- END OF SCHEDULED EVENTS
 -- ========================= 
@@ -1078,6 +1431,10 @@ SET @user_charlie = @user_alice + 2;
 SET @user_diana = @user_alice + 3;
 SET @user_judge2 = @user_alice + 4;
 
+-- Accounts created before email verification existed count as verified, so one an administrator
+-- deactivated cannot reactivate itself through a verification link
+UPDATE Users SET EmailVerifiedAt = CreatedAt WHERE EmailVerifiedAt IS NULL AND AnonymizedAt IS NULL;
+
 -- --- Sponsors ---
 INSERT INTO Sponsors (Name, ContactPerson, Email, Phone, Status, LogoURL, Website) VALUES
     ('Tech Solutions Inc.', 'Mr. Smith', 'smith@techsolutions.com', '555-1000', 'active', 'http://example.com/logos/techsol.png', 'http://techsolutions.com'),
@@ -1249,11 +1606,15 @@ INSERT IGNORE INTO RolePrivileges (RoleID, Resource, Action) VALUES
     (@role_super_admin, 'Users', 'create'), (@role_super_admin, 'Users', 'read'), (@role_super_admin, 'Users', 'update'), (@role_super_admin, 'Users', 'delete'),
     (@role_super_admin, 'Events', 'create'), (@role_super_admin, 'Events', 'read'), (@role_super_admin, 'Events', 'update'), (@role_super_admin, 'Events', 'delete'),
     (@role_super_admin, 'Roles', 'manage'), (@role_super_admin, 'Privileges', 'manage'),
+    (@role_super_admin, 'Certificates', 'manage'),
     -- Admin
     (@role_admin, 'Events', 'read'), (@role_admin, 'Events', 'update'), (@role_admin, 'Registrations', 'read'), (@role_admin, 'Users', 'read'), (@role_admin, 'Users', 'update'), (@role_admin, 'Venues', 'manage'),
+    (@role_admin, 'Registrations', 'check_in'), -- door staff can be given this action alone
+    (@role_admin, 'Certificates', 'manage'), -- certificate templates per category
     -- Event Organizer
     (@role_event_organizer, 'Events', 'create'), (@role_event_organizer, 'Events', 'read'), (@role_event_organizer, 'Events', 'update'), -- Specific organizer might only manage their own events (needs app logic)
     (@role_event_organizer, 'Registrations', 'read'), -- (for own events)
+    (@role_event_organizer, 'Registrations', 'check_in'),
     (@role_event_organizer, 'Judges', 'assign'), -- Custom action example
     -- Participant
     (@role_participant, 'Events', 'read'), (@role_participant, 'Registrations', 'create'), (@role_participant, 'Registrations', 'read'), -- (own registrations)
@@ -4,8 +4,11 @@ const helmet = require('helmet');
 const session = require('express-session');
 const path = require('path');
 const passport = require('./config/passport');
+const { MySQLSessionStore, trackSessionClient } = require('./config/sessionStore');
 const { notification } = require('./middleware/notification');
-const { isAuthenticated, hasPrivilege, populatePrivileges } = require('./middleware/auth');
+const { isAuthenticated, authenticateBearer, hasPrivilege, populatePrivileges, blockDuringImpersonation } = require('./middleware/auth');
+const { exposeImpersonation } = require('./utils/impersonation');
+const { startWaitlistSweeper } = require('./utils/waitlist');
 require('dotenv').config();
 
 const app = express();
@@ -30,6 +33,9 @@ const categoriesRouter = require('./routes/categories');
 const teamsRouter = require('./routes/teams');
 const judgesRouter = require('./routes/judges');
 const scoresRouter = require('./routes/scores');
+const meRouter = require('./routes/me');
+const rolesRouter = require('./routes/roles');
+const usersRouter = require('./routes/users');
 
 // Middleware
 app.use(helmet()); // Security headers
@@ -40,6 +46,7 @@ app.use(express.static(path.join(__dirname, 'public'))); // Serve static files
 
 // Session configuration
 app.use(session({
+    store: new MySQLSessionStore(), // Persisted so restarts and multiple processes share sessions
     secret: process.env.SESSION_SECRET || 'your-secret-key',
     resave: false,
     saveUninitialized: false,
@@ -52,6 +59,10 @@ app.use(session({
 // Initialize Passport
 app.use(passport.initialize());
 app.use(passport.session());
+app.use(trackSessionClient);
+
+// Accept personal API tokens on the /api routes
+app.use('/api', authenticateBearer);
 
 // Populate user privileges for all requests
 app.use(populatePrivileges);
@@ -59,6 +70,9 @@ app.use(populatePrivileges);
 // Add notification middleware
 app.use(notification);
 
+// Impersonation banner details for the header
+app.use(exposeImpersonation);
+
 // View engine setup
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
@@ -75,6 +89,7 @@ app.get('/', (req, res) => {
 app.use('/auth', require('./routes/auth'));
 app.use('/register', require('./routes/registration'));
 app.use('/login', loginRouter);
+app.use('/certificates', require('./routes/certificates'));
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
 // Require authentication for all other routes
@@ -85,9 +100,12 @@ app.use('/events', hasPrivilege('Events', 'read'), require('./routes/events'));
 app.use('/venues', hasPrivilege('Venues', 'read'), require('./routes/venues'));
 app.use('/sponsors', hasPrivilege('Sponsors', 'read'), require('./routes/sponsors'));
 app.use('/accommodations', hasPrivilege('Accommodations', 'read'), require('./routes/accommodations'));
-app.use('/payments', hasPrivilege('Payments', 'read'), require('./routes/payments'));
+app.use('/payments', hasPrivilege('Payments', 'read'), blockDuringImpersonation, require('./routes/payments'));
 app.use('/judges', hasPrivilege('Judges', 'read'), require('./routes/judges'));
-app.use('/scores', hasPrivilege('Scores', 'read'), require('./routes/scores'));
+app.use('/scores', hasPrivilege('Scores', 'read'), blockDuringImpersonation, require('./routes/scores'));
+app.use('/me', meRouter);
+app.use('/admin/roles', hasPrivilege('Roles', 'manage'), rolesRouter);
+app.use('/admin/users', hasPrivilege('Users', 'read'), usersRouter);
 
 // Page Routes
 app.use('/about', aboutRouter);
@@ -103,7 +121,7 @@ app.use('/', indexRouter);
 // API Routes
 app.use('/api/events', eventsRouter);
 app.use('/api/sponsors', sponsorsRouter);
-app.use('/api/payments', paymentsRouter);
+app.use('/api/payments', blockDuringImpersonation, paymentsRouter);
 app.use('/api/venues', venuesRouter);
 
 // Error handling middleware
@@ -133,6 +151,7 @@ const startServer = () => {
     try {
         app.listen(PORT, () => {
             console.log(`Server is running on port ${PORT}`);
+            startWaitlistSweeper();
         });
     } catch (error) {
         if (error.code === 'EADDRINUSE') {
@@ -1,7 +1,11 @@
 const passport = require('passport');
 const { executeQuery } = require('./database');
 const LocalStrategy = require('passport-local').Strategy;
+const BearerStrategy = require('passport-http-bearer').Strategy;
 const bcrypt = require('bcrypt');
+const { recordAttempt, registerFailure, LOCKOUT_MINUTES } = require('../utils/loginAttempts');
+const { loadPrivileges } = require('../utils/privileges');
+const { findUserByApiToken } = require('../utils/apiTokens');
 
 passport.serializeUser((user, done) => {
     done(null, user.UserID);
@@ -13,30 +17,18 @@ passport.deserializeUser(async (id, done) => {
             SELECT u.UserID, u.Name, u.Email, u.username, u.RoleID, r.RoleName as Role
             FROM Users u
             JOIN Roles r ON u.RoleID = r.RoleID
-            WHERE u.UserID = ?
+            WHERE u.UserID = ? AND u.Status = 'active' AND u.PasswordResetRequired = FALSE
         `;
         const users = await executeQuery(query, [id]);
         
+        // Suspended users and users forced to reset their password lose their session immediately
         if (users.length === 0) {
             return done(null, false);
         }
         
         const user = users[0];
-        // Load privileges from RolePrivileges and UserPrivileges
-        const rolePrivs = await executeQuery(
-            'SELECT Resource, Action FROM RolePrivileges WHERE RoleID = ?',
-            [user.RoleID]
-        );
-        const userPrivs = await executeQuery(
-            'SELECT Resource, Action FROM UserPrivileges WHERE UserID = ?',
-            [user.UserID]
-        );
-        // Merge privileges into a nested object: { Resource: { action: true } }
-        user.privileges = {};
-        for (const priv of rolePrivs.concat(userPrivs)) {
-            if (!user.privileges[priv.Resource]) user.privileges[priv.Resource] = {};
-            user.privileges[priv.Resource][priv.Action] = true;
-        }
+        // Load privileges from RolePrivileges and UserPrivileges (every request, so admin changes apply at once)
+        user.privileges = await loadPrivileges(user.UserID, user.RoleID);
         console.log('DEBUG: Loaded privileges for user', user.UserID, ':', user.privileges);
         done(null, user);
     } catch (err) {
@@ -45,40 +37,61 @@ passport.deserializeUser(async (id, done) => {
 });
 
 // Register the local strategy
-passport.use(new LocalStrategy({ usernameField: 'email' }, async (email, password, done) => {
+passport.use(new LocalStrategy({ usernameField: 'email', passReqToCallback: true }, async (req, email, password, done) => {
     try {
         const query = `
-            SELECT u.UserID, u.Name, u.Email, u.Password, u.username, u.RoleID, r.RoleName as Role
+            SELECT u.UserID, u.Name, u.Email, u.Password, u.username, u.RoleID, u.Status, u.EmailVerifiedAt,
+                   u.PasswordResetRequired,
+                   CEIL(TIMESTAMPDIFF(SECOND, NOW(), u.LockedUntil) / 60) AS LockMinutesLeft,
+                   r.RoleName as Role
             FROM Users u
             JOIN Roles r ON u.RoleID = r.RoleID
             WHERE u.Email = ?
         `;
         const users = await executeQuery(query, [email]);
         if (users.length === 0) {
+            await recordAttempt({ email, ip: req.ip, successful: false });
             return done(null, false, { message: 'Invalid email or password' });
         }
         const user = users[0];
+        if (user.LockMinutesLeft > 0) {
+            await recordAttempt({ email, userId: user.UserID, ip: req.ip, successful: false });
+            return done(null, false, {
+                message: `Too many failed login attempts. This account is locked for ${user.LockMinutesLeft} more minute(s).`
+            });
+        }
         const passwordMatch = await bcrypt.compare(password, user.Password);
         if (!passwordMatch) {
-            return done(null, false, { message: 'Invalid email or password' });
+            await recordAttempt({ email, userId: user.UserID, ip: req.ip, successful: false });
+            const locked = await registerFailure(user.UserID);
+            return done(null, false, {
+                message: locked
+                    ? `Too many failed login attempts. This account is locked for ${LOCKOUT_MINUTES} minutes.`
+                    : 'Invalid email or password'
+            });
         }
-        // Load privileges after login
-        const rolePrivs = await executeQuery(
-            'SELECT Resource, Action FROM RolePrivileges WHERE RoleID = ?',
-            [user.RoleID]
-        );
-        let userPrivs = [];
-        try {
-            userPrivs = await executeQuery(
-                'SELECT Resource, Action FROM UserPrivileges WHERE UserID = ?',
-                [user.UserID]
-            );
-        } catch (e) { userPrivs = []; }
-        user.privileges = {};
-        for (const priv of rolePrivs.concat(userPrivs)) {
-            if (!user.privileges[priv.Resource]) user.privileges[priv.Resource] = {};
-            user.privileges[priv.Resource][priv.Action] = true;
+        // Only reveal account state once the password has been proven
+        if (user.Status === 'inactive' && !user.EmailVerifiedAt) {
+            await recordAttempt({ email, userId: user.UserID, ip: req.ip, successful: false });
+            return done(null, false, {
+                message: 'Please verify your email address before logging in. Check your inbox for the verification link.',
+                unverified: true
+            });
         }
+        if (user.Status !== 'active') {
+            await recordAttempt({ email, userId: user.UserID, ip: req.ip, successful: false });
+            return done(null, false, { message: 'This account is not active. Please contact support.' });
+        }
+        if (user.PasswordResetRequired) {
+            await recordAttempt({ email, userId: user.UserID, ip: req.ip, successful: false });
+            return done(null, false, {
+                message: 'You must reset your password before logging in. Check your email for the reset link or use "Forgot password".'
+            });
+        }
+        // The failure count is only cleared once any second factor has passed too (routes/login.js)
+        await recordAttempt({ email, userId: user.UserID, ip: req.ip, successful: true });
+        // Load privileges after login
+        user.privileges = await loadPrivileges(user.UserID, user.RoleID);
         console.log('DEBUG: Loaded privileges after login for user', user.UserID, ':', user.privileges);
         return done(null, user);
     } catch (err) {
@@ -86,4 +99,14 @@ passport.use(new LocalStrategy({ usernameField: 'email' }, async (email, passwor
     }
 }));
 
+// Register the bearer strategy for personal API tokens (no session is created)
+passport.use(new BearerStrategy(async (token, done) => {
+    try {
+        const user = await findUserByApiToken(token);
+        return done(null, user || false);
+    } catch (err) {
+        return done(err);
+    }
+}));
+
 module.exports = passport;
\ No newline at end of file
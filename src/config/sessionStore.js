@@ -0,0 +1,150 @@
+const session = require('express-session');
+const { pool } = require('./database');
+
+// Fallback lifetime for sessions whose cookie has no expiry
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * express-session store that keeps sessions in the Sessions table.
+ * Queries go straight to the shared pool rather than executeQuery, which
+ * would log every session read and write.
+ */
+class MySQLSessionStore extends session.Store {
+    /**
+     * Seconds until a session expires, from its cookie.
+     * Expiry is then computed with the database clock, like the NOW() checks.
+     * @param {object} sess - Session data
+     * @returns {number}
+     */
+    static ttlSeconds(sess) {
+        const ttlMs = sess && sess.cookie && sess.cookie.expires
+            ? new Date(sess.cookie.expires).getTime() - Date.now()
+            : DEFAULT_TTL_MS;
+        return Math.max(0, Math.ceil(ttlMs / 1000));
+    }
+
+    get(sid, callback) {
+        pool.execute(
+            'SELECT Data FROM Sessions WHERE SessionID = ? AND ExpiresAt > NOW()',
+            [sid]
+        ).then(([rows]) => {
+            callback(null, rows.length > 0 ? JSON.parse(rows[0].Data) : null);
+        }).catch(callback);
+    }
+
+    set(sid, sess, callback) {
+        // An impersonating admin's session still belongs to the admin
+        const userId = sess.impersonation
+            ? sess.impersonation.adminId
+            : (sess.passport && sess.passport.user ? sess.passport.user : null);
+        const client = sess.client || {};
+        pool.execute(`
+            INSERT INTO Sessions (SessionID, UserID, Data, IPAddress, UserAgent, ExpiresAt)
+            VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL ? SECOND)
+            ON DUPLICATE KEY UPDATE
+                UserID = VALUES(UserID),
+                Data = VALUES(Data),
+                IPAddress = VALUES(IPAddress),
+                UserAgent = VALUES(UserAgent),
+                ExpiresAt = VALUES(ExpiresAt),
+                LastSeenAt = NOW()
+        `, [
+            sid,
+            userId,
+            JSON.stringify(sess),
+            client.ip || null,
+            client.userAgent ? String(client.userAgent).slice(0, 255) : null,
+            MySQLSessionStore.ttlSeconds(sess)
+        ]).then(() => callback && callback()).catch(err => callback && callback(err));
+    }
+
+    touch(sid, sess, callback) {
+        pool.execute(
+            'UPDATE Sessions SET ExpiresAt = NOW() + INTERVAL ? SECOND, LastSeenAt = NOW() WHERE SessionID = ?',
+            [MySQLSessionStore.ttlSeconds(sess), sid]
+        ).then(() => callback && callback()).catch(err => callback && callback(err));
+    }
+
+    destroy(sid, callback) {
+        pool.execute('DELETE FROM Sessions WHERE SessionID = ?', [sid])
+            .then(() => callback && callback())
+            .catch(err => callback && callback(err));
+    }
+
+    clear(callback) {
+        pool.query('DELETE FROM Sessions')
+            .then(() => callback && callback())
+            .catch(err => callback && callback(err));
+    }
+
+    length(callback) {
+        pool.query('SELECT COUNT(*) AS count FROM Sessions WHERE ExpiresAt > NOW()')
+            .then(([rows]) => callback(null, Number(rows[0].count)))
+            .catch(callback);
+    }
+}
+
+/**
+ * Records the client's IP address and user agent on the session once the
+ * user is logged in, so the active sessions list can describe each session
+ */
+function trackSessionClient(req, res, next) {
+    if (req.session && req.session.passport && req.session.passport.user && !req.session.client) {
+        req.session.client = {
+            ip: req.ip,
+            userAgent: req.get('User-Agent') || null
+        };
+    }
+    next();
+}
+
+/**
+ * Lists a user's unexpired sessions
+ * @param {number} userId - Users.UserID
+ * @returns {Promise<Array>} - Rows with a hashed PublicID instead of the session ID
+ */
+async function listUserSessions(userId) {
+    const [rows] = await pool.execute(`
+        SELECT SHA2(SessionID, 256) AS PublicID, IPAddress, UserAgent, CreatedAt, LastSeenAt, ExpiresAt
+        FROM Sessions
+        WHERE UserID = ? AND ExpiresAt > NOW()
+        ORDER BY LastSeenAt DESC
+    `, [userId]);
+    return rows;
+}
+
+/**
+ * Ends one of a user's sessions, identified by its public ID
+ * @param {number} userId - Owner of the session
+ * @param {string} publicId - SHA-256 of the session ID, as returned by listUserSessions
+ * @returns {Promise<boolean>} - False if no session matched
+ */
+async function revokeUserSession(userId, publicId) {
+    const [result] = await pool.execute(
+        'DELETE FROM Sessions WHERE UserID = ? AND SHA2(SessionID, 256) = ?',
+        [userId, publicId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Ends all of a user's sessions, optionally keeping one
+ * @param {number} userId - Users.UserID
+ * @param {string|null} exceptSessionId - Session to keep (usually the current one)
+ * @returns {Promise<number>} - Number of sessions ended
+ */
+async function revokeUserSessions(userId, exceptSessionId = null) {
+    const [result] = await pool.execute(
+        'DELETE FROM Sessions WHERE UserID = ? AND SessionID <> ?',
+        [userId, exceptSessionId || '']
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    MySQLSessionStore,
+    trackSessionClient,
+    listUserSessions,
+    revokeUserSession,
+    revokeUserSessions
+};
@@ -1,4 +1,6 @@
+const passport = require('passport');
 const { executeQuery } = require('../config/database');
+const { loadPrivileges } = require('../utils/privileges');
 
 // Middleware to check if user is authenticated
 const isAuthenticated = (req, res, next) => {
@@ -8,6 +10,24 @@ const isAuthenticated = (req, res, next) => {
     res.status(401).json({ error: 'Unauthorized' });
 };
 
+// Middleware to authenticate requests carrying an API token (Authorization: Bearer ...)
+// Requests without the header fall through to the session check
+const authenticateBearer = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) {
+        return next();
+    }
+    passport.authenticate('bearer', { session: false }, (err, user) => {
+        if (err) {
+            return next(err);
+        }
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized', details: 'Invalid, expired or revoked API token' });
+        }
+        req.logIn(user, { session: false }, next);
+    })(req, res, next);
+};
+
 // Middleware to check if user is a judge
 const isJudge = async (req, res, next) => {
     if (!req.isAuthenticated()) {
@@ -80,6 +100,25 @@ const isAdmin = async (req, res, next) => {
     }
 };
 
+// Middleware to restrict a route to super admins
+const isSuperAdmin = (req, res, next) => {
+    if (req.user && req.user.Role === 'super_admin') {
+        return next();
+    }
+    res.status(403).json({ error: 'Forbidden - super_admin only' });
+};
+
+// Middleware to refuse changes while a super admin is viewing the site as another user
+const blockDuringImpersonation = (req, res, next) => {
+    if (!req.session || !req.session.impersonation || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        return next();
+    }
+    res.status(403).json({
+        error: 'Not allowed while impersonating',
+        details: 'Stop impersonating to make this change'
+    });
+};
+
 // middleware/auth.js
 function requireRole(roleName) {
     return function (req, res, next) {
@@ -94,16 +133,7 @@ function requireRole(roleName) {
 async function populatePrivileges(req, res, next) {
     if (req.user && !req.user.privileges) {
         try {
-            const { executeQuery } = require('../config/database');
-            const rows = await executeQuery(
-                'SELECT Resource, Action FROM RolePrivileges WHERE RoleID = ?',
-                [req.user.RoleID]
-            );
-            req.user.privileges = {};
-            for (const row of rows) {
-                if (!req.user.privileges[row.Resource]) req.user.privileges[row.Resource] = {};
-                req.user.privileges[row.Resource][row.Action] = true;
-            }
+            req.user.privileges = await loadPrivileges(req.user.UserID, req.user.RoleID);
         } catch (err) {
             console.error('Error populating privileges:', err);
             req.user.privileges = {};
@@ -114,8 +144,11 @@ async function populatePrivileges(req, res, next) {
 
 module.exports = {
     isAuthenticated,
+    authenticateBearer,
     hasPrivilege,
     isAdmin,
+    isSuperAdmin,
+    blockDuringImpersonation,
     requireRole,
     isJudge,
     populatePrivileges
@@ -0,0 +1,34 @@
+const { executeQuery } = require('../config/database');
+const { MAX_IP_FAILURES, getRecentIpFailures, getDelayMs } = require('../utils/loginAttempts');
+
+// Middleware to slow down and block repeated failed logins before the password or second factor is checked
+async function throttleLogin(req, res, next) {
+    try {
+        const ipFailures = await getRecentIpFailures(req.ip);
+        if (ipFailures >= MAX_IP_FAILURES) {
+            return res.status(429).json({
+                error: 'Login failed',
+                details: 'Too many failed login attempts from your network. Please try again later.'
+            });
+        }
+
+        // Progressive delay based on the targeted account's consecutive failures
+        // (on the second login step, the account whose password was just verified)
+        const accounts = await executeQuery(
+            'SELECT FailedLoginAttempts FROM Users WHERE Email = ?',
+            [req.body.email || req.session.pendingTwoFactor?.email || '']
+        );
+        const delay = getDelayMs(accounts.length ? accounts[0].FailedLoginAttempts : 0);
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        next();
+    } catch (error) {
+        console.error('Login throttle error:', error);
+        res.status(500).json({ error: 'Login failed', details: error.message });
+    }
+}
+
+module.exports = {
+    throttleLogin
+};
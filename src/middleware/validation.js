@@ -9,6 +9,19 @@ const validate = (req, res, next) => {
     next();
 };
 
+// Runs validation rules against a plain object (e.g. a CSV row) instead of a request
+// Returns the errors and the sanitized values
+const validateData = async (rules, data) => {
+    const req = { body: { ...data } };
+    for (const rule of rules) {
+        // Skip the validate middleware; only chains have run()
+        if (typeof rule.run === 'function') {
+            await rule.run(req);
+        }
+    }
+    return { errors: validationResult(req).array(), values: req.body };
+};
+
 // User registration validation rules
 const registerValidation = [
     body('name')
@@ -73,6 +86,10 @@ const eventValidation = [
         .notEmpty().withMessage('Event time is required')
         .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid time format (HH:MM)'),
     
+    body('DurationMinutes')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 1, max: 1440 }).withMessage('Duration must be between 1 and 1440 minutes'),
+    
     body('Reg_Fee')
         .optional()
         .isFloat({ min: 0 }).withMessage('Registration fee must be a non-negative number'),
@@ -125,7 +142,113 @@ const eventValidation = [
     validate
 ];
 
+// Self-service profile validation rules (only the columns participants may change)
+const profileValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+
+    body('contact')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 20 }).withMessage('Contact number must not exceed 20 characters')
+        .matches(/^\+?[\d\s-]{10,}$/).withMessage('Invalid phone number format'),
+
+    body('university')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('University must not exceed 100 characters'),
+
+    body('city')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('City must not exceed 100 characters'),
+
+    validate
+];
+
+// Admin user edit validation rules
+const userUpdateValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Invalid email format')
+        .isLength({ max: 100 }).withMessage('Email must not exceed 100 characters')
+        .normalizeEmail(),
+
+    body('username')
+        .trim()
+        .notEmpty().withMessage('Username is required')
+        .isLength({ min: 3, max: 50 }).withMessage('Username must be between 3 and 50 characters')
+        .matches(/^[a-zA-Z0-9_-]+$/).withMessage('Username can only contain letters, numbers, underscores and hyphens'),
+
+    body('contact')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 20 }).withMessage('Contact number must not exceed 20 characters')
+        .matches(/^\+?[\d\s-]{10,}$/).withMessage('Invalid phone number format'),
+
+    body('university')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('University must not exceed 100 characters'),
+
+    body('city')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('City must not exceed 100 characters'),
+
+    body('roleId')
+        .notEmpty().withMessage('Role is required')
+        .isInt().withMessage('Invalid role ID'),
+
+    validate
+];
+
+// Role creation validation rules
+const roleValidation = [
+    body('roleName')
+        .trim()
+        .notEmpty().withMessage('Role name is required')
+        .isLength({ max: 50 }).withMessage('Role name must not exceed 50 characters')
+        .matches(/^[a-z][a-z0-9_]*$/).withMessage('Role name can only contain lowercase letters, numbers and underscores'),
+
+    validate
+];
+
+// Privilege grant validation rules (Resource is capitalised, Action lowercase, as hasPrivilege expects)
+const privilegeValidation = [
+    body('resource')
+        .trim()
+        .notEmpty().withMessage('Resource is required')
+        .isLength({ max: 50 }).withMessage('Resource must not exceed 50 characters')
+        .matches(/^[A-Z][A-Za-z]*$/).withMessage('Resource must start with a capital letter and contain only letters'),
+
+    body('action')
+        .trim()
+        .notEmpty().withMessage('Action is required')
+        .isLength({ max: 50 }).withMessage('Action must not exceed 50 characters')
+        .matches(/^[a-z][a-z_]*$/).withMessage('Action can only contain lowercase letters and underscores'),
+
+    body('effect')
+        .optional()
+        .isIn(['grant', 'deny']).withMessage('Effect must be grant or deny'),
+
+    validate
+];
+
 module.exports = {
+    validateData,
     registerValidation,
-    eventValidation
+    eventValidation,
+    profileValidation,
+    userUpdateValidation,
+    roleValidation,
+    privilegeValidation
 }; 
\ No newline at end of file
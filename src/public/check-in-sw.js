@@ -0,0 +1,49 @@
+// Service worker for the door check-in page: keeps the page and its scripts available
+// when the venue loses its connection. Served from the site root so it can control /events/.
+const CACHE = 'nascon-check-in-v1';
+const ASSETS = ['/js/event-check-in.js', '/js/main.js', '/css/style.css', '/css/custom.css'];
+const CHECK_IN_PAGE = /^\/events\/\d+\/check-in$/;
+
+const store = (request, response) => {
+    if (response.ok && !response.redirected) {
+        const copy = response.clone();
+        caches.open(CACHE).then(cache => cache.put(request, copy));
+    }
+    return response;
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(ASSETS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('nascon-check-in-') && key !== CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (CHECK_IN_PAGE.test(url.pathname)) {
+        // Network first, so the counter and scan list are current whenever the connection is up
+        event.respondWith(fetch(event.request)
+            .then(response => store(event.request, response))
+            .catch(() => caches.match(event.request).then(cached => cached || Response.error())));
+    } else if (ASSETS.includes(url.pathname)) {
+        // Cached copy first, refreshed in the background for the next visit
+        event.respondWith(caches.match(event.request).then(cached => {
+            const network = fetch(event.request).then(response => store(event.request, response));
+            if (cached) {
+                network.catch(() => {});
+                return cached;
+            }
+            return network;
+        }));
+    }
+});
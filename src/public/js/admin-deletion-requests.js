@@ -0,0 +1,62 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    const showError = (message) => {
+        successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+    };
+
+    const showSuccess = (message) => {
+        errorAlert.classList.add('d-none');
+        successAlert.textContent = message;
+        successAlert.classList.remove('d-none');
+    };
+
+    const request = async (method, url, body) => {
+        const options = { method, headers: {} };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            const message = data.errors ? data.errors[0].msg : (data.details || data.error);
+            throw new Error(message || 'Request failed');
+        }
+        return data;
+    };
+
+    document.querySelectorAll('[data-complete-request]').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (!confirm(`Erase the personal data of ${button.dataset.userName}? This cannot be undone.`)) {
+                return;
+            }
+            try {
+                const data = await request('POST', `/admin/users/deletion-requests/${button.dataset.completeRequest}/complete`);
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('[data-reject-request]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const notes = prompt('Reason for rejecting (shown to the user):');
+            if (notes === null) {
+                return;
+            }
+            try {
+                const data = await request('POST', `/admin/users/deletion-requests/${button.dataset.rejectRequest}/reject`, { notes });
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+});
@@ -0,0 +1,184 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+    let selectedUserId = null;
+
+    const showError = (message) => {
+        successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+    };
+
+    const showSuccess = (message) => {
+        errorAlert.classList.add('d-none');
+        successAlert.textContent = message;
+        successAlert.classList.remove('d-none');
+    };
+
+    const request = async (method, url, body) => {
+        const options = { method, headers: {} };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            const message = data.errors ? data.errors[0].msg : (data.details || data.error);
+            throw new Error(message || 'Request failed');
+        }
+        return data;
+    };
+
+    const formValues = (form) => Object.fromEntries(new FormData(form).entries());
+
+    // Roles
+    document.getElementById('createRoleForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await request('POST', '/admin/roles', formValues(e.target));
+            window.location.reload();
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+
+    document.querySelectorAll('[data-delete-role]').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (!confirm(`Delete the role "${button.dataset.roleName}"?`)) {
+                return;
+            }
+            try {
+                await request('DELETE', `/admin/roles/${button.dataset.deleteRole}`);
+                window.location.reload();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('.grant-role-privilege-form').forEach(form => {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                await request('POST', `/admin/roles/${form.dataset.roleId}/privileges`, formValues(form));
+                window.location.reload();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('[data-revoke-role]').forEach(button => {
+        button.addEventListener('click', async () => {
+            try {
+                await request('DELETE', `/admin/roles/${button.dataset.revokeRole}/privileges/${button.dataset.privilegeId}`);
+                window.location.reload();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    // Per-user overrides
+    const renderMatrix = (data) => {
+        document.getElementById('selectedUserName').textContent = `${data.user.Name} (${data.user.Email})`;
+        document.getElementById('selectedUserRole').textContent = `Role: ${data.user.Role}`;
+
+        const overrideIds = {};
+        data.overrides.forEach(o => { overrideIds[`${o.Resource}.${o.Action}`] = o.UserPrivilegeID; });
+
+        const tbody = document.getElementById('privilegeMatrix');
+        tbody.innerHTML = '';
+        if (data.matrix.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-muted">No privileges</td></tr>';
+        }
+        data.matrix.forEach(row => {
+            const key = `${row.Resource}.${row.Action}`;
+            const tr = document.createElement('tr');
+
+            const name = document.createElement('td');
+            name.textContent = key;
+            const fromRole = document.createElement('td');
+            fromRole.innerHTML = row.FromRole ? '<i class="fas fa-check text-success"></i>' : '';
+            const override = document.createElement('td');
+            if (row.Override) {
+                const badge = document.createElement('span');
+                badge.className = `badge ${row.Override === 'grant' ? 'bg-primary' : 'bg-warning text-dark'}`;
+                badge.textContent = row.Override;
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'btn btn-link btn-sm text-danger p-0 ms-2';
+                remove.innerHTML = '<i class="fas fa-times"></i>';
+                remove.title = 'Remove override';
+                remove.addEventListener('click', () => removeOverride(overrideIds[key]));
+                override.append(badge, remove);
+            }
+            const effective = document.createElement('td');
+            effective.innerHTML = row.Effective
+                ? '<span class="badge bg-success">allowed</span>'
+                : '<span class="badge bg-danger">denied</span>';
+
+            tr.append(name, fromRole, override, effective);
+            tbody.appendChild(tr);
+        });
+
+        document.getElementById('userPrivilegesPanel').classList.remove('d-none');
+    };
+
+    const loadUser = async (userId) => {
+        try {
+            selectedUserId = userId;
+            renderMatrix(await request('GET', `/admin/roles/users/${userId}/privileges`));
+        } catch (error) {
+            showError(error.message);
+        }
+    };
+
+    const removeOverride = async (overrideId) => {
+        try {
+            const data = await request('DELETE', `/admin/roles/users/${selectedUserId}/privileges/${overrideId}`);
+            showSuccess(data.message);
+            loadUser(selectedUserId);
+        } catch (error) {
+            showError(error.message);
+        }
+    };
+
+    document.getElementById('userSearchForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const results = document.getElementById('userSearchResults');
+        try {
+            const users = await request('GET', `/admin/roles/api/users?q=${encodeURIComponent(e.target.q.value)}`);
+            results.innerHTML = '';
+            if (users.length === 0) {
+                results.innerHTML = '<div class="list-group-item text-muted small">No users found</div>';
+            }
+            users.forEach(user => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'list-group-item list-group-item-action small';
+                item.textContent = `${user.Name} — ${user.Email} (${user.Role})`;
+                item.addEventListener('click', () => {
+                    results.innerHTML = '';
+                    loadUser(user.UserID);
+                });
+                results.appendChild(item);
+            });
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+
+    document.getElementById('userOverrideForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const data = await request('POST', `/admin/roles/users/${selectedUserId}/privileges`, formValues(e.target));
+            e.target.reset();
+            showSuccess(data.message);
+            loadUser(selectedUserId);
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+});
@@ -0,0 +1,105 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('importForm');
+    const preview = document.getElementById('importPreview');
+    const rowsBody = document.getElementById('importRows');
+    const summary = document.getElementById('importSummary');
+    const confirmButton = document.getElementById('importConfirm');
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    const showError = (message) => {
+        successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+    };
+
+    const showSuccess = (message) => {
+        errorAlert.classList.add('d-none');
+        successAlert.textContent = message;
+        successAlert.classList.remove('d-none');
+    };
+
+    // Multipart upload; the browser sets the Content-Type boundary itself
+    const upload = async (dryRun) => {
+        const formData = new FormData(form);
+        formData.append('dryRun', dryRun ? 'true' : 'false');
+        const response = await fetch('/admin/users/import', { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok) {
+            const message = data.errors ? data.errors[0].msg : (data.details || data.error);
+            throw new Error(message || 'Request failed');
+        }
+        return data;
+    };
+
+    const cell = (text) => {
+        const td = document.createElement('td');
+        td.textContent = text || '—';
+        return td;
+    };
+
+    const renderPreview = (data) => {
+        rowsBody.innerHTML = '';
+        data.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = row.errors.length > 0 ? 'table-danger' : '';
+            [row.line, row.name, row.email, row.username, row.university].forEach(value => tr.appendChild(cell(value)));
+
+            const problems = document.createElement('td');
+            if (row.errors.length === 0) {
+                problems.innerHTML = '<span class="text-success"><i class="fas fa-check"></i> OK</span>';
+            } else {
+                const list = document.createElement('ul');
+                list.className = 'mb-0 ps-3';
+                row.errors.forEach(message => {
+                    const item = document.createElement('li');
+                    item.textContent = message;
+                    list.appendChild(item);
+                });
+                problems.appendChild(list);
+            }
+            tr.appendChild(problems);
+            rowsBody.appendChild(tr);
+        });
+
+        summary.textContent = `${data.valid} ready, ${data.invalid} with problems (skipped)`;
+        confirmButton.disabled = data.valid === 0;
+        preview.classList.remove('d-none');
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const data = await upload(true);
+            renderPreview(data);
+            errorAlert.classList.add('d-none');
+            successAlert.classList.add('d-none');
+        } catch (error) {
+            preview.classList.add('d-none');
+            showError(error.message);
+        }
+    });
+
+    // A different file or role invalidates the preview
+    form.addEventListener('change', () => {
+        confirmButton.disabled = true;
+        preview.classList.add('d-none');
+    });
+
+    confirmButton.addEventListener('click', async () => {
+        const role = form.querySelector('[name="roleId"]').selectedOptions[0].textContent;
+        if (!confirm(`Create the valid accounts with the ${role} role and email their invites?`)) {
+            return;
+        }
+        confirmButton.disabled = true;
+        try {
+            const data = await upload(false);
+            form.reset();
+            preview.classList.add('d-none');
+            showSuccess(data.message);
+        } catch (error) {
+            confirmButton.disabled = false;
+            showError(error.message);
+        }
+    });
+});
@@ -0,0 +1,87 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('userAdmin');
+    const userId = container.dataset.userId;
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    const showError = (message) => {
+        successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+    };
+
+    const showSuccess = (message) => {
+        errorAlert.classList.add('d-none');
+        successAlert.textContent = message;
+        successAlert.classList.remove('d-none');
+    };
+
+    const request = async (method, url, body) => {
+        const options = { method, headers: {} };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            const message = data.errors ? data.errors[0].msg : (data.details || data.error || data.message);
+            throw new Error(message || 'Request failed');
+        }
+        return data;
+    };
+
+    const profileForm = document.getElementById('userProfileForm');
+    profileForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const data = await request('PUT', `/admin/users/${userId}`, Object.fromEntries(new FormData(profileForm).entries()));
+            showSuccess(data.message);
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+
+    document.querySelectorAll('[data-user-action]').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (button.dataset.confirm && !confirm(button.dataset.confirm)) {
+                return;
+            }
+            try {
+                const data = await request('POST', `/admin/users/${userId}/${button.dataset.userAction}`);
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    const impersonateButton = document.querySelector('[data-impersonate]');
+    if (impersonateButton) {
+        impersonateButton.addEventListener('click', async () => {
+            if (!confirm(impersonateButton.dataset.confirm)) {
+                return;
+            }
+            try {
+                const data = await request('POST', `/admin/users/${userId}/impersonate`);
+                window.location.href = data.redirect;
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    const unlockButton = document.querySelector('[data-unlock]');
+    if (unlockButton) {
+        unlockButton.addEventListener('click', async () => {
+            try {
+                const data = await request('POST', `/auth/users/${userId}/unlock`);
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+});
@@ -0,0 +1,51 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    const showError = (message) => {
+        successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+        window.scrollTo(0, 0);
+    };
+
+    const request = async (method, url, body) => {
+        const options = { method, headers: {} };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(Array.isArray(data.details) ? data.details.join('. ') : (data.details || data.error || 'Request failed'));
+        }
+        return data;
+    };
+
+    document.querySelectorAll('.certificate-template-form').forEach(form => {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                await request('POST', `/certificates/templates/${form.dataset.categoryId}`, Object.fromEntries(new FormData(form).entries()));
+                window.location.reload();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('[data-reset-template]').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (!confirm(`Reset certificates for "${button.dataset.categoryName}" to the default design?`)) {
+                return;
+            }
+            try {
+                await request('DELETE', `/certificates/templates/${button.dataset.resetTemplate}`);
+                window.location.reload();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+});
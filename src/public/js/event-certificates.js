@@ -0,0 +1,27 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('eventCertificates');
+    const issueButton = document.getElementById('issueCertificates');
+    if (!section || !issueButton) {
+        return;
+    }
+    const certificateError = document.getElementById('certificateError');
+
+    issueButton.addEventListener('click', async () => {
+        if (!confirm('Issue certificates now? Places are taken from the current rankings and cannot be changed afterwards.')) {
+            return;
+        }
+        issueButton.disabled = true;
+        try {
+            const response = await fetch(`/events/${section.dataset.eventId}/certificates`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error || 'Request failed');
+            }
+            window.location.reload();
+        } catch (error) {
+            certificateError.textContent = error.message;
+            certificateError.classList.remove('d-none');
+            issueButton.disabled = false;
+        }
+    });
+});
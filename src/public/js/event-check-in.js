@@ -0,0 +1,375 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('checkIn');
+    if (!section) {
+        return;
+    }
+    const eventId = section.dataset.eventId;
+    const form = document.getElementById('checkInForm');
+    const codeInput = document.getElementById('ticketCode');
+    const scanResult = document.getElementById('scanResult');
+    const recentScans = document.getElementById('recentScans');
+    const checkedInCount = document.getElementById('checkedInCount');
+
+    // How often the counter and scan list refresh, to include other scanners at the door
+    const REFRESH_MS = 5000;
+    // Offline scans sent per sync request (the server accepts up to 200)
+    const SYNC_BATCH = 100;
+    const SCAN_BADGES = { checked_in: 'bg-success', duplicate: 'bg-warning text-dark', rejected: 'bg-danger' };
+
+    const showResult = (kind, message) => {
+        scanResult.className = `alert alert-${kind} mt-3 mb-0`;
+        scanResult.textContent = message;
+    };
+
+    const updateCounts = ({ checkedIn, registered }) => {
+        checkedInCount.textContent = checkedIn;
+        document.getElementById('registeredCount').textContent = registered;
+    };
+
+    const renderScans = (scans) => {
+        const noScans = document.getElementById('noScans');
+        if (noScans && scans.length > 0) {
+            noScans.remove();
+        }
+        recentScans.replaceChildren(...scans.map(scan => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item bg-dark text-light';
+
+            const badge = document.createElement('span');
+            badge.className = `badge ${SCAN_BADGES[scan.Result]} me-2`;
+            badge.textContent = scan.Result.replace('_', ' ');
+            item.append(badge);
+
+            if (scan.Conflict) {
+                const conflict = document.createElement('span');
+                conflict.className = 'badge bg-danger me-2';
+                conflict.textContent = 'conflict';
+                item.append(conflict);
+            }
+
+            const meta = document.createElement('span');
+            meta.className = 'text-muted';
+            meta.textContent = ` · ${new Date(scan.ScannedAt).toLocaleTimeString()}` +
+                `${scan.ScannedByName ? ` by ${scan.ScannedByName}` : ''}${scan.SyncedAt ? ', offline' : ''}`;
+
+            item.append(scan.ParticipantName || 'Unknown ticket', meta);
+            if (scan.Detail) {
+                const detail = document.createElement('div');
+                detail.className = 'text-muted';
+                detail.textContent = scan.Detail;
+                item.append(detail);
+            }
+            return item;
+        }));
+    };
+
+    const refresh = async () => {
+        try {
+            const response = await fetch(`/events/${eventId}/check-in/stats`);
+            if (!response.ok) {
+                return;
+            }
+            const data = await response.json();
+            updateCounts(data);
+            renderScans(data.recentScans);
+        } catch (error) {
+            // Keep the last figures on screen while the connection is down
+        }
+    };
+
+    // Offline mode: the attendee list, queued scans and local check-ins live in IndexedDB
+    const offlineMode = document.getElementById('offlineMode');
+    const offlineStatus = document.getElementById('offlineStatus');
+    const syncNow = document.getElementById('syncNow');
+    const offlineSupported = 'indexedDB' in window && window.crypto && window.crypto.subtle && window.crypto.randomUUID;
+    let attendeeList = null;
+    let attendees = new Map();
+    const admitted = new Set();
+
+    const dbReady = !offlineSupported ? null : new Promise((resolve, reject) => {
+        const request = indexedDB.open('nascon-check-in', 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('lists', { keyPath: 'eventId' });
+            db.createObjectStore('queue', { keyPath: 'clientScanId' }).createIndex('eventId', 'eventId');
+            db.createObjectStore('admitted', { keyPath: 'key' }).createIndex('eventId', 'eventId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const idb = (storeName, mode, action) => dbReady.then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request && request.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+
+    const sha256Hex = async (text) => {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    };
+
+    const pendingScans = () => idb('queue', 'readonly', store => store.index('eventId').getAll(Number(eventId)));
+
+    const updateOfflineStatus = async () => {
+        offlineStatus.textContent = attendeeList
+            ? `Attendee list of ${new Date(attendeeList.issuedAt).toLocaleString()}: ${attendeeList.attendees.length} attendees.`
+            : 'No attendee list on this device.';
+        const pending = (await pendingScans()).length;
+        document.getElementById('pendingCount').textContent = pending;
+        syncNow.classList.toggle('d-none', pending === 0);
+    };
+
+    // A damaged or edited copy is dropped rather than trusted at the door
+    const useList = async (list) => {
+        if (!list || await sha256Hex(JSON.stringify(list.attendees)) !== list.digest) {
+            attendeeList = null;
+            attendees = new Map();
+            return false;
+        }
+        attendeeList = list;
+        attendees = new Map(list.attendees.map(attendee => [attendee.ticketHash, attendee]));
+        return true;
+    };
+
+    const markAdmitted = async (ticketHash) => {
+        admitted.add(ticketHash);
+        await idb('admitted', 'readwrite', store => store.put({ key: `${eventId}:${ticketHash}`, eventId: Number(eventId), ticketHash }));
+    };
+
+    const checkInOffline = async (code) => {
+        const ticketHash = await sha256Hex(code.trim());
+        const attendee = attendees.get(ticketHash);
+        const alreadyIn = !!attendee && (!!attendee.checkedInAt || admitted.has(ticketHash));
+
+        // Every scan is queued, so the server's log matches the door's
+        await idb('queue', 'readwrite', store => store.put({
+            clientScanId: window.crypto.randomUUID(),
+            eventId: Number(eventId),
+            code,
+            scannedAt: new Date().toISOString(),
+            admitted: !!attendee && !alreadyIn
+        }));
+
+        if (!attendee) {
+            showResult('danger', 'Offline: this ticket is not on the attendee list (invalid, for another event or not paid for)');
+        } else if (alreadyIn) {
+            showResult('warning', `Offline duplicate scan: ${attendee.name} is already checked in`);
+        } else {
+            await markAdmitted(ticketHash);
+            checkedInCount.textContent = Number(checkedInCount.textContent) + 1;
+            const team = attendee.teamName ? ` (${attendee.teamName})` : '';
+            showResult('success', `${attendee.name}${team} checked in offline; the scan syncs when the connection returns`);
+        }
+        await updateOfflineStatus();
+    };
+
+    let syncing = false;
+    const sync = async () => {
+        if (!offlineSupported || syncing || !attendeeList || !navigator.onLine) {
+            return;
+        }
+        const scans = await pendingScans();
+        if (scans.length === 0) {
+            return;
+        }
+
+        syncing = true;
+        const conflicts = [];
+        let synced = 0;
+        try {
+            for (let i = 0; i < scans.length; i += SYNC_BATCH) {
+                const response = await fetch(`/events/${eventId}/check-in/sync`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        list: { issuedAt: attendeeList.issuedAt, digest: attendeeList.digest, signature: attendeeList.signature },
+                        scans: scans.slice(i, i + SYNC_BATCH).map(({ clientScanId, code, scannedAt, admitted: wasAdmitted }) =>
+                            ({ clientScanId, code, scannedAt, admitted: wasAdmitted }))
+                    })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    showResult('danger', data.error || 'Offline scans could not be synced');
+                    return;
+                }
+                await idb('queue', 'readwrite', store => {
+                    data.results.forEach(result => store.delete(result.clientScanId));
+                });
+                synced += data.results.length;
+                conflicts.push(...data.results.filter(result => result.conflict));
+                updateCounts(data.counts);
+            }
+            showResult(conflicts.length > 0 ? 'warning' : 'success', conflicts.length > 0
+                ? `Synced ${synced} offline scans with ${conflicts.length} conflicts: ${conflicts.map(conflict => conflict.message).join('; ')}`
+                : `Synced ${synced} offline scans`);
+            refresh();
+        } catch (error) {
+            // Still offline; the queue is kept for the next attempt
+        } finally {
+            syncing = false;
+            await updateOfflineStatus();
+        }
+    };
+
+    const setConnectionState = () => {
+        const connectionState = document.getElementById('connectionState');
+        connectionState.className = `badge ${navigator.onLine ? 'bg-success' : 'bg-danger'}`;
+        connectionState.textContent = navigator.onLine ? 'Online' : 'Offline';
+    };
+
+    if (offlineSupported) {
+        (async () => {
+            await useList(await idb('lists', 'readonly', store => store.get(Number(eventId))));
+            (await idb('admitted', 'readonly', store => store.index('eventId').getAll(Number(eventId))))
+                .forEach(entry => admitted.add(entry.ticketHash));
+            await updateOfflineStatus();
+            sync();
+        })();
+
+        document.getElementById('downloadList').addEventListener('click', async () => {
+            try {
+                const response = await fetch(`/events/${eventId}/check-in/attendees`);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Could not download the attendee list');
+                }
+                if (!await useList(data)) {
+                    throw new Error('The attendee list arrived damaged; try again');
+                }
+                await idb('lists', 'readwrite', store => store.put(data));
+                await updateOfflineStatus();
+                showResult('info', `Attendee list saved on this device: ${data.attendees.length} attendees`);
+            } catch (error) {
+                showResult('danger', error instanceof TypeError ? 'Could not reach the server' : error.message);
+            }
+        });
+        syncNow.addEventListener('click', sync);
+
+        setConnectionState();
+        window.addEventListener('online', () => {
+            setConnectionState();
+            sync();
+        });
+        window.addEventListener('offline', setConnectionState);
+
+        // Lets the page itself open without a connection
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/check-in-sw.js', { scope: '/events/' }).catch(() => {});
+        }
+    } else {
+        offlineMode.classList.add('d-none');
+    }
+
+    let submitting = false;
+    const submitCode = async (code) => {
+        if (submitting || !code) {
+            return;
+        }
+        submitting = true;
+        try {
+            if (attendeeList && !navigator.onLine) {
+                await checkInOffline(code);
+                return;
+            }
+
+            let response;
+            let data;
+            try {
+                response = await fetch(`/events/${eventId}/check-in`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ code })
+                });
+                data = await response.json();
+            } catch (error) {
+                if (attendeeList) {
+                    await checkInOffline(code);
+                } else {
+                    showResult('danger', 'Could not reach the server; download the attendee list to keep checking in offline');
+                }
+                return;
+            }
+
+            if (!response.ok) {
+                showResult('danger', data.error || 'Check-in failed');
+            } else {
+                if (attendeeList) {
+                    await markAdmitted(await sha256Hex(code.trim()));
+                }
+                if (data.result === 'duplicate') {
+                    showResult('warning', `Duplicate scan: ${data.participant.name}. ${data.message}`);
+                } else {
+                    const team = data.participant.teamName ? ` (${data.participant.teamName})` : '';
+                    showResult('success', `${data.message}${team}`);
+                }
+                const badgeLink = document.createElement('a');
+                badgeLink.className = 'alert-link ms-2';
+                badgeLink.target = '_blank';
+                badgeLink.href = `/events/${eventId}/badges.pdf?registration=${data.registrationId}` +
+                    `&template=${encodeURIComponent(document.getElementById('badgeTemplate').value)}`;
+                badgeLink.textContent = 'Print badge';
+                scanResult.append(badgeLink);
+            }
+            if (data.counts) {
+                updateCounts(data.counts);
+            }
+            refresh();
+        } finally {
+            submitting = false;
+            codeInput.value = '';
+            codeInput.focus();
+        }
+    };
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitCode(codeInput.value.trim());
+    });
+
+    // Camera scanning where the browser can decode QR codes itself
+    const startCamera = document.getElementById('startCamera');
+    if ('BarcodeDetector' in window && navigator.mediaDevices) {
+        startCamera.classList.remove('d-none');
+        startCamera.addEventListener('click', async () => {
+            const video = document.getElementById('cameraPreview');
+            try {
+                video.srcObject = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            } catch (error) {
+                showResult('danger', 'Camera access was refused');
+                return;
+            }
+            video.classList.remove('d-none');
+            startCamera.classList.add('d-none');
+            await video.play();
+
+            const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+            let lastCode = null;
+            let lastSeenAt = 0;
+            const detect = async () => {
+                try {
+                    const [barcode] = await detector.detect(video);
+                    // A ticket stays in view for many frames; submit it again only once it has left the view
+                    if (barcode) {
+                        const isNew = barcode.rawValue !== lastCode || Date.now() - lastSeenAt > 5000;
+                        lastCode = barcode.rawValue;
+                        lastSeenAt = Date.now();
+                        if (isNew) {
+                            await submitCode(barcode.rawValue);
+                        }
+                    }
+                } catch (error) {
+                    // Frames that cannot be decoded are skipped
+                }
+                requestAnimationFrame(detect);
+            };
+            detect();
+        });
+    }
+
+    setInterval(() => {
+        refresh();
+        sync();
+    }, REFRESH_MS);
+});
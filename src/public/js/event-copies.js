@@ -0,0 +1,52 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('eventCopies');
+    if (!section) {
+        return;
+    }
+    const copyResult = document.getElementById('copyResult');
+
+    const showResult = (message, isError) => {
+        copyResult.textContent = message;
+        copyResult.classList.toggle('text-danger', isError);
+        copyResult.classList.toggle('text-success', !isError);
+        copyResult.classList.remove('d-none');
+    };
+
+    const post = async (url, body) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.details || data.error || 'Request failed');
+        }
+        return data;
+    };
+
+    document.getElementById('duplicateEvent').addEventListener('click', async () => {
+        try {
+            const data = await post(`/events/${section.dataset.eventId}/duplicate`, {
+                offsetDays: document.getElementById('copyOffsetDays').value
+            });
+            if (data.venueDropped) {
+                alert(data.message);
+            }
+            window.location.href = `/events/edit/${data.eventId}`;
+        } catch (error) {
+            showResult(error.message, true);
+        }
+    });
+
+    document.getElementById('saveTemplate').addEventListener('click', async () => {
+        try {
+            const data = await post(`/events/${section.dataset.eventId}/template`, {
+                templateName: document.getElementById('templateName').value
+            });
+            showResult(data.message, false);
+        } catch (error) {
+            showResult(error.message, true);
+        }
+    });
+});
@@ -0,0 +1,35 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('eventLifecycle');
+    if (!section) {
+        return;
+    }
+    const eventId = section.dataset.eventId;
+    const statusError = document.getElementById('statusError');
+
+    section.querySelectorAll('[data-event-status]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const status = button.dataset.eventStatus;
+            const warning = status === 'Cancelled'
+                ? 'Cancel this event? Pending payments will be cancelled and registrants notified. This cannot be undone.'
+                : `Move this event to ${status}?`;
+            if (!confirm(warning)) {
+                return;
+            }
+            try {
+                const response = await fetch(`/events/${eventId}/status`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ status, reason: document.getElementById('statusReason').value })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.details || data.error || 'Request failed');
+                }
+                window.location.reload();
+            } catch (error) {
+                statusError.textContent = error.message;
+                statusError.classList.remove('d-none');
+            }
+        });
+    });
+});
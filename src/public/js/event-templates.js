@@ -0,0 +1,113 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    const showError = (message) => {
+        successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+        window.scrollTo(0, 0);
+    };
+
+    const showSuccess = (message) => {
+        errorAlert.classList.add('d-none');
+        successAlert.textContent = message;
+        successAlert.classList.remove('d-none');
+    };
+
+    const request = async (method, url, body) => {
+        const options = { method, headers: {} };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.details || data.error || 'Request failed');
+        }
+        return data;
+    };
+
+    const formValues = (form) => Object.fromEntries(new FormData(form).entries());
+
+    // Templates
+    document.querySelectorAll('.use-template-form').forEach(form => {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const data = await request('POST', `/events/templates/${form.dataset.templateId}/use`, formValues(form));
+                window.location.href = `/events/edit/${data.eventId}`;
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('[data-delete-template]').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (!confirm(`Delete the template "${button.dataset.templateName}"? Events created from it are kept.`)) {
+                return;
+            }
+            try {
+                await request('DELETE', `/events/templates/${button.dataset.deleteTemplate}`);
+                window.location.reload();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    // Editions
+    const cloneForm = document.getElementById('cloneEditionForm');
+    if (!cloneForm) {
+        return;
+    }
+    const fromYear = document.getElementById('fromYear');
+    const toYear = document.getElementById('toYear');
+    const offsetDays = document.getElementById('offsetDays');
+    const cloneResults = document.getElementById('cloneResults');
+
+    // Whole weeks per year between the editions, until the offset is typed in by hand
+    let offsetEdited = false;
+    offsetDays.addEventListener('input', () => {
+        offsetEdited = true;
+    });
+    const suggestOffset = () => {
+        if (!offsetEdited && fromYear.value && toYear.value) {
+            offsetDays.value = (Number(toYear.value) - Number(fromYear.value)) * Number(offsetDays.dataset.weeksPerYearDays);
+        }
+    };
+    fromYear.addEventListener('change', suggestOffset);
+    toYear.addEventListener('input', suggestOffset);
+    suggestOffset();
+
+    cloneForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!confirm(`Copy the events of ${fromYear.value} into ${toYear.value}, moved by ${offsetDays.value} days?`)) {
+            return;
+        }
+        try {
+            const data = await request('POST', '/events/clone-edition', formValues(cloneForm));
+            showSuccess(data.message);
+            cloneResults.replaceChildren(
+                ...data.created.map(copy => {
+                    const item = document.createElement('li');
+                    const link = document.createElement('a');
+                    link.href = `/events/${copy.eventId}`;
+                    link.textContent = copy.name;
+                    item.append(link, ` on ${copy.date}${copy.venueDropped ? ', needs a venue' : ''}`);
+                    return item;
+                }),
+                ...data.skipped.map(skip => {
+                    const item = document.createElement('li');
+                    item.className = 'text-muted';
+                    item.textContent = `${skip.name}: ${skip.reason}`;
+                    return item;
+                })
+            );
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+});
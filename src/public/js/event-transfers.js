@@ -0,0 +1,29 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('transferApprovals');
+    if (!section) {
+        return;
+    }
+    const transferError = document.getElementById('transferError');
+
+    section.querySelectorAll('[data-transfer-decision]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const decision = button.dataset.transferDecision;
+            if (!confirm(decision === 'approve'
+                ? 'Approve this transfer? The registration moves to the new participant.'
+                : 'Reject this transfer? The registration stays with its current holder.')) {
+                return;
+            }
+            try {
+                const response = await fetch(`/register/transfers/${button.dataset.transferId}/${decision}`, { method: 'POST' });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.details || data.error || 'Request failed');
+                }
+                window.location.reload();
+            } catch (error) {
+                transferError.textContent = error.message;
+                transferError.classList.remove('d-none');
+            }
+        });
+    });
+});
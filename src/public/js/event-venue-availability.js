@@ -0,0 +1,70 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const venueSelect = document.getElementById('VenueID');
+    const hint = document.getElementById('venueAvailability');
+    const calendarLink = document.getElementById('venueCalendarLink');
+    const dateInput = document.getElementById('Date');
+    const timeInput = document.getElementById('Time');
+    const durationInput = document.getElementById('DurationMinutes');
+    if (!venueSelect || !hint) {
+        return;
+    }
+
+    const status = document.createElement('span');
+    hint.prepend(status);
+
+    const updateCalendarLink = () => {
+        const params = new URLSearchParams();
+        if (venueSelect.value) params.set('calendar', venueSelect.value);
+        if (dateInput.value) params.set('from', dateInput.value);
+        calendarLink.href = `/venues?${params.toString()}`;
+        calendarLink.textContent = venueSelect.value ? 'View this venue\'s calendar' : 'View venue calendars';
+    };
+
+    // Marks venues that are booked or closed during the chosen slot
+    const checkAvailability = async () => {
+        updateCalendarLink();
+        const options = Array.from(venueSelect.options).filter(option => option.value);
+        options.forEach(option => {
+            option.textContent = option.textContent.replace(/ \(unavailable\)$/, '');
+        });
+        status.textContent = '';
+
+        const minutes = parseInt(durationInput.value, 10);
+        if (!dateInput.value || !timeInput.value || !(minutes > 0)) {
+            return;
+        }
+
+        const time = timeInput.value.slice(0, 5);
+        const start = new Date(`${dateInput.value}T${time}:00Z`);
+        const end = new Date(start.getTime() + minutes * 60000).toISOString().slice(0, 16);
+        const params = new URLSearchParams({
+            start: `${dateInput.value}T${time}`,
+            end,
+            excludeEventId: hint.dataset.eventId
+        });
+
+        try {
+            const response = await fetch(`/venues/api/available?${params.toString()}`);
+            if (!response.ok) {
+                return;
+            }
+            const data = await response.json();
+            const free = new Set(data.venues.map(venue => String(venue.VenueID)));
+            options.forEach(option => {
+                if (!free.has(option.value)) {
+                    option.textContent += ' (unavailable)';
+                }
+            });
+            if (venueSelect.value && !free.has(venueSelect.value)) {
+                status.textContent = 'This venue is not free for the chosen time. ';
+            }
+        } catch (error) {
+            // Availability is only a hint; the server checks for clashes on save
+        }
+    };
+
+    [venueSelect, dateInput, timeInput, durationInput].forEach(input => {
+        input.addEventListener('change', checkAvailability);
+    });
+    checkAvailability();
+});
@@ -1,6 +1,8 @@
 document.addEventListener('DOMContentLoaded', () => {
     const form = document.getElementById('loginForm');
     const errorAlert = document.getElementById('errorAlert');
+    const resendAlert = document.getElementById('resendAlert');
+    const resendLink = document.getElementById('resendVerification');
     const togglePassword = document.getElementById('togglePassword');
     const passwordInput = document.getElementById('password');
 
@@ -19,6 +21,7 @@ document.addEventListener('DOMContentLoaded', () => {
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
             errorAlert.classList.add('d-none');
+            if (resendAlert) resendAlert.classList.add('d-none');
             
             // Basic form validation
             if (!form.checkValidity()) {
@@ -48,7 +51,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.log('Response data:', data);
 
                 if (!response.ok) {
-                    throw new Error(data.error || 'Login failed');
+                    if (data.unverified && resendAlert) {
+                        resendAlert.classList.remove('d-none');
+                    }
+                    throw new Error(data.details || data.error || 'Login failed');
                 }
 
                 // Redirect to dashboard or home page
@@ -61,6 +67,31 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Resend the email verification link for the address in the form
+    if (resendLink) {
+        resendLink.addEventListener('click', async (e) => {
+            e.preventDefault();
+            try {
+                const response = await fetch('/register/verify/resend', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ email: form.email.value })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Could not resend verification email');
+                }
+                resendAlert.textContent = data.message;
+            } catch (error) {
+                console.error('Resend verification error:', error);
+                errorAlert.textContent = error.message;
+                errorAlert.classList.remove('d-none');
+            }
+        });
+    }
+
     // Check for registration success message
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('registered') === 'true') {
@@ -0,0 +1,238 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    const showError = (message) => {
+        if (successAlert) successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+    };
+
+    const showSuccess = (message) => {
+        errorAlert.classList.add('d-none');
+        successAlert.textContent = message;
+        successAlert.classList.remove('d-none');
+    };
+
+    const request = async (method, url, body) => {
+        const options = { method, headers: {} };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            const message = data.errors ? data.errors[0].msg : (data.details || data.error);
+            throw new Error(message || 'Request failed');
+        }
+        return data;
+    };
+
+    // Dashboard alerts
+    document.querySelectorAll('[data-read-alert]').forEach(button => {
+        button.addEventListener('click', async () => {
+            try {
+                await request('POST', `/me/alerts/${button.dataset.readAlert}/read`);
+                document.getElementById(`alert-${button.dataset.readAlert}`).remove();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    // Registration cancellation
+    document.querySelectorAll('[data-cancel-registration]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const id = button.dataset.cancelRegistration;
+            try {
+                const quote = await request('GET', `/register/${id}/refund-quote`);
+                const refundText = quote.paid
+                    ? `You will be refunded Rs. ${quote.amount.toFixed(2)} (${quote.percent}%).`
+                    : 'Nothing has been paid, so there is no refund.';
+                const reason = prompt(`Cancel this registration? ${refundText}\n\nReason (optional):`);
+                if (reason === null) {
+                    return;
+                }
+                const data = await request('POST', `/register/${id}/cancel`, { reason });
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 2500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    // Registration transfers
+    document.querySelectorAll('[data-transfer-registration]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const email = prompt('Email address of the person who should take over this registration:');
+            if (!email) {
+                return;
+            }
+            try {
+                const data = await request('POST', `/register/${button.dataset.transferRegistration}/transfer`, { email });
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 2500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('[data-withdraw-transfer]').forEach(button => {
+        button.addEventListener('click', async () => {
+            try {
+                const data = await request('DELETE', `/register/${button.dataset.withdrawTransfer}/transfer`);
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    document.querySelectorAll('[data-transfer-answer]').forEach(button => {
+        button.addEventListener('click', async () => {
+            try {
+                const data = await request('POST', `/register/transfers/${button.dataset.transferId}/${button.dataset.transferAnswer}`);
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    // Profile details
+    const profileForm = document.getElementById('profileForm');
+    if (profileForm) {
+        profileForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const data = await request('PUT', '/me/profile', Object.fromEntries(new FormData(profileForm).entries()));
+                showSuccess(data.message);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    // API tokens
+    const apiTokenForm = document.getElementById('apiTokenForm');
+    if (apiTokenForm) {
+        apiTokenForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(apiTokenForm);
+            try {
+                const data = await request('POST', '/me/api-tokens', {
+                    name: formData.get('name'),
+                    expiresInDays: formData.get('expiresInDays'),
+                    scopes: formData.getAll('scopes')
+                });
+                // Reload the list but keep the one-time token on screen until the user leaves
+                const page = await fetch('/me/api-tokens').then(response => response.text());
+                const fresh = new DOMParser().parseFromString(page, 'text/html');
+                document.getElementById('apiTokenList').replaceWith(fresh.getElementById('apiTokenList'));
+                bindRevokeButtons();
+                apiTokenForm.reset();
+                document.getElementById('newTokenValue').textContent = data.token;
+                document.getElementById('newTokenPanel').classList.remove('d-none');
+                showSuccess(data.message);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    const bindRevokeButtons = () => {
+        document.querySelectorAll('[data-revoke-token]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Revoke this token? Scripts using it will stop working.')) {
+                    return;
+                }
+                try {
+                    await request('DELETE', `/me/api-tokens/${button.dataset.revokeToken}`);
+                    window.location.reload();
+                } catch (error) {
+                    showError(error.message);
+                }
+            });
+        });
+    };
+    bindRevokeButtons();
+
+    // Active sessions
+    document.querySelectorAll('[data-revoke-session]').forEach(button => {
+        button.addEventListener('click', async () => {
+            try {
+                await request('DELETE', `/me/sessions/${button.dataset.revokeSession}`);
+                button.closest('li').remove();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    const revokeOtherSessions = document.getElementById('revokeOtherSessions');
+    if (revokeOtherSessions) {
+        revokeOtherSessions.addEventListener('click', async () => {
+            if (!confirm('Log out all other sessions?')) {
+                return;
+            }
+            try {
+                const data = await request('POST', '/me/sessions/revoke-others');
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    // Account deletion
+    const deletionRequestForm = document.getElementById('deletionRequestForm');
+    if (deletionRequestForm) {
+        deletionRequestForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!confirm('Request deletion of your account? This cannot be undone once processed.')) {
+                return;
+            }
+            try {
+                const data = await request('POST', '/me/privacy/deletion-request', Object.fromEntries(new FormData(deletionRequestForm).entries()));
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    const cancelDeletionRequest = document.getElementById('cancelDeletionRequest');
+    if (cancelDeletionRequest) {
+        cancelDeletionRequest.addEventListener('click', async () => {
+            try {
+                const data = await request('DELETE', '/me/privacy/deletion-request');
+                showSuccess(data.message);
+                setTimeout(() => window.location.reload(), 1500);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    // Password change
+    const passwordForm = document.getElementById('passwordForm');
+    if (passwordForm) {
+        passwordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const data = await request('POST', '/me/password', Object.fromEntries(new FormData(passwordForm).entries()));
+                passwordForm.reset();
+                showSuccess(data.message);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+});
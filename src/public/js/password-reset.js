@@ -0,0 +1,80 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    const showError = (message) => {
+        successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+    };
+
+    const showSuccess = (message) => {
+        errorAlert.classList.add('d-none');
+        successAlert.textContent = message;
+        successAlert.classList.remove('d-none');
+    };
+
+    const postJson = async (url, body) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    };
+
+    // Forgot password form
+    const forgotForm = document.getElementById('forgotPasswordForm');
+    if (forgotForm) {
+        forgotForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!forgotForm.checkValidity()) {
+                forgotForm.classList.add('was-validated');
+                return;
+            }
+
+            try {
+                const data = await postJson('/login/forgot', { email: forgotForm.email.value });
+                showSuccess(data.message);
+                forgotForm.reset();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    // Reset password form
+    const resetForm = document.getElementById('resetPasswordForm');
+    if (resetForm) {
+        resetForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!resetForm.checkValidity()) {
+                resetForm.classList.add('was-validated');
+                return;
+            }
+            if (resetForm.password.value !== resetForm.confirmPassword.value) {
+                showError('Passwords do not match');
+                return;
+            }
+
+            try {
+                const data = await postJson(`/login/reset/${resetForm.dataset.token}`, {
+                    password: resetForm.password.value,
+                    confirmPassword: resetForm.confirmPassword.value
+                });
+                showSuccess(data.message);
+                setTimeout(() => {
+                    window.location.href = data.redirect || '/login';
+                }, 2000);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+});
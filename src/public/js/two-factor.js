@@ -0,0 +1,134 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    const showError = (message) => {
+        if (successAlert) successAlert.classList.add('d-none');
+        errorAlert.textContent = message;
+        errorAlert.classList.remove('d-none');
+    };
+
+    const showSuccess = (message) => {
+        errorAlert.classList.add('d-none');
+        if (successAlert) {
+            successAlert.textContent = message;
+            successAlert.classList.remove('d-none');
+        }
+    };
+
+    const postJson = async (url, body = {}) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.details || data.error || 'Request failed');
+            error.redirect = data.redirect;
+            throw error;
+        }
+        return data;
+    };
+
+    // Show freshly generated recovery codes (they are only ever returned once)
+    const showRecoveryCodes = (codes, continueUrl) => {
+        const panel = document.getElementById('recoveryCodesPanel');
+        const list = document.getElementById('recoveryCodesList');
+        list.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item';
+            item.textContent = code;
+            list.appendChild(item);
+        });
+        if (continueUrl) {
+            document.getElementById('recoveryCodesContinue').href = continueUrl;
+        }
+        panel.classList.remove('d-none');
+    };
+
+    // Second login step
+    const loginForm = document.getElementById('twoFactorLoginForm');
+    if (loginForm) {
+        loginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            errorAlert.classList.add('d-none');
+            if (!loginForm.checkValidity()) {
+                loginForm.classList.add('was-validated');
+                return;
+            }
+
+            try {
+                const data = await postJson('/login/2fa', { code: loginForm.code.value });
+                if (data.recoveryCodes) {
+                    loginForm.classList.add('d-none');
+                    showRecoveryCodes(data.recoveryCodes, data.redirect);
+                    return;
+                }
+                window.location.href = data.redirect || '/';
+            } catch (error) {
+                if (error.redirect) {
+                    window.location.href = error.redirect;
+                    return;
+                }
+                showError(error.message);
+            }
+        });
+    }
+
+    // Enrolment from the security settings page
+    const startSetup = document.getElementById('startTwoFactorSetup');
+    if (startSetup) {
+        startSetup.addEventListener('click', async () => {
+            try {
+                const data = await postJson('/me/security/2fa/setup');
+                document.getElementById('twoFactorQr').src = data.qrDataUrl;
+                document.getElementById('twoFactorSecret').textContent = data.secret;
+                document.getElementById('twoFactorSetupPanel').classList.remove('d-none');
+                startSetup.classList.add('d-none');
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    const enableForm = document.getElementById('twoFactorEnableForm');
+    if (enableForm) {
+        enableForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const data = await postJson('/me/security/2fa/enable', { code: enableForm.code.value });
+                document.getElementById('twoFactorSetupPanel').classList.add('d-none');
+                showSuccess(data.message);
+                showRecoveryCodes(data.recoveryCodes);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    // Disable / regenerate recovery codes, both confirmed with a current code
+    const manageForm = document.getElementById('twoFactorManageForm');
+    if (manageForm) {
+        manageForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const action = e.submitter ? e.submitter.dataset.action : 'recovery-codes';
+            try {
+                const data = await postJson(`/me/security/2fa/${action}`, { code: manageForm.code.value });
+                manageForm.reset();
+                if (data.recoveryCodes) {
+                    showSuccess(data.message);
+                    showRecoveryCodes(data.recoveryCodes);
+                } else {
+                    showSuccess(data.message);
+                    setTimeout(() => window.location.reload(), 1500);
+                }
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+});
@@ -0,0 +1,176 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const venueSelect = document.getElementById('calendarVenue');
+    const fromInput = document.getElementById('calendarFrom');
+    const daysContainer = document.getElementById('calendarDays');
+    const calendarError = document.getElementById('calendarError');
+    const calendarSuccess = document.getElementById('calendarSuccess');
+    const maintenanceForm = document.getElementById('maintenanceForm');
+    if (!venueSelect) {
+        return;
+    }
+
+    const DAYS_SHOWN = 7;
+
+    // Calendar dates are wall-clock venue dates, so work in UTC to avoid DST shifts
+    const addDays = (date, days) => {
+        const value = new Date(`${date}T00:00:00Z`);
+        value.setUTCDate(value.getUTCDate() + days);
+        return value.toISOString().slice(0, 10);
+    };
+
+    const slot = (className, label) => {
+        const span = document.createElement('span');
+        span.className = `calendar-slot ${className}`;
+        span.textContent = label;
+        return span;
+    };
+
+    const render = (data, from) => {
+        daysContainer.innerHTML = '';
+        for (let i = 0; i < DAYS_SHOWN; i++) {
+            const day = addDays(from, i);
+            const nextDay = addDays(from, i + 1);
+            const row = document.createElement('div');
+            row.className = 'calendar-day';
+
+            const heading = document.createElement('strong');
+            heading.className = 'calendar-date';
+            heading.textContent = new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, {
+                weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+            });
+            row.appendChild(heading);
+
+            const overlaps = (item) => item.StartsAt < `${nextDay}T00:00` && item.EndsAt > `${day}T00:00`;
+            data.blocks.filter(overlaps).forEach(block => {
+                const label = block.WindowID
+                    ? `${block.StartsAt.replace('T', ' ')}–${block.EndsAt.replace('T', ' ')} ${block.Reason}`
+                    : block.Reason;
+                const blocked = slot('blocked', label);
+                if (block.WindowID && maintenanceForm) {
+                    const remove = document.createElement('button');
+                    remove.type = 'button';
+                    remove.className = 'btn btn-link btn-sm p-0 ms-1';
+                    remove.title = 'Remove maintenance window';
+                    remove.innerHTML = '<i class="fas fa-times"></i>';
+                    remove.addEventListener('click', () => removeWindow(block.WindowID));
+                    blocked.appendChild(remove);
+                }
+                row.appendChild(blocked);
+            });
+            data.bookings.filter(overlaps).forEach(booking => {
+                const starts = booking.StartsAt.slice(0, 10) === day ? booking.StartsAt.slice(11) : '…';
+                const ends = booking.EndsAt.slice(0, 10) === day ? booking.EndsAt.slice(11) : '…';
+                row.appendChild(slot(booking.Type, `${starts}–${ends} ${booking.Name}`));
+            });
+            if (row.children.length === 1) {
+                const free = document.createElement('span');
+                free.className = 'text-muted';
+                free.textContent = 'Free';
+                row.appendChild(free);
+            }
+            daysContainer.appendChild(row);
+        }
+    };
+
+    const request = async (method, url, body) => {
+        const options = { method, headers: {} };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.details || data.error || 'Request failed');
+        }
+        return data;
+    };
+
+    const showError = (message) => {
+        calendarSuccess.classList.add('d-none');
+        calendarError.textContent = message;
+        calendarError.classList.remove('d-none');
+    };
+
+    const showSuccess = (message) => {
+        calendarError.classList.add('d-none');
+        calendarSuccess.textContent = message;
+        calendarSuccess.classList.remove('d-none');
+    };
+
+    const load = async () => {
+        calendarError.classList.add('d-none');
+        if (maintenanceForm) {
+            maintenanceForm.classList.toggle('d-none', !venueSelect.value);
+        }
+        const from = fromInput.value;
+        if (!venueSelect.value || !from) {
+            daysContainer.innerHTML = '';
+            return;
+        }
+        try {
+            render(await request('GET', `/venues/${venueSelect.value}/calendar?from=${from}&to=${addDays(from, DAYS_SHOWN)}`), from);
+        } catch (error) {
+            showError(error.message);
+        }
+    };
+
+    const removeWindow = async (windowId) => {
+        if (!confirm('Remove this maintenance window?')) {
+            return;
+        }
+        try {
+            showSuccess((await request('DELETE', `/venues/${venueSelect.value}/maintenance/${windowId}`)).message);
+            load();
+        } catch (error) {
+            showError(error.message);
+        }
+    };
+
+    if (maintenanceForm) {
+        maintenanceForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const data = await request('POST', `/venues/${venueSelect.value}/maintenance`,
+                    Object.fromEntries(new FormData(maintenanceForm).entries()));
+                const affected = data.affectedEvents.map(event => event.Name).join(', ');
+                showSuccess(affected ? `${data.message}: ${affected}` : data.message);
+                maintenanceForm.reset();
+                load();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
+
+    const show = (venueId) => {
+        venueSelect.value = venueId;
+        load();
+        document.getElementById('venueCalendar').scrollIntoView({ behavior: 'smooth' });
+    };
+
+    const today = new Date().toISOString().slice(0, 10);
+    fromInput.value = today;
+    venueSelect.addEventListener('change', load);
+    fromInput.addEventListener('change', load);
+    document.getElementById('calendarPrev').addEventListener('click', () => {
+        fromInput.value = addDays(fromInput.value || today, -DAYS_SHOWN);
+        load();
+    });
+    document.getElementById('calendarNext').addEventListener('click', () => {
+        fromInput.value = addDays(fromInput.value || today, DAYS_SHOWN);
+        load();
+    });
+    document.querySelectorAll('[data-venue-calendar]').forEach(button => {
+        button.addEventListener('click', () => show(button.dataset.venueCalendar));
+    });
+
+    // Links such as /venues?calendar=3&from=2025-05-15 open a venue's calendar directly
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('from')) {
+        fromInput.value = params.get('from');
+    }
+    if (params.get('calendar')) {
+        show(params.get('calendar'));
+    }
+});
@@ -3,9 +3,19 @@ const passport = require('passport');
 const router = express.Router();
 const { executeQuery } = require('../config/database');
 const { isAuthenticated, hasPrivilege, isAdmin } = require('../middleware/auth');
+const { unlockAccount } = require('../utils/loginAttempts');
+const { stopImpersonation, endImpersonationLog } = require('../utils/impersonation');
 
 // Logout route
-router.get('/logout', (req, res) => {
+router.get('/logout', async (req, res) => {
+    // Logging out also ends any impersonation the session was running
+    if (req.session && req.session.impersonation) {
+        try {
+            await endImpersonationLog(req.session.impersonation);
+        } catch (error) {
+            console.error('Error closing impersonation log:', error);
+        }
+    }
     req.logout((err) => {
         if (err) {
             console.error('Logout error:', err);
@@ -15,6 +25,23 @@ router.get('/logout', (req, res) => {
     });
 });
 
+// POST /auth/impersonation/stop - Return to the super admin's own account
+// Not behind privilege checks: the impersonated user usually lacks them
+router.post('/impersonation/stop', async (req, res) => {
+    try {
+        const impersonation = await stopImpersonation(req);
+        res.redirect(impersonation ? `/admin/users/${impersonation.targetId}` : '/');
+    } catch (error) {
+        console.error('Error stopping impersonation:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error stopping impersonation',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user || null
+        });
+    }
+});
+
 // Get current user
 router.get('/current-user', (req, res) => {
     if (req.isAuthenticated()) {
@@ -78,4 +105,18 @@ router.get('/users', isAuthenticated, isAdmin, async (req, res) => {
     }
 });
 
+// Unlock an account locked by repeated failed logins (admin only)
+router.post('/users/:id/unlock', isAuthenticated, hasPrivilege('Users', 'update'), async (req, res) => {
+    try {
+        const unlocked = await unlockAccount(req.params.id);
+        if (!unlocked) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json({ message: 'Account unlocked' });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../config/database');
+const { isAuthenticated, hasPrivilege } = require('../middleware/auth');
+const {
+    DEFAULT_TEMPLATE,
+    PLACEHOLDERS,
+    formatPlace,
+    getCertificateByCode,
+    listTemplates,
+    parseTemplate,
+    saveTemplate,
+    deleteTemplate,
+    buildCertificatePdf
+} = require('../utils/certificates');
+
+// GET /certificates/verify - Look up the code typed into the verification form
+router.get('/verify', (req, res) => {
+    const code = String(req.query.code || '').trim();
+    if (!code) {
+        return res.render('certificate-verify', { title: 'Verify a certificate', code: '', certificate: null, formatPlace, user: req.user });
+    }
+    res.redirect(`/certificates/verify/${encodeURIComponent(code.toUpperCase())}`);
+});
+
+// GET /certificates/verify/:code - Public page confirming a certificate is genuine
+router.get('/verify/:code', async (req, res) => {
+    try {
+        const certificate = await getCertificateByCode(req.params.code);
+        res.status(certificate ? 200 : 404).render('certificate-verify', {
+            title: 'Verify a certificate',
+            code: req.params.code,
+            certificate,
+            formatPlace,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error verifying certificate:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error verifying certificate',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user
+        });
+    }
+});
+
+// GET /certificates/templates - Certificate wording and design per event category
+router.get('/templates', isAuthenticated, hasPrivilege('Certificates', 'manage'), async (req, res) => {
+    try {
+        res.render('certificate-templates', {
+            title: 'Certificate Templates',
+            categories: await listTemplates(),
+            defaultTemplate: DEFAULT_TEMPLATE,
+            placeholders: PLACEHOLDERS,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading certificate templates:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading certificate templates',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user
+        });
+    }
+});
+
+// POST /certificates/templates/:categoryId - Create or replace a category's template
+router.post('/templates/:categoryId', isAuthenticated, hasPrivilege('Certificates', 'manage'), async (req, res) => {
+    try {
+        const [category] = await executeQuery('SELECT CategoryID FROM EventCategories WHERE CategoryID = ?', [req.params.categoryId]);
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        await saveTemplate(category.CategoryID, parseTemplate(req.body), req.user.UserID);
+        res.json({ message: 'Template saved' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        console.error('Error saving certificate template:', error);
+        res.status(500).json({ error: 'Failed to save certificate template' });
+    }
+});
+
+// DELETE /certificates/templates/:categoryId - Return a category to the default design
+router.delete('/templates/:categoryId', isAuthenticated, hasPrivilege('Certificates', 'manage'), async (req, res) => {
+    try {
+        await deleteTemplate(req.params.categoryId);
+        res.json({ message: 'Template removed; the category uses the default design' });
+    } catch (error) {
+        console.error('Error deleting certificate template:', error);
+        res.status(500).json({ error: 'Failed to delete certificate template' });
+    }
+});
+
+// GET /certificates/:code.pdf - Download a certificate (its holder, the event's organizer or event managers)
+router.get('/:code.pdf', isAuthenticated, async (req, res) => {
+    try {
+        const certificate = await getCertificateByCode(req.params.code);
+        if (!certificate) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+        if (req.user.UserID !== certificate.UserID && req.user.UserID !== certificate.OrganizerID &&
+            !req.user.privileges?.Events?.update) {
+            return res.status(403).json({ error: 'You do not have permission to download this certificate' });
+        }
+
+        const pdf = await buildCertificatePdf([certificate]);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="certificate-${certificate.VerificationCode}.pdf"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error generating certificate:', error);
+        res.status(500).json({ error: 'Failed to generate certificate' });
+    }
+});
+
+module.exports = router;
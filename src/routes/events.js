@@ -3,6 +3,84 @@ const router = express.Router();
 const { executeQuery } = require('../config/database');
 const { isAuthenticated, hasPrivilege, requireRole } = require('../middleware/auth');
 const { eventValidation } = require('../middleware/validation');
+const {
+    getAllowedTransitions,
+    checkTransition,
+    transitionEventStatus,
+    getStatusHistory
+} = require('../utils/eventLifecycle');
+const { DEFAULT_DURATION_MINUTES, findVenueConflict, describeConflict } = require('../utils/venueConflicts');
+const {
+    DEFAULT_REFUND_RULES,
+    parseRefundPolicy,
+    formatRefundPolicy,
+    getRefundRules,
+    saveRefundRules
+} = require('../utils/refunds');
+const { listTransfersAwaitingApproval } = require('../utils/registrationTransfers');
+const {
+    parseQuestionSet,
+    formatQuestionSet,
+    getQuestions,
+    saveQuestions,
+    getAnswersByRegistration,
+    getAnswerFile
+} = require('../utils/registrationQuestions');
+const { toCsv } = require('../utils/csv');
+const {
+    checkInTicket,
+    getAttendeeList,
+    syncOfflineScans,
+    getCheckInCounts,
+    getRecentScans
+} = require('../utils/tickets');
+const { BADGE_TEMPLATES, DEFAULT_TEMPLATE, getBadgeHolders, buildBadgePdf } = require('../utils/badges');
+const {
+    formatPlace,
+    getRankings,
+    issueCertificates,
+    getEventCertificates,
+    buildCertificatePdf
+} = require('../utils/certificates');
+const {
+    WEEKS_PER_YEAR_DAYS,
+    parseOffsetDays,
+    duplicateEvent,
+    listEditions,
+    cloneEdition,
+    saveEventTemplate,
+    listEventTemplates,
+    createEventFromTemplate,
+    deleteEventTemplate
+} = require('../utils/eventCloning');
+
+// Statuses a new event may start in; later changes go through the lifecycle transitions
+const INITIAL_STATUSES = ['Draft', 'Published'];
+
+// API clients send camelCase fields (status, durationMinutes, ...) while the event form
+// posts some of them in PascalCase (Status, DurationMinutes, ...); either is accepted
+function eventField(body, name) {
+    return body[name] !== undefined ? body[name] : body[name.charAt(0).toUpperCase() + name.slice(1)];
+}
+
+// Door staff: the event's organizer, event managers and anyone granted Registrations.check_in
+function canCheckIn(user, event) {
+    return !!(user && (user.privileges?.Registrations?.check_in || user.privileges?.Events?.update ||
+        user.UserID === event.OrganizerID));
+}
+
+// Participant list shown on the event page and exported as CSV
+async function getParticipants(eventId) {
+    return executeQuery(`
+        SELECT
+            r.RegistrationID, u.Name, u.Email, r.RegistrationDate, r.Status, t.TeamName, r.PaymentStatus
+        FROM Registrations r
+        JOIN Users u ON r.UserID = u.UserID
+        LEFT JOIN Teams t ON r.TeamID = t.TeamID
+        WHERE r.EventID = ?
+        ORDER BY r.RegistrationDate ASC
+    `, [eventId]);
+}
 
 // Helper function to get event icon based on category
 function getEventIcon(category) {
@@ -76,6 +154,10 @@ router.get('/add', isAuthenticated, hasPrivilege('Events.create'), async (req, r
             event: null,
             categories,
             venues,
+            statusOptions: INITIAL_STATUSES,
+            refundPolicy: '',
+            defaultRefundPolicy: formatRefundPolicy(DEFAULT_REFUND_RULES),
+            registrationQuestions: '',
             user: req.user
         });
     } catch (error) {
@@ -91,29 +173,60 @@ router.get('/add', isAuthenticated, hasPrivilege('Events.create'), async (req, r
 router.post('/add', isAuthenticated, hasPrivilege('Events.create'), eventValidation, async (req, res) => {
     try {
         const {
-            name, categoryId, eventType, status, eventDescription,
+            name, categoryId, eventType, eventDescription,
             date, time, registrationDeadline, venueId, maxParticipants,
             regFee
         } = req.body;
+        const status = eventField(req.body, 'status') || 'Draft';
+        const durationMinutes = parseInt(eventField(req.body, 'durationMinutes'), 10) || DEFAULT_DURATION_MINUTES;
+        const refundRules = parseRefundPolicy(eventField(req.body, 'refundPolicy'));
+        const transferRequiresApproval = !!eventField(req.body, 'transferRequiresApproval');
+        const questions = parseQuestionSet(eventField(req.body, 'registrationQuestions'));
+
+        if (!INITIAL_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `New events must start as ${INITIAL_STATUSES.join(' or ')}`
+            });
+        }
+
+        const conflict = await findVenueConflict({ venueId, date, time, durationMinutes });
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                error: describeConflict(conflict),
+                conflict
+            });
+        }
 
         const result = await executeQuery(`
             INSERT INTO Events (
                 Name, CategoryID, EventType, Status, EventDescription,
-                Date, Time, RegistrationDeadline, VenueID, Max_Participants,
-                Reg_Fee, OrganizerID
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                Date, Time, DurationMinutes, RegistrationDeadline, VenueID, Max_Participants,
+                Reg_Fee, TransferRequiresApproval, OrganizerID
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             name, categoryId, eventType, status, eventDescription,
-            date, time, registrationDeadline, venueId, maxParticipants,
-            regFee, req.user.UserID
+            date, time, durationMinutes, registrationDeadline, venueId, maxParticipants,
+            regFee, transferRequiresApproval, req.user.UserID
         ]);
 
+        if (refundRules.length > 0) {
+            await saveRefundRules(result.insertId, refundRules);
+        }
+        if (questions.length > 0) {
+            await saveQuestions(result.insertId, questions);
+        }
+
         res.json({
             success: true,
             eventId: result.insertId,
             message: 'Event created successfully'
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
         console.error('Error creating event:', error);
         res.status(500).json({
             success: false,
@@ -122,6 +235,84 @@ router.post('/add', isAuthenticated, hasPrivilege('Events.create'), eventValidat
     }
 });
 
+// GET /events/templates - Saved event templates and the edition cloning form
+router.get('/templates', isAuthenticated, hasPrivilege('Events', 'create'), async (req, res) => {
+    try {
+        const [templates, editions] = await Promise.all([listEventTemplates(), listEditions()]);
+        res.render('event-templates', {
+            title: 'Event Templates & Editions',
+            templates,
+            editions,
+            weeksPerYearDays: WEEKS_PER_YEAR_DAYS,
+            canCloneEditions: !!req.user.privileges?.Events?.update,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading event templates:', error);
+        res.status(500).render('error', {
+            message: 'Error loading event templates',
+            error: process.env.NODE_ENV === 'development' ? error : {}
+        });
+    }
+});
+
+// POST /events/templates/:templateId/use - Create a Draft event from a template
+router.post('/templates/:templateId/use', isAuthenticated, hasPrivilege('Events', 'create'), async (req, res) => {
+    try {
+        const eventId = await createEventFromTemplate(req.params.templateId, {
+            date: req.body.date,
+            time: req.body.time
+        }, req.user.UserID);
+        res.json({ message: 'Draft event created from the template', eventId });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error creating event from template:', error);
+        res.status(500).json({ error: 'Failed to create event from template' });
+    }
+});
+
+// DELETE /events/templates/:templateId - Delete a template
+router.delete('/templates/:templateId', isAuthenticated, hasPrivilege('Events', 'create'), async (req, res) => {
+    try {
+        await deleteEventTemplate(req.params.templateId, {
+            userId: req.user.UserID,
+            canManageAll: !!req.user.privileges?.Events?.update
+        });
+        res.json({ message: 'Template deleted' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error deleting event template:', error);
+        res.status(500).json({ error: 'Failed to delete event template' });
+    }
+});
+
+// POST /events/clone-edition - Copy every event of one edition (year) into Drafts for another
+router.post('/clone-edition', isAuthenticated, hasPrivilege('Events', 'create'), hasPrivilege('Events', 'update'), async (req, res) => {
+    try {
+        const { created, skipped } = await cloneEdition({
+            fromYear: parseInt(req.body.fromYear, 10),
+            toYear: parseInt(req.body.toYear, 10),
+            offsetDays: parseOffsetDays(req.body.offsetDays)
+        });
+        res.json({
+            message: `Created ${created.length} draft event${created.length === 1 ? '' : 's'}` +
+                (skipped.length > 0 ? `, skipped ${skipped.length} already copied` : ''),
+            created,
+            skipped
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error cloning edition:', error);
+        res.status(500).json({ error: 'Failed to clone edition' });
+    }
+});
+
 // GET /events/:id - Get event details
 router.get('/:id', async (req, res) => {
     try {
@@ -163,31 +354,15 @@ router.get('/:id', async (req, res) => {
         `, [req.params.id]);
 
         // Get rankings
-        const rankings = await executeQuery(`
-            SELECT 
-                u.UserID as ParticipantUserID,
-                u.Name as ParticipantName,
-                COUNT(DISTINCT s.JudgeID) as JudgeCount,
-                SUM(s.Value) as TotalScore,
-                AVG(s.Value) as AverageScore
-            FROM Users u
-            JOIN Registrations r ON u.UserID = r.UserID
-            LEFT JOIN Scores s ON r.RegistrationID = s.RegistrationID
-            WHERE r.EventID = ?
-            GROUP BY u.UserID
-            ORDER BY TotalScore DESC, AverageScore DESC
-        `, [req.params.id]);
+        const rankings = await getRankings(event.EventID);
 
         // Get participants
-        const participants = await executeQuery(`
-            SELECT 
-                u.Name, u.Email, r.RegistrationDate, t.TeamName, r.PaymentStatus
-            FROM Registrations r
-            JOIN Users u ON r.UserID = u.UserID
-            LEFT JOIN Teams t ON r.TeamID = t.TeamID
-            WHERE r.EventID = ?
-            ORDER BY r.RegistrationDate ASC
-        `, [req.params.id]);
+        const participants = await getParticipants(event.EventID);
+
+        const refundPolicy = await getRefundRules(event.EventID);
+        const canManage = !!(req.user && (req.user.privileges?.Events?.update || req.user.UserID === event.OrganizerID));
+        const questions = canManage ? await getQuestions(event.EventID) : [];
+        const answers = canManage && questions.length > 0 ? await getAnswersByRegistration(event.EventID) : new Map();
 
         res.render('event-details', {
             title: event.Name,
@@ -195,6 +370,18 @@ router.get('/:id', async (req, res) => {
             judges,
             rankings,
             participants,
+            allowedTransitions: getAllowedTransitions(event.Status),
+            statusHistory: await getStatusHistory(event.EventID),
+            canManage,
+            canCheckIn: canCheckIn(req.user, event),
+            refundPolicy,
+            pendingTransfers: canManage ? await listTransfersAwaitingApproval(event.EventID) : [],
+            questions,
+            answers,
+            certificates: canManage ? await getEventCertificates(event.EventID) : [],
+            formatPlace,
+            canCopy: canManage && !!req.user.privileges?.Events?.create,
+            weeksPerYearDays: WEEKS_PER_YEAR_DAYS,
             user: req.user
         });
     } catch (error) {
@@ -206,6 +393,384 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// GET /events/:id/status-history - Get an event's lifecycle changes
+router.get('/:id/status-history', async (req, res) => {
+    try {
+        res.json(await getStatusHistory(req.params.id));
+    } catch (error) {
+        console.error('Error fetching status history:', error);
+        res.status(500).json({ error: 'Failed to fetch status history' });
+    }
+});
+
+// GET /events/:id/participants.csv - Export the participant list with registration answers
+router.get('/:id/participants.csv', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, Name, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!req.user.privileges?.Events?.update && req.user.UserID !== event.OrganizerID) {
+            return res.status(403).json({ error: 'You do not have permission to export this event' });
+        }
+
+        const [participants, questions, answers] = await Promise.all([
+            getParticipants(event.EventID),
+            getQuestions(event.EventID),
+            getAnswersByRegistration(event.EventID)
+        ]);
+
+        const rows = [
+            ['Name', 'Email', 'Registration Date', 'Status', 'Team Name', 'Payment Status', ...questions.map(question => question.Prompt)],
+            ...participants.map(participant => {
+                const given = answers.get(participant.RegistrationID) || {};
+                return [
+                    participant.Name,
+                    participant.Email,
+                    new Date(participant.RegistrationDate).toISOString(),
+                    participant.Status,
+                    participant.TeamName,
+                    participant.PaymentStatus,
+                    ...questions.map(question => {
+                        const answer = given[question.QuestionID];
+                        return answer ? (answer.FileName || answer.AnswerText) : '';
+                    })
+                ];
+            })
+        ];
+
+        const fileName = `${event.Name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-participants.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(toCsv(rows));
+    } catch (error) {
+        console.error('Error exporting participants:', error);
+        res.status(500).json({ error: 'Failed to export participants' });
+    }
+});
+
+// GET /events/:id/answers/:answerId/file - Download a file uploaded as a registration answer
+router.get('/:id/answers/:answerId/file', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!req.user.privileges?.Events?.update && req.user.UserID !== event.OrganizerID) {
+            return res.status(403).json({ error: 'You do not have permission to view this file' });
+        }
+
+        const file = await getAnswerFile(event.EventID, req.params.answerId);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        res.download(file.path, file.fileName, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'File not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Error downloading answer file:', error);
+        res.status(500).json({ error: 'Failed to download file' });
+    }
+});
+
+// GET /events/:id/check-in - Door check-in page for scanning or typing ticket codes
+router.get('/:id/check-in', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery(
+            'SELECT EventID, Name, Date, Time, Status, OrganizerID FROM Events WHERE EventID = ?',
+            [req.params.id]
+        );
+        if (!event) {
+            return res.status(404).render('error', { message: 'Event not found', error: { status: 404 } });
+        }
+        if (!canCheckIn(req.user, event)) {
+            return res.status(403).render('error', { message: 'You do not have permission to check in participants', error: { status: 403 } });
+        }
+
+        res.render('event-check-in', {
+            title: `Check-in: ${event.Name}`,
+            event,
+            badgeTemplates: BADGE_TEMPLATES,
+            defaultBadgeTemplate: DEFAULT_TEMPLATE,
+            counts: await getCheckInCounts(event.EventID),
+            recentScans: await getRecentScans(event.EventID),
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading check-in page:', error);
+        res.status(500).render('error', {
+            message: 'Error loading check-in page',
+            error: process.env.NODE_ENV === 'development' ? error : {}
+        });
+    }
+});
+
+// GET /events/:id/check-in/stats - Checked-in vs registered counts and the latest scans
+router.get('/:id/check-in/stats', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canCheckIn(req.user, event)) {
+            return res.status(403).json({ error: 'You do not have permission to check in participants' });
+        }
+
+        res.json({
+            ...(await getCheckInCounts(event.EventID)),
+            recentScans: await getRecentScans(event.EventID)
+        });
+    } catch (error) {
+        console.error('Error fetching check-in stats:', error);
+        res.status(500).json({ error: 'Failed to fetch check-in stats' });
+    }
+});
+
+// POST /events/:id/check-in - Validate a ticket code and check its holder in
+router.post('/:id/check-in', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canCheckIn(req.user, event)) {
+            return res.status(403).json({ error: 'You do not have permission to check in participants' });
+        }
+
+        const checkIn = await checkInTicket({ code: req.body.code, eventId: event.EventID, staffId: req.user.UserID });
+        res.json({
+            ...checkIn,
+            message: checkIn.result === 'duplicate'
+                ? `Already checked in at ${new Date(checkIn.checkedInAt).toLocaleTimeString()}${checkIn.checkedInBy ? ` by ${checkIn.checkedInBy}` : ''}`
+                : `${checkIn.participant.name} checked in`,
+            counts: await getCheckInCounts(event.EventID)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, participant: error.participant });
+        }
+        console.error('Error checking in ticket:', error);
+        res.status(500).json({ error: 'Failed to check in ticket' });
+    }
+});
+
+// GET /events/:id/check-in/attendees - Signed attendee list for checking in without a connection
+router.get('/:id/check-in/attendees', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canCheckIn(req.user, event)) {
+            return res.status(403).json({ error: 'You do not have permission to check in participants' });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json(await getAttendeeList(event.EventID));
+    } catch (error) {
+        console.error('Error fetching attendee list:', error);
+        res.status(500).json({ error: 'Failed to fetch attendee list' });
+    }
+});
+
+// POST /events/:id/check-in/sync - Record scans a scanner queued while offline
+router.post('/:id/check-in/sync', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canCheckIn(req.user, event)) {
+            return res.status(403).json({ error: 'You do not have permission to check in participants' });
+        }
+
+        const results = await syncOfflineScans({
+            eventId: event.EventID,
+            staffId: req.user.UserID,
+            list: req.body.list,
+            scans: req.body.scans
+        });
+        res.json({ results, counts: await getCheckInCounts(event.EventID) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error syncing offline scans:', error);
+        res.status(500).json({ error: 'Failed to sync offline scans' });
+    }
+});
+
+// GET /events/:id/badges.pdf - Printable badges for one registration, the whole event or everyone checked in
+router.get('/:id/badges.pdf', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, Name, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canCheckIn(req.user, event)) {
+            return res.status(403).json({ error: 'You do not have permission to print badges for this event' });
+        }
+
+        const scope = req.query.scope === 'checked_in' ? 'checked_in' : 'all';
+        const registrationId = parseInt(req.query.registration, 10) || null;
+        const badges = await getBadgeHolders(event.EventID, { scope, registrationId });
+        if (badges.length === 0) {
+            return res.status(404).json({
+                error: registrationId
+                    ? 'No badge for this registration: it is not found or cannot be admitted'
+                    : 'There is nobody to print badges for yet'
+            });
+        }
+
+        const pdf = await buildBadgePdf(badges, { eventName: event.Name, template: req.query.template || DEFAULT_TEMPLATE });
+        const fileName = `${event.Name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-badges${registrationId ? `-${registrationId}` : ''}.pdf`;
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="${fileName}"`);
+        res.send(pdf);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error generating badges:', error);
+        res.status(500).json({ error: 'Failed to generate badges' });
+    }
+});
+
+// POST /events/:id/duplicate - Copy an event into a new Draft, moved by a number of days
+router.post('/:id/duplicate', isAuthenticated, hasPrivilege('Events', 'create'), async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!req.user.privileges?.Events?.update && req.user.UserID !== event.OrganizerID) {
+            return res.status(403).json({ error: 'You do not have permission to copy this event' });
+        }
+
+        const copy = await duplicateEvent(event.EventID, parseOffsetDays(req.body.offsetDays));
+        res.json({
+            message: copy.venueDropped
+                ? `Draft created for ${copy.date}; the venue is taken then, so choose another one`
+                : `Draft created for ${copy.date}`,
+            ...copy
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error duplicating event:', error);
+        res.status(500).json({ error: 'Failed to duplicate event' });
+    }
+});
+
+// POST /events/:id/template - Save an event as a reusable template
+router.post('/:id/template', isAuthenticated, hasPrivilege('Events', 'create'), async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!req.user.privileges?.Events?.update && req.user.UserID !== event.OrganizerID) {
+            return res.status(403).json({ error: 'You do not have permission to copy this event' });
+        }
+
+        await saveEventTemplate(event.EventID, req.body.templateName, {
+            userId: req.user.UserID,
+            canManageAll: !!req.user.privileges?.Events?.update
+        });
+        res.json({ message: 'Template saved' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error saving event template:', error);
+        res.status(500).json({ error: 'Failed to save event template' });
+    }
+});
+
+// POST /events/:id/certificates - Issue certificates to participants who have none yet
+router.post('/:id/certificates', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, Status, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!req.user.privileges?.Events?.update && req.user.UserID !== event.OrganizerID) {
+            return res.status(403).json({ error: 'You do not have permission to issue certificates for this event' });
+        }
+
+        const { issued, total } = await issueCertificates(event, req.user.UserID);
+        res.json({
+            message: issued > 0
+                ? `Issued ${issued} certificate${issued === 1 ? '' : 's'}`
+                : 'Every participant who attended already has a certificate',
+            issued,
+            total
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error issuing certificates:', error);
+        res.status(500).json({ error: 'Failed to issue certificates' });
+    }
+});
+
+// GET /events/:id/certificates.pdf - Every certificate issued for an event, one per page
+router.get('/:id/certificates.pdf', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, Name, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!req.user.privileges?.Events?.update && req.user.UserID !== event.OrganizerID) {
+            return res.status(403).json({ error: 'You do not have permission to download certificates for this event' });
+        }
+
+        const certificates = await getEventCertificates(event.EventID);
+        if (certificates.length === 0) {
+            return res.status(404).json({ error: 'No certificates have been issued for this event yet' });
+        }
+
+        const pdf = await buildCertificatePdf(certificates);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="${event.Name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-certificates.pdf"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error generating certificates:', error);
+        res.status(500).json({ error: 'Failed to generate certificates' });
+    }
+});
+
+// POST /events/:id/status - Move an event to another lifecycle status
+router.post('/:id/status', isAuthenticated, async (req, res) => {
+    try {
+        const [event] = await executeQuery('SELECT EventID, OrganizerID FROM Events WHERE EventID = ?', [req.params.id]);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!req.user.privileges?.Events?.update && req.user.UserID !== event.OrganizerID) {
+            return res.status(403).json({ error: 'You do not have permission to change this event' });
+        }
+
+        const reason = String(req.body.reason || '').trim();
+        const { from, to } = await transitionEventStatus(event.EventID, req.body.status, {
+            userId: req.user.UserID,
+            reason: reason ? reason.slice(0, 1000) : null
+        });
+
+        res.json({ message: `Event moved from ${from} to ${to}`, status: to });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error changing event status:', error);
+        res.status(500).json({ error: 'Failed to change event status' });
+    }
+});
+
 // GET /events/edit/:id - Show event edit form
 router.get('/edit/:id', isAuthenticated, async (req, res) => {
     try {
@@ -227,9 +792,11 @@ router.get('/edit/:id', isAuthenticated, async (req, res) => {
             });
         }
 
-        const [categories, venues] = await Promise.all([
+        const [categories, venues, refundPolicy, questions] = await Promise.all([
             executeQuery('SELECT * FROM EventCategories ORDER BY CategoryName'),
-            executeQuery('SELECT * FROM Venues ORDER BY Name')
+            executeQuery('SELECT * FROM Venues ORDER BY Name'),
+            getRefundRules(event.EventID),
+            getQuestions(event.EventID)
         ]);
 
         res.render('event-form', {
@@ -237,6 +804,10 @@ router.get('/edit/:id', isAuthenticated, async (req, res) => {
             event,
             categories,
             venues,
+            statusOptions: [event.Status, ...getAllowedTransitions(event.Status)],
+            refundPolicy: refundPolicy.isDefault ? '' : formatRefundPolicy(refundPolicy.rules),
+            defaultRefundPolicy: formatRefundPolicy(DEFAULT_REFUND_RULES),
+            registrationQuestions: formatQuestionSet(questions),
             user: req.user
         });
     } catch (error) {
@@ -272,37 +843,70 @@ router.post('/edit/:id', isAuthenticated, eventValidation, async (req, res) => {
         }
 
         const {
-            name, categoryId, eventType, status, eventDescription,
+            name, categoryId, eventType, eventDescription,
             date, time, registrationDeadline, venueId, maxParticipants,
             regFee, rules
         } = req.body;
+        const status = eventField(req.body, 'status');
+        const statusChanged = status && status !== event.Status;
+        const durationMinutes = parseInt(eventField(req.body, 'durationMinutes'), 10) || event.DurationMinutes;
+        const refundRules = parseRefundPolicy(eventField(req.body, 'refundPolicy'));
+        const transferRequiresApproval = !!eventField(req.body, 'transferRequiresApproval');
+        const questions = parseQuestionSet(eventField(req.body, 'registrationQuestions'));
+
+        // Status changes must be legal lifecycle moves (checked before anything is saved)
+        if (statusChanged) {
+            await checkTransition(event, status);
+        }
+
+        const conflict = await findVenueConflict({
+            venueId, date, time, durationMinutes, excludeEventId: event.EventID
+        });
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                error: describeConflict(conflict),
+                conflict
+            });
+        }
 
         await executeQuery(`
             UPDATE Events SET
                 Name = ?,
                 CategoryID = ?,
                 EventType = ?,
-                Status = ?,
                 EventDescription = ?,
                 Date = ?,
                 Time = ?,
+                DurationMinutes = ?,
                 RegistrationDeadline = ?,
                 VenueID = ?,
                 Max_Participants = ?,
                 Reg_Fee = ?,
+                TransferRequiresApproval = ?,
                 Rules = ?
             WHERE EventID = ?
         `, [
-            name, categoryId, eventType, status, eventDescription,
-            date, time, registrationDeadline, venueId, maxParticipants,
-            regFee, rules, req.params.id
+            name, categoryId, eventType, eventDescription,
+            date, time, durationMinutes, registrationDeadline, venueId, maxParticipants,
+            regFee, transferRequiresApproval, rules, req.params.id
         ]);
 
+        await saveRefundRules(event.EventID, refundRules);
+        await saveQuestions(event.EventID, questions);
+
+        if (statusChanged) {
+            await transitionEventStatus(event.EventID, status, { userId: req.user.UserID });
+        }
+
         res.json({
             success: true,
             message: 'Event updated successfully'
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
         console.error('Error updating event:', error);
         res.status(500).json({
             success: false,
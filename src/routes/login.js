@@ -4,12 +4,49 @@ const bcrypt = require('bcrypt');
 const { executeQuery } = require('../config/database');
 const { setNotification } = require('../middleware/notification');
 const passport = require('passport');
+const { throttleLogin } = require('../middleware/loginThrottle');
+const passwordValidator = require('../utils/passwordValidator');
+const { hashToken } = require('../utils/tokens');
+const { sendPasswordResetEmail } = require('../utils/passwordReset');
+const { revokeUserSessions } = require('../config/sessionStore');
+const {
+    LOCKOUT_MINUTES,
+    recordAttempt,
+    registerFailure,
+    registerSuccess,
+    touchLastLogin
+} = require('../utils/loginAttempts');
+const { generateSecret, verifyCode } = require('../utils/totp');
+const {
+    isTwoFactorRequired,
+    buildEnrolment,
+    getTwoFactorState,
+    enableTwoFactor,
+    verifyUserCode
+} = require('../utils/twoFactor');
+
+// Time allowed between the password step and the second factor, and codes allowed in that time
+const TWO_FACTOR_PENDING_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// Look up an unused, unexpired reset token by its raw value
+async function findValidResetToken(token) {
+    const rows = await executeQuery(`
+        SELECT prt.TokenID, prt.UserID, u.Email
+        FROM PasswordResetTokens prt
+        JOIN Users u ON prt.UserID = u.UserID
+        WHERE prt.TokenHash = ?
+          AND prt.UsedAt IS NULL
+          AND prt.ExpiresAt > NOW()
+    `, [hashToken(token)]);
+    return rows[0] || null;
+}
 
 // GET /login - Render login page
 router.get('/', (req, res) => {
     // Show success message if user just registered
     if (req.query.registered === 'true') {
-        setNotification(req, 'Registration successful! Please log in.', 'success');
+        setNotification(req, 'Registration successful! Please verify your email, then log in.', 'success');
     }
     
     res.render('login', {
@@ -19,35 +56,292 @@ router.get('/', (req, res) => {
     });
 });
 
+// Establish the session, clear the failure count and stamp LastLogin once every required factor has passed
+function completeLogin(req, res, user, extra = {}) {
+    req.logIn(user, async (err) => {
+        if (err) {
+            console.error('Login error:', err);
+            return res.status(500).json({ error: 'Login failed', details: err.message });
+        }
+        try {
+            await registerSuccess(user.UserID);
+            await touchLastLogin(user.UserID);
+        } catch (error) {
+            console.error('Error updating last login:', error);
+        }
+        return res.json({
+            message: 'Login successful',
+            user: {
+                id: user.UserID,
+                name: user.Name,
+                email: user.Email,
+                role: user.Role,
+                username: user.username
+            },
+            redirect: '/',
+            ...extra
+        });
+    });
+}
+
+// Read the password-verified-but-not-yet-logged-in state, dropping it once expired
+function getPendingTwoFactor(req) {
+    const pending = req.session.pendingTwoFactor;
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingTwoFactor;
+        return null;
+    }
+    return pending;
+}
+
+// A wrong second factor counts towards the account lockout, like a wrong password
+async function rejectTwoFactorCode(req, res, pending) {
+    await recordAttempt({ email: pending.email, userId: pending.userId, ip: req.ip, successful: false });
+    if (await registerFailure(pending.userId)) {
+        delete req.session.pendingTwoFactor;
+        return res.status(429).json({
+            error: `Too many failed login attempts. This account is locked for ${LOCKOUT_MINUTES} minutes.`,
+            redirect: '/login'
+        });
+    }
+    return res.status(400).json({ error: 'Invalid authentication code' });
+}
+
 // POST /login - Handle login
-router.post('/', (req, res, next) => {
-    passport.authenticate('local', (err, user, info) => {
+router.post('/', throttleLogin, (req, res, next) => {
+    passport.authenticate('local', async (err, user, info) => {
         if (err) {
             console.error('Login error:', err);
             return res.status(500).json({ error: 'Login failed', details: err.message });
         }
         if (!user) {
-            return res.status(401).json({ error: 'Login failed', details: info && info.message ? info.message : 'Invalid email or password' });
+            return res.status(401).json({
+                error: 'Login failed',
+                details: info && info.message ? info.message : 'Invalid email or password',
+                unverified: !!(info && info.unverified)
+            });
         }
-        req.logIn(user, (err) => {
-            if (err) {
-                console.error('Login error:', err);
-                return res.status(500).json({ error: 'Login failed', details: err.message });
-            }
-            // Optionally set a notification here
-            return res.json({
-                message: 'Login successful',
-                user: {
-                    id: user.UserID,
-                    name: user.Name,
+
+        try {
+            // Password is correct; enrolled users and privileged roles still need a second factor
+            const twoFactor = await getTwoFactorState(user.UserID);
+            if (twoFactor.enabled || isTwoFactorRequired(user.Role)) {
+                req.session.pendingTwoFactor = {
+                    userId: user.UserID,
                     email: user.Email,
-                    role: user.Role,
-                    username: user.username
-                },
-                redirect: '/'
+                    enrol: !twoFactor.enabled,
+                    attempts: 0,
+                    expiresAt: Date.now() + TWO_FACTOR_PENDING_MS
+                };
+                return res.json({
+                    message: 'Two-factor authentication required',
+                    twoFactorRequired: true,
+                    redirect: '/login/2fa'
+                });
+            }
+        } catch (error) {
+            console.error('Login error:', error);
+            return res.status(500).json({ error: 'Login failed', details: error.message });
+        }
+
+        completeLogin(req, res, user);
+    })(req, res, next);
+});
+
+// GET /login/2fa - Render the second login step (or mandatory enrolment)
+router.get('/2fa', async (req, res) => {
+    const pending = getPendingTwoFactor(req);
+    if (!pending) {
+        return res.redirect('/login');
+    }
+
+    try {
+        let enrolment = null;
+        if (pending.enrol) {
+            // Keep the same secret across page reloads until it is confirmed
+            if (!pending.secret) {
+                pending.secret = generateSecret();
+            }
+            enrolment = await buildEnrolment(pending.secret, pending.email);
+        }
+
+        res.render('login-2fa', {
+            title: 'Two-Factor Authentication',
+            user: null,
+            enrolment
+        });
+    } catch (error) {
+        console.error('Error loading 2FA page:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading two-factor authentication',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: null
+        });
+    }
+});
+
+// POST /login/2fa - Verify the second factor and finish logging in
+router.post('/2fa', throttleLogin, async (req, res) => {
+    const pending = getPendingTwoFactor(req);
+    if (!pending) {
+        return res.status(401).json({ error: 'Your login session has expired. Please log in again.', redirect: '/login' });
+    }
+
+    pending.attempts += 1;
+    if (pending.attempts > TWO_FACTOR_MAX_ATTEMPTS) {
+        delete req.session.pendingTwoFactor;
+        return res.status(429).json({ error: 'Too many invalid codes. Please log in again.', redirect: '/login' });
+    }
+
+    try {
+        // The account may have been locked (e.g. from another pending login) or suspended since the password step
+        const [user] = await executeQuery(`
+            SELECT u.UserID, u.Name, u.Email, u.username, u.RoleID, r.RoleName as Role,
+                   CEIL(TIMESTAMPDIFF(SECOND, NOW(), u.LockedUntil) / 60) AS LockMinutesLeft
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ? AND u.Status = 'active'
+        `, [pending.userId]);
+        if (!user) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({ error: 'This account is not active. Please contact support.', redirect: '/login' });
+        }
+        if (user.LockMinutesLeft > 0) {
+            delete req.session.pendingTwoFactor;
+            return res.status(429).json({
+                error: `Too many failed login attempts. This account is locked for ${user.LockMinutesLeft} more minute(s).`,
+                redirect: '/login'
             });
+        }
+
+        const { code } = req.body;
+        let recoveryCodes;
+
+        if (pending.enrol) {
+            const step = pending.secret ? verifyCode(pending.secret, code) : null;
+            if (step === null) {
+                return rejectTwoFactorCode(req, res, pending);
+            }
+            recoveryCodes = await enableTwoFactor(pending.userId, pending.secret, step);
+        } else if (!(await verifyUserCode(pending.userId, code))) {
+            return rejectTwoFactorCode(req, res, pending);
+        }
+
+        delete req.session.pendingTwoFactor;
+
+        completeLogin(req, res, user, recoveryCodes ? { recoveryCodes } : {});
+    } catch (error) {
+        console.error('2FA verification error:', error);
+        res.status(500).json({ error: 'Login failed', details: error.message });
+    }
+});
+
+// GET /login/forgot - Render forgot password page
+router.get('/forgot', (req, res) => {
+    res.render('forgot-password', {
+        title: 'Forgot Password',
+        user: req.user
+    });
+});
+
+// POST /login/forgot - Email a password reset link
+router.post('/forgot', async (req, res) => {
+    // Same response whether or not the address exists, so accounts cannot be enumerated
+    const genericResponse = {
+        message: 'If an account exists for that email, a password reset link has been sent.'
+    };
+
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const users = await executeQuery(
+            'SELECT UserID, Name, Email FROM Users WHERE Email = ?',
+            [email.trim()]
+        );
+        if (users.length === 0) {
+            return res.json(genericResponse);
+        }
+        const user = users[0];
+
+        await sendPasswordResetEmail(user);
+
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Could not process request. Please try again.' });
+    }
+});
+
+// GET /login/reset/:token - Render reset password page
+router.get('/reset/:token', async (req, res) => {
+    try {
+        const resetToken = await findValidResetToken(req.params.token);
+        res.render('reset-password', {
+            title: 'Reset Password',
+            user: req.user,
+            token: req.params.token,
+            valid: !!resetToken
         });
-    })(req, res, next);
+    } catch (error) {
+        console.error('Error loading reset page:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading password reset page',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user || null
+        });
+    }
+});
+
+// POST /login/reset/:token - Set a new password
+router.post('/reset/:token', async (req, res) => {
+    try {
+        const { password, confirmPassword } = req.body;
+
+        if (!password || password !== confirmPassword) {
+            return res.status(400).json({ error: 'Passwords do not match' });
+        }
+        if (!passwordValidator(password)) {
+            return res.status(400).json({ error: 'Password does not meet complexity requirements' });
+        }
+
+        const resetToken = await findValidResetToken(req.params.token);
+        if (!resetToken) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        // Claim the token first; a concurrent request using the same link will match no rows
+        const claim = await executeQuery(
+            'UPDATE PasswordResetTokens SET UsedAt = NOW() WHERE TokenID = ? AND UsedAt IS NULL',
+            [resetToken.TokenID]
+        );
+        if (claim.affectedRows === 0) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        const hashed = await bcrypt.hash(password, 10);
+        // Proving ownership of the mailbox also lifts any failed-login lockout
+        await executeQuery(`
+            UPDATE Users
+            SET Password = ?, FailedLoginAttempts = 0, LockedUntil = NULL,
+                PasswordResetRequired = FALSE, UpdatedAt = NOW()
+            WHERE UserID = ?
+        `, [hashed, resetToken.UserID]);
+        // Sessions opened with the old password are no longer trusted
+        await revokeUserSessions(resetToken.UserID);
+
+        res.json({
+            message: 'Password updated. You can now log in.',
+            redirect: '/login'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Could not reset password. Please try again.' });
+    }
 });
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,517 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const { executeQuery } = require('../config/database');
+const { profileValidation } = require('../middleware/validation');
+const passwordValidator = require('../utils/passwordValidator');
+const { parseScopes, createApiToken, listApiTokens, revokeApiToken } = require('../utils/apiTokens');
+const { hashToken } = require('../utils/tokens');
+const { listUserSessions, revokeUserSession, revokeUserSessions } = require('../config/sessionStore');
+const { generateSecret, verifyCode } = require('../utils/totp');
+const { collectUserData, buildExportZip } = require('../utils/accountData');
+const { blockDuringImpersonation } = require('../middleware/auth');
+const {
+    isTwoFactorRequired,
+    buildEnrolment,
+    getTwoFactorState,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyUserCode
+} = require('../utils/twoFactor');
+const { waitlistPositionSql } = require('../utils/waitlist');
+const { listOpenTransfers } = require('../utils/registrationTransfers');
+const { hasValidTicket } = require('../utils/tickets');
+
+// GET /me - Render the personal dashboard
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.user.UserID;
+
+        const registrations = await executeQuery(`
+            SELECT r.RegistrationID, r.Status, r.PaymentStatus, r.RegistrationDate, r.PaymentDueAt,
+                   ${waitlistPositionSql('r')} AS WaitlistPosition,
+                   e.EventID, e.Name AS EventName, e.Date AS EventDate, e.Time AS EventTime,
+                   e.Reg_Fee, v.Name AS VenueName, t.TeamName, c.VerificationCode AS CertificateCode
+            FROM Registrations r
+            JOIN Events e ON r.EventID = e.EventID
+            LEFT JOIN Venues v ON e.VenueID = v.VenueID
+            LEFT JOIN Teams t ON r.TeamID = t.TeamID
+            LEFT JOIN Certificates c ON r.RegistrationID = c.RegistrationID
+            WHERE r.UserID = ?
+            ORDER BY e.Date ASC, e.Time ASC
+        `, [userId]);
+
+        // Registrations being handed to or from the user
+        const transfers = await listOpenTransfers(userId);
+
+        const teams = await executeQuery(`
+            SELECT t.TeamID, t.TeamName, tm.Role, tm.Status, t.LeaderID = tm.UserID AS IsLeader,
+                   e.Name AS EventName,
+                   (SELECT COUNT(*) FROM TeamMembers m WHERE m.TeamID = t.TeamID AND m.Status = 'active') AS MemberCount
+            FROM TeamMembers tm
+            JOIN Teams t ON tm.TeamID = t.TeamID
+            JOIN Events e ON t.EventID = e.EventID
+            WHERE tm.UserID = ?
+            ORDER BY tm.JoinedAt DESC
+        `, [userId]);
+
+        const workshops = await executeQuery(`
+            SELECT wr.WorkshopRegistrationID, wr.Status, wr.PaymentStatus,
+                   w.Title, w.Date, w.Time, v.Name AS VenueName
+            FROM WorkshopRegistrations wr
+            JOIN Workshops w ON wr.WorkshopID = w.WorkshopID
+            LEFT JOIN Venues v ON w.VenueID = v.VenueID
+            WHERE wr.UserID = ?
+            ORDER BY w.Date ASC, w.Time ASC
+        `, [userId]);
+
+        const accommodationRequests = await executeQuery(`
+            SELECT ar.RequestID, ar.CheckInDate, ar.CheckOutDate, ar.NumberOfPeople, ar.Status,
+                   a.Name AS AccommodationName, a.Location AS AccommodationLocation
+            FROM AccommodationRequests ar
+            LEFT JOIN Accommodations a ON ar.AssignedAccommodationID = a.AccommodationID
+            WHERE ar.UserID = ?
+            ORDER BY ar.CheckInDate ASC
+        `, [userId]);
+
+        // Personal alerts plus alerts addressed to the user's whole role
+        const alerts = await executeQuery(`
+            SELECT AlertID, AlertType, Message, CreatedAt, UserID IS NOT NULL AS IsPersonal
+            FROM SystemAlerts
+            WHERE IsRead = FALSE
+              AND (UserID = ? OR (UserID IS NULL AND TargetRoleID = ?))
+            ORDER BY CreatedAt DESC
+        `, [userId, req.user.RoleID]);
+
+        res.render('me-dashboard', {
+            title: 'Dashboard',
+            registrations: registrations.map(registration => ({ ...registration, HasTicket: hasValidTicket(registration) })),
+            transfers,
+            teams,
+            workshops,
+            accommodationRequests,
+            alerts,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading dashboard:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading dashboard',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user
+        });
+    }
+});
+
+// POST /me/alerts/:id/read - Mark one of the user's own alerts as read
+router.post('/alerts/:id/read', async (req, res) => {
+    try {
+        const result = await executeQuery(
+            'UPDATE SystemAlerts SET IsRead = TRUE WHERE AlertID = ? AND UserID = ?',
+            [req.params.id, req.user.UserID]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.json({ message: 'Alert marked as read' });
+    } catch (error) {
+        console.error('Error marking alert as read:', error);
+        res.status(500).json({ error: 'Failed to update alert' });
+    }
+});
+
+// GET /me/profile - Render profile settings
+router.get('/profile', async (req, res, next) => {
+    try {
+        const [profile] = await executeQuery(`
+            SELECT u.Name, u.Email, u.username, u.Contact, u.University, u.City, r.RoleName AS Role, u.CreatedAt
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ?
+        `, [req.user.UserID]);
+
+        res.render('me-profile', {
+            title: 'My Profile',
+            profile,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        next(error);
+    }
+});
+
+// PUT /me/profile - Update the user's own profile details
+router.put('/profile', profileValidation, async (req, res) => {
+    try {
+        const { name, contact, university, city } = req.body;
+        await executeQuery(`
+            UPDATE Users
+            SET Name = ?, Contact = ?, University = ?, City = ?
+            WHERE UserID = ?
+        `, [name, contact || null, university || null, city || null, req.user.UserID]);
+
+        res.json({ message: 'Profile updated successfully' });
+    } catch (error) {
+        console.error('Error updating profile:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+// POST /me/password - Change password (requires the current one)
+router.post('/password', blockDuringImpersonation, async (req, res) => {
+    try {
+        const { currentPassword, newPassword, confirmPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
+        }
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({ error: 'Passwords do not match' });
+        }
+        if (!passwordValidator(newPassword)) {
+            return res.status(400).json({ error: 'Password does not meet complexity requirements' });
+        }
+
+        const [account] = await executeQuery('SELECT Password FROM Users WHERE UserID = ?', [req.user.UserID]);
+        if (!(await bcrypt.compare(currentPassword, account.Password))) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        const hashed = await bcrypt.hash(newPassword, 10);
+        await executeQuery('UPDATE Users SET Password = ? WHERE UserID = ?', [hashed, req.user.UserID]);
+        // Anyone else holding a session with the old password is logged out
+        const ended = await revokeUserSessions(req.user.UserID, req.sessionID);
+
+        res.json({
+            message: ended > 0
+                ? `Password changed successfully. ${ended} other session(s) were logged out.`
+                : 'Password changed successfully'
+        });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// GET /me/sessions - Render the user's active sessions
+router.get('/sessions', async (req, res, next) => {
+    try {
+        res.render('me-sessions', {
+            title: 'Active Sessions',
+            sessions: await listUserSessions(req.user.UserID),
+            currentSessionId: hashToken(req.sessionID),
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        next(error);
+    }
+});
+
+// DELETE /me/sessions/:id - Log out one of the user's other sessions
+router.delete('/sessions/:id', async (req, res) => {
+    try {
+        if (req.params.id === hashToken(req.sessionID)) {
+            return res.status(400).json({ error: 'Use logout to end your current session' });
+        }
+        const revoked = await revokeUserSession(req.user.UserID, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// POST /me/sessions/revoke-others - Log out every session except the current one
+router.post('/sessions/revoke-others', async (req, res) => {
+    try {
+        const ended = await revokeUserSessions(req.user.UserID, req.sessionID);
+        res.json({ message: `${ended} session(s) revoked` });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// GET /me/api-tokens - Render personal API token management
+router.get('/api-tokens', async (req, res, next) => {
+    try {
+        // Tokens can only be scoped to privileges the user currently has
+        const availableScopes = [];
+        for (const [resource, actions] of Object.entries(req.user.privileges || {})) {
+            for (const action of Object.keys(actions)) {
+                availableScopes.push(`${resource}.${action}`);
+            }
+        }
+
+        res.render('me-api-tokens', {
+            title: 'API Tokens',
+            tokens: await listApiTokens(req.user.UserID),
+            availableScopes: availableScopes.sort(),
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading API tokens:', error);
+        next(error);
+    }
+});
+
+// POST /me/api-tokens - Create a token (the raw value is returned only in this response)
+router.post('/api-tokens', blockDuringImpersonation, async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        const scopes = parseScopes(req.body.scopes);
+        const expiresInDays = req.body.expiresInDays ? parseInt(req.body.expiresInDays, 10) : null;
+
+        if (!name || name.length > 100) {
+            return res.status(400).json({ error: 'Token name is required (max 100 characters)' });
+        }
+        if (scopes.length === 0) {
+            return res.status(400).json({ error: 'Select at least one scope' });
+        }
+        const privileges = req.user.privileges || {};
+        const invalid = scopes.filter(scope => {
+            const [resource, action] = scope.split('.');
+            return !privileges[resource] || (action !== '*' && !privileges[resource][action]);
+        });
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid scopes',
+                details: `You do not have: ${invalid.join(', ')}`
+            });
+        }
+        if (expiresInDays !== null && !(expiresInDays >= 1 && expiresInDays <= 365)) {
+            return res.status(400).json({ error: 'Expiry must be between 1 and 365 days' });
+        }
+
+        const { tokenId, token } = await createApiToken({
+            userId: req.user.UserID,
+            name,
+            scopes,
+            expiresInDays
+        });
+
+        res.status(201).json({
+            message: 'Token created. Copy it now, it will not be shown again.',
+            tokenId,
+            token
+        });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
+
+// DELETE /me/api-tokens/:id - Revoke a token
+router.delete('/api-tokens/:id', blockDuringImpersonation, async (req, res) => {
+    try {
+        const revoked = await revokeApiToken(req.user.UserID, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        res.json({ message: 'Token revoked' });
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+// GET /me/security - Render account security settings
+router.get('/security', async (req, res, next) => {
+    try {
+        const twoFactor = await getTwoFactorState(req.user.UserID);
+        res.render('me-security', {
+            title: 'Account Security',
+            user: req.user,
+            twoFactorEnabled: twoFactor.enabled,
+            recoveryCodesLeft: twoFactor.recoveryCodesLeft,
+            twoFactorRequired: isTwoFactorRequired(req.user.Role)
+        });
+    } catch (error) {
+        console.error('Error loading security settings:', error);
+        next(error);
+    }
+});
+
+// POST /me/security/2fa/setup - Start enrolment with a new secret
+router.post('/security/2fa/setup', blockDuringImpersonation, async (req, res) => {
+    try {
+        const twoFactor = await getTwoFactorState(req.user.UserID);
+        if (twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        // The secret only becomes active once a code generated from it is confirmed
+        req.session.twoFactorSetupSecret = generateSecret();
+        const enrolment = await buildEnrolment(req.session.twoFactorSetupSecret, req.user.Email);
+        res.json(enrolment);
+    } catch (error) {
+        console.error('Error starting 2FA setup:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// POST /me/security/2fa/enable - Confirm the first code and enable 2FA
+router.post('/security/2fa/enable', blockDuringImpersonation, async (req, res) => {
+    try {
+        const secret = req.session.twoFactorSetupSecret;
+        if (!secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const step = verifyCode(secret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await enableTwoFactor(req.user.UserID, secret, step);
+        delete req.session.twoFactorSetupSecret;
+
+        res.json({
+            message: 'Two-factor authentication enabled',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Error enabling 2FA:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// POST /me/security/2fa/disable - Turn 2FA off (not allowed for roles that require it)
+router.post('/security/2fa/disable', blockDuringImpersonation, async (req, res) => {
+    try {
+        if (isTwoFactorRequired(req.user.Role)) {
+            return res.status(403).json({ error: 'Two-factor authentication is mandatory for your role' });
+        }
+        if (!(await verifyUserCode(req.user.UserID, req.body.code))) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await disableTwoFactor(req.user.UserID);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// POST /me/security/2fa/recovery-codes - Replace recovery codes
+router.post('/security/2fa/recovery-codes', blockDuringImpersonation, async (req, res) => {
+    try {
+        if (!(await verifyUserCode(req.user.UserID, req.body.code))) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(req.user.UserID);
+        res.json({
+            message: 'New recovery codes generated',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ error: 'Failed to generate recovery codes' });
+    }
+});
+
+// GET /me/privacy - Render data export and account deletion options
+router.get('/privacy', async (req, res, next) => {
+    try {
+        const [deletionRequest] = await executeQuery(`
+            SELECT RequestID, Reason, Status, RequestedAt, ProcessedAt, AdminNotes
+            FROM DataDeletionRequests
+            WHERE UserID = ?
+            ORDER BY RequestedAt DESC, RequestID DESC
+            LIMIT 1
+        `, [req.user.UserID]);
+
+        res.render('me-privacy', {
+            title: 'Privacy',
+            deletionRequest: deletionRequest || null,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading privacy page:', error);
+        next(error);
+    }
+});
+
+// GET /me/privacy/export - Download everything stored about the user (?format=json or zip)
+router.get('/privacy/export', async (req, res) => {
+    try {
+        const data = await collectUserData(req.user.UserID);
+        const fileName = `nascon-data-${req.user.username}-${data.exportedAt.slice(0, 10)}`;
+
+        if (req.query.format === 'zip') {
+            res.set('Content-Type', 'application/zip');
+            res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+            return res.send(buildExportZip(data));
+        }
+        res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+        res.json(data);
+    } catch (error) {
+        console.error('Error exporting user data:', error);
+        res.status(500).json({ error: 'Failed to export your data' });
+    }
+});
+
+// POST /me/privacy/deletion-request - Ask for the account's personal data to be erased
+router.post('/privacy/deletion-request', blockDuringImpersonation, async (req, res) => {
+    try {
+        const { password } = req.body;
+        const reason = String(req.body.reason || '').trim();
+
+        if (!password) {
+            return res.status(400).json({ error: 'Please confirm your password' });
+        }
+        if (reason.length > 1000) {
+            return res.status(400).json({ error: 'Reason must not exceed 1000 characters' });
+        }
+
+        const [account] = await executeQuery('SELECT Password FROM Users WHERE UserID = ?', [req.user.UserID]);
+        if (!(await bcrypt.compare(password, account.Password))) {
+            return res.status(400).json({ error: 'Password is incorrect' });
+        }
+
+        const pending = await executeQuery(
+            "SELECT RequestID FROM DataDeletionRequests WHERE UserID = ? AND Status = 'pending'",
+            [req.user.UserID]
+        );
+        if (pending.length > 0) {
+            return res.status(409).json({ error: 'You already have a pending deletion request' });
+        }
+
+        await executeQuery(
+            'INSERT INTO DataDeletionRequests (UserID, Reason) VALUES (?, ?)',
+            [req.user.UserID, reason || null]
+        );
+        res.status(201).json({ message: 'Deletion request submitted. An administrator will process it shortly.' });
+    } catch (error) {
+        console.error('Error requesting account deletion:', error);
+        res.status(500).json({ error: 'Failed to submit deletion request' });
+    }
+});
+
+// DELETE /me/privacy/deletion-request - Withdraw a pending deletion request
+router.delete('/privacy/deletion-request', blockDuringImpersonation, async (req, res) => {
+    try {
+        const result = await executeQuery(
+            "UPDATE DataDeletionRequests SET Status = 'cancelled', ProcessedAt = NOW() WHERE UserID = ? AND Status = 'pending'",
+            [req.user.UserID]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'No pending deletion request' });
+        }
+        res.json({ message: 'Deletion request withdrawn' });
+    } catch (error) {
+        console.error('Error cancelling deletion request:', error);
+        res.status(500).json({ error: 'Failed to withdraw deletion request' });
+    }
+});
+
+module.exports = router;
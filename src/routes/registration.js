@@ -1,10 +1,70 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
+const multer = require('multer');
 const { executeQuery } = require('../config/database');
 const passwordValidator = require('../utils/passwordValidator');
 const { registerValidation } = require('../middleware/validation');
-const { isAuthenticated } = require('../middleware/auth');
+const { isAuthenticated, blockDuringImpersonation } = require('../middleware/auth');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail, appUrl } = require('../utils/mailer');
+const { isRegistrationOpen } = require('../utils/eventLifecycle');
+const { registerForEvent, waitlistPositionSql } = require('../utils/waitlist');
+const { findCancellableRegistration, quoteRefund, cancelWithRefund } = require('../utils/refunds');
+const {
+  getTransfer,
+  requestTransfer,
+  respondToTransfer,
+  reviewTransfer,
+  cancelTransfer
+} = require('../utils/registrationTransfers');
+const {
+  MAX_FILE_BYTES,
+  getQuestions,
+  validateAnswers,
+  storeAnswerFiles,
+  removeAnswerFiles,
+  answerQueries
+} = require('../utils/registrationQuestions');
+const { createTicketCode, hasValidTicket, ticketQrDataUrl, ticketQrPng } = require('../utils/tickets');
+
+// How long an emailed verification link stays valid
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+// Whether the request expects JSON: an API call, or the registration page's script rather than a plain form post
+const wantsJson = (req) => req.path.startsWith('/api/') || req.xhr || (req.headers.accept || '').includes('application/json');
+
+// File answers to registration questions are checked in memory before being stored
+const answerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_BYTES, files: 20 }
+});
+
+// Runs the answer upload, answering upload errors with a 400
+const uploadAnswers = (req, res, next) => {
+  answerUpload.any()(req, res, (err) => {
+    if (err) {
+      if (wantsJson(req)) {
+        return res.status(400).json({ error: 'Invalid upload', details: err.message });
+      }
+      return res.status(400).render('error', { message: `Invalid upload: ${err.message}` });
+    }
+    next();
+  });
+};
+
+// Validates an event's registration answers, stores uploaded files and registers the user
+// with the answers in the same transaction
+async function registerWithAnswers(registration, body, files) {
+  const answers = validateAnswers(await getQuestions(registration.eventId), body, files);
+  await storeAnswerFiles(answers);
+  try {
+    return await registerForEvent(registration, answerQueries(answers));
+  } catch (err) {
+    await removeAnswerFiles(answers);
+    throw err;
+  }
+}
 
 // Mapping allowed roles
 const roleMapping = {
@@ -14,6 +74,28 @@ const roleMapping = {
   '4': 4  // judge
 };
 
+// Issue a fresh verification token (superseding older ones) and email the link
+async function sendVerificationEmail(user) {
+  await executeQuery(
+    'UPDATE EmailVerificationTokens SET UsedAt = NOW() WHERE UserID = ? AND UsedAt IS NULL',
+    [user.UserID]
+  );
+
+  const { token, tokenHash } = generateToken();
+  await executeQuery(`
+    INSERT INTO EmailVerificationTokens (UserID, TokenHash, ExpiresAt)
+    VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))
+  `, [user.UserID, tokenHash, VERIFICATION_TOKEN_TTL_HOURS]);
+
+  const verifyUrl = appUrl(`/register/verify/${token}`);
+  await sendMail({
+    to: user.Email,
+    subject: 'Verify your NASCON email address',
+    text: `Hi ${user.Name},\n\nPlease confirm your email address to activate your NASCON account. ` +
+      `The link expires in ${VERIFICATION_TOKEN_TTL_HOURS} hours.\n\n${verifyUrl}`
+  });
+}
+
 // GET /register - Render registration page
 router.get('/', (req, res) => {
   res.render('registration', {
@@ -68,13 +150,13 @@ router.post('/api/register', registerValidation, async (req, res) => {
     console.log('Hashing password...');
     const hashed = await bcrypt.hash(password, 10);
 
-    // Insert user
+    // Insert user (inactive until the email address is verified)
     console.log('Attempting to insert user into database...');
     const insertSql = `
       INSERT INTO Users (
         Name, Email, Password, Contact, username,
         RoleID, Status, LastLogin, CreatedAt, UpdatedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, 'active', NULL, NOW(), NOW())
+      ) VALUES (?, ?, ?, ?, ?, ?, 'inactive', NULL, NOW(), NOW())
     `;
     const result = await executeQuery(insertSql, [
       name,
@@ -86,9 +168,16 @@ router.post('/api/register', registerValidation, async (req, res) => {
     ]);
     console.log('User inserted successfully:', result);
 
+    try {
+      await sendVerificationEmail({ UserID: result.insertId, Name: name, Email: email });
+    } catch (mailErr) {
+      // The account exists; the user can request another link from the login page
+      console.error('Error sending verification email:', mailErr);
+    }
+
     // Return success response
     return res.status(201).json({ 
-      message: 'Registration successful',
+      message: 'Registration successful. Please check your email to verify your account.',
       user: {
         name,
         email,
@@ -108,8 +197,75 @@ router.post('/api/register', registerValidation, async (req, res) => {
   }
 });
 
-// POST /registration/api/registrations - API event registration
-router.post('/api/registrations', async (req, res) => {
+// GET /register/verify/:token - Activate an account from the emailed link
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const rows = await executeQuery(`
+      SELECT TokenID, UserID
+      FROM EmailVerificationTokens
+      WHERE TokenHash = ? AND UsedAt IS NULL AND ExpiresAt > NOW()
+    `, [hashToken(req.params.token)]);
+
+    let verified = false;
+    if (rows.length > 0) {
+      const claim = await executeQuery(
+        'UPDATE EmailVerificationTokens SET UsedAt = NOW() WHERE TokenID = ? AND UsedAt IS NULL',
+        [rows[0].TokenID]
+      );
+      if (claim.affectedRows > 0) {
+        // Only pending accounts are activated; a suspended account stays suspended.
+        // Status is assigned first because MySQL applies SET clauses left to right.
+        await executeQuery(`
+          UPDATE Users
+          SET Status = IF(Status = 'inactive' AND EmailVerifiedAt IS NULL, 'active', Status),
+              EmailVerifiedAt = NOW()
+          WHERE UserID = ?
+        `, [rows[0].UserID]);
+        verified = true;
+      }
+    }
+
+    res.status(verified ? 200 : 400).render('verify-email', {
+      title: 'Verify Email',
+      user: req.user || null,
+      verified
+    });
+  } catch (err) {
+    console.error('Email verification error:', err);
+    res.status(500).render('error', { message: 'Email verification failed' });
+  }
+});
+
+// POST /register/verify/resend - Send a new verification link
+router.post('/verify/resend', async (req, res) => {
+  // Same response whether or not the address exists, so accounts cannot be enumerated
+  const genericResponse = {
+    message: 'If that account is awaiting verification, a new link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const users = await executeQuery(
+      'SELECT UserID, Name, Email FROM Users WHERE Email = ? AND EmailVerifiedAt IS NULL',
+      [email.trim()]
+    );
+    if (users.length > 0) {
+      await sendVerificationEmail(users[0]);
+    }
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ error: 'Could not send verification email. Please try again.' });
+  }
+});
+
+// POST /registration/api/registrations - API event registration (multipart when questions ask for files)
+router.post('/api/registrations', uploadAnswers, async (req, res) => {
   try {
     const { userId, eventId } = req.body;
     if (!userId || !eventId) {
@@ -123,10 +279,13 @@ router.post('/api/registrations', async (req, res) => {
     if (user.length === 0) return res.status(404).json({ error: 'User not found' });
 
     const event = await executeQuery(
-      'SELECT EventID FROM Events WHERE EventID = ?',
+      'SELECT EventID, Status, RegistrationDeadline FROM Events WHERE EventID = ?',
       [eventId]
     );
     if (event.length === 0) return res.status(404).json({ error: 'Event not found' });
+    if (!isRegistrationOpen(event[0])) {
+      return res.status(409).json({ error: 'Registration is closed for this event' });
+    }
 
     const exists = await executeQuery(
       'SELECT * FROM Registrations WHERE UserID = ? AND EventID = ?',
@@ -134,21 +293,57 @@ router.post('/api/registrations', async (req, res) => {
     );
     if (exists.length > 0) return res.status(400).json({ error: 'Already registered' });
 
-    await executeQuery(
-      'INSERT INTO Registrations (UserID, EventID, PaymentStatus) VALUES (?, ?, ?)',
-      [userId, eventId, 'Pending']
-    );
-    res.status(201).json({ message: 'Registration successful' });
+    // Full events put the registration on the waitlist instead
+    const registration = await registerWithAnswers({ userId, eventId, paymentStatus: 'pending' }, req.body, req.files);
+    if (registration.status === 'waitlisted') {
+      return res.status(202).json({
+        message: 'The event is full; you have been added to the waitlist',
+        registrationId: registration.registrationId,
+        status: registration.status,
+        waitlistPosition: registration.waitlistPosition
+      });
+    }
+    res.status(201).json({
+      message: 'Registration successful',
+      registrationId: registration.registrationId,
+      status: registration.status
+    });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
     console.error('Registration API error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// POST /registration - User-facing event registration
-router.post('/', isAuthenticated, async (req, res) => {
+// GET /registration/event/:eventId - Event registration form, with the event's questions
+router.get('/event/:eventId', isAuthenticated, async (req, res) => {
   try {
-    const userId = req.session.user.UserID;
+    const [event] = await executeQuery('SELECT * FROM Events WHERE EventID = ?', [req.params.eventId]);
+    if (!event) {
+      return res.status(404).render('error', { message: 'Event not found' });
+    }
+    if (!isRegistrationOpen(event)) {
+      return res.status(409).render('error', { message: 'Registration is closed for this event' });
+    }
+
+    res.render('event-registration', {
+      title: 'Event Registration',
+      event,
+      questions: await getQuestions(event.EventID),
+      user: req.user
+    });
+  } catch (err) {
+    console.error('Registration form error:', err);
+    res.status(500).render('error', { message: 'Failed to load the registration form' });
+  }
+});
+
+// POST /registration - User-facing event registration (multipart when questions ask for files)
+router.post('/', isAuthenticated, uploadAnswers, async (req, res) => {
+  try {
+    const userId = req.user.UserID;
     const { eventId, specialRequirements } = req.body;
 
     const event = await executeQuery(
@@ -158,6 +353,9 @@ router.post('/', isAuthenticated, async (req, res) => {
     if (event.length === 0) {
       return res.status(404).render('error', { message: 'Event not found' });
     }
+    if (!isRegistrationOpen(event[0])) {
+      return res.status(409).render('error', { message: 'Registration is closed for this event' });
+    }
 
     const existingReg = await executeQuery(
       'SELECT RegistrationID FROM Registrations WHERE EventID = ? AND UserID = ?',
@@ -167,13 +365,23 @@ router.post('/', isAuthenticated, async (req, res) => {
       return res.status(400).render('error', { message: 'Already registered' });
     }
 
-    const insert = await executeQuery(
-      `INSERT INTO Registrations (UserID, EventID, PaymentStatus, Status, RegistrationDate, SpecialRequirements)
-       VALUES (?, ?, ?, ?, NOW(), ?)`,
-      [userId, eventId, 'pending', 'pending', specialRequirements || null]
-    );
-    res.redirect(`/registration/success?id=${insert.insertId}`);
+    const registration = await registerWithAnswers({
+      userId,
+      eventId,
+      paymentStatus: 'pending',
+      specialRequirements: specialRequirements || null
+    }, req.body, req.files);
+    if (wantsJson(req)) {
+      return res.status(201).json({ registrationId: registration.registrationId, status: registration.status });
+    }
+    res.redirect(`/register/success?id=${registration.registrationId}`);
   } catch (err) {
+    if (err.status) {
+      if (wantsJson(req)) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+      }
+      return res.status(err.status).render('error', { message: err.message });
+    }
     console.error('Error creating registration:', err);
     res.status(500).render('error', { message: 'Registration failed' });
   }
@@ -183,10 +391,11 @@ router.post('/', isAuthenticated, async (req, res) => {
 router.get('/success', isAuthenticated, async (req, res) => {
   try {
     const regId = req.query.id;
-    const userId = req.session.user.UserID;
+    const userId = req.user.UserID;
 
     const rows = await executeQuery(
-      `SELECT r.*, e.Name AS EventName, e.Date AS EventDate, e.Time AS EventTime,
+      `SELECT r.*, ${waitlistPositionSql('r')} AS WaitlistPosition,
+              e.Name AS EventName, e.Date AS EventDate, e.Time AS EventTime,
               e.Reg_Fee AS RegistrationFee, e.EventType,
               v.Name AS VenueName, t.TeamName
        FROM Registrations r
@@ -223,18 +432,176 @@ router.get('/success', isAuthenticated, async (req, res) => {
         );
       }
     }
-    res.render('registration-success', { title: 'Registration Successful', registration, team, user: req.session.user });
+    // QR ticket, once the registration holds a paid-for place
+    let ticket = null;
+    if (hasValidTicket({ ...registration, Reg_Fee: registration.RegistrationFee })) {
+      const code = createTicketCode(registration);
+      ticket = { code, qrDataUrl: await ticketQrDataUrl(code) };
+    }
+
+    res.render('registration-success', { title: 'Registration Successful', registration, team, ticket, user: req.user });
   } catch (err) {
     console.error('Success page error:', err);
     res.status(500).render('error', { message: 'Failed to load details' });
   }
 });
 
+// GET /registration/:id/ticket.png - Download the QR ticket of a registration
+router.get('/:id/ticket.png', isAuthenticated, async (req, res) => {
+  try {
+    const [registration] = await executeQuery(
+      `SELECT r.RegistrationID, r.EventID, r.UserID, r.Status, r.PaymentStatus, e.Reg_Fee, e.Name AS EventName
+       FROM Registrations r
+       JOIN Events e ON r.EventID = e.EventID
+       WHERE r.RegistrationID = ? AND r.UserID = ?`,
+      [req.params.id, req.user.UserID]
+    );
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+    if (!hasValidTicket(registration)) {
+      return res.status(409).json({ error: 'A ticket is issued once the registration holds a paid-for place' });
+    }
+
+    const fileName = `ticket-${registration.EventName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${registration.RegistrationID}.png`;
+    res.set('Content-Type', 'image/png');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(await ticketQrPng(createTicketCode(registration)));
+  } catch (err) {
+    console.error('Ticket download error:', err);
+    res.status(500).json({ error: 'Could not generate the ticket' });
+  }
+});
+
+// GET /registration/:id/refund-quote - What cancelling now would refund
+router.get('/:id/refund-quote', isAuthenticated, async (req, res) => {
+  try {
+    const registration = await findCancellableRegistration(req.params.id, req.user.UserID);
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const { daysBefore, percent, amount, payment } = await quoteRefund(registration);
+    res.json({ daysBefore, percent, amount, paid: !!payment });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Refund quote error:', err);
+    res.status(500).json({ error: 'Could not work out the refund' });
+  }
+});
+
+// POST /registration/:id/cancel - Cancel a registration and refund it per the event's rules
+router.post('/:id/cancel', isAuthenticated, blockDuringImpersonation, async (req, res) => {
+  try {
+    const registration = await findCancellableRegistration(req.params.id, req.user.UserID);
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const reason = String(req.body.reason || '').trim().slice(0, 1000) || null;
+    const { refund } = await cancelWithRefund(registration, { reason });
+    res.json({
+      message: refund.amount > 0
+        ? `Registration cancelled. Rs. ${refund.amount.toFixed(2)} (${refund.percent}%) will be refunded to your original payment method.`
+        : 'Registration cancelled.',
+      refund: { percent: refund.percent, amount: refund.amount }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Cancellation error:', err);
+    res.status(500).json({ error: 'Cancellation failed' });
+  }
+});
+
+// POST /registration/:id/transfer - Offer a registration to another user by email
+router.post('/:id/transfer', isAuthenticated, blockDuringImpersonation, async (req, res) => {
+  try {
+    if (!req.body.email) {
+      return res.status(400).json({ error: 'Recipient email is required' });
+    }
+
+    const { transferId, recipient } = await requestTransfer(req.params.id, req.user.UserID, req.body.email);
+    res.status(201).json({
+      message: `Transfer offered to ${recipient.Name}. It completes once they accept it.`,
+      transferId
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Transfer request error:', err);
+    res.status(500).json({ error: 'Could not request the transfer' });
+  }
+});
+
+// DELETE /registration/:id/transfer - Withdraw a transfer that has not completed
+router.delete('/:id/transfer', isAuthenticated, blockDuringImpersonation, async (req, res) => {
+  try {
+    const cancelled = await cancelTransfer(req.params.id, req.user.UserID);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No open transfer for this registration' });
+    }
+    res.json({ message: 'Transfer withdrawn' });
+  } catch (err) {
+    console.error('Transfer withdrawal error:', err);
+    res.status(500).json({ error: 'Could not withdraw the transfer' });
+  }
+});
+
+// POST /registration/transfers/:transferId/accept|decline - Recipient's answer
+router.post('/transfers/:transferId/:answer(accept|decline)', isAuthenticated, blockDuringImpersonation, async (req, res) => {
+  try {
+    const status = await respondToTransfer(
+      parseInt(req.params.transferId, 10),
+      req.user.UserID,
+      req.params.answer === 'accept'
+    );
+    const messages = {
+      declined: 'Transfer declined',
+      pending_approval: 'Transfer accepted. It completes once the organizer approves it.',
+      completed: 'Transfer complete. The registration is now yours.'
+    };
+    res.json({ message: messages[status], status });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Transfer response error:', err);
+    res.status(500).json({ error: 'Could not answer the transfer' });
+  }
+});
+
+// POST /registration/transfers/:transferId/approve|reject - Organizer's decision
+router.post('/transfers/:transferId/:decision(approve|reject)', isAuthenticated, blockDuringImpersonation, async (req, res) => {
+  try {
+    const transfer = await getTransfer(req.params.transferId);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    if (!req.user.privileges?.Events?.update && req.user.UserID !== transfer.OrganizerID) {
+      return res.status(403).json({ error: 'Only the event organizer can review transfers' });
+    }
+
+    const status = await reviewTransfer(transfer, req.user.UserID, req.params.decision === 'approve');
+    res.json({ message: status === 'completed' ? 'Transfer approved' : 'Transfer rejected', status });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Transfer review error:', err);
+    res.status(500).json({ error: 'Could not review the transfer' });
+  }
+});
+
 // PATCH /registration/:id - Update registration
 router.patch('/:id', isAuthenticated, async (req, res) => {
   try {
     const regId = req.params.id;
-    const userId = req.session.user.UserID;
+    const userId = req.user.UserID;
     const { teamId } = req.body;
 
     const rows = await executeQuery(
@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../config/database');
+const { hasPrivilege } = require('../middleware/auth');
+const { roleValidation, privilegeValidation } = require('../middleware/validation');
+const { getPrivilegeMatrix } = require('../utils/privileges');
+
+// Removing this privilege from yourself would lock you out of this page
+const isRolesManage = (resource, action) => resource === 'Roles' && action === 'manage';
+
+/**
+ * Loads all roles with their privileges and user counts
+ * @returns {Promise<Array>}
+ */
+async function getRolesWithPrivileges() {
+    const roles = await executeQuery(`
+        SELECT r.RoleID, r.RoleName, COUNT(u.UserID) AS UserCount
+        FROM Roles r
+        LEFT JOIN Users u ON u.RoleID = r.RoleID
+        GROUP BY r.RoleID
+        ORDER BY r.RoleName ASC
+    `);
+    const privileges = await executeQuery(`
+        SELECT PrivilegeID, RoleID, Resource, Action
+        FROM RolePrivileges
+        ORDER BY Resource ASC, Action ASC
+    `);
+    return roles.map(role => ({
+        ...role,
+        privileges: privileges.filter(p => p.RoleID === role.RoleID)
+    }));
+}
+
+// GET /admin/roles - Render roles and privileges management page
+router.get('/', async (req, res) => {
+    try {
+        const roles = await getRolesWithPrivileges();
+        const known = await executeQuery(`
+            SELECT Resource, Action FROM RolePrivileges
+            UNION
+            SELECT Resource, Action FROM UserPrivileges
+        `);
+
+        res.render('admin-roles', {
+            title: 'Roles & Privileges',
+            roles,
+            knownResources: [...new Set(known.map(p => p.Resource))].sort(),
+            knownActions: [...new Set(known.map(p => p.Action))].sort(),
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading roles:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading roles',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user
+        });
+    }
+});
+
+// GET /admin/roles/api/roles - Get all roles with their privileges
+router.get('/api/roles', async (req, res) => {
+    try {
+        res.json(await getRolesWithPrivileges());
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+});
+
+// GET /admin/roles/api/users - Search users to manage their overrides
+router.get('/api/users', async (req, res) => {
+    try {
+        const search = `%${String(req.query.q || '').trim()}%`;
+        const users = await executeQuery(`
+            SELECT u.UserID, u.Name, u.Email, r.RoleName AS Role
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.Name LIKE ? OR u.Email LIKE ? OR u.username LIKE ?
+            ORDER BY u.Name ASC
+            LIMIT 20
+        `, [search, search, search]);
+        res.json(users);
+    } catch (error) {
+        console.error('Error searching users:', error);
+        res.status(500).json({ error: 'Failed to search users' });
+    }
+});
+
+// POST /admin/roles - Create a new role
+router.post('/', roleValidation, async (req, res) => {
+    try {
+        const result = await executeQuery('INSERT INTO Roles (RoleName) VALUES (?)', [req.body.roleName]);
+        res.status(201).json({
+            message: 'Role created successfully',
+            roleId: result.insertId
+        });
+    } catch (error) {
+        // executeQuery rethrows ER_DUP_ENTRY as a plain error
+        if (error.message === 'Duplicate entry found') {
+            return res.status(409).json({ error: 'A role with this name already exists' });
+        }
+        console.error('Error creating role:', error);
+        res.status(500).json({ error: 'Failed to create role' });
+    }
+});
+
+// DELETE /admin/roles/:id - Delete a role that no user holds
+router.delete('/:id', async (req, res) => {
+    try {
+        const [role] = await executeQuery(`
+            SELECT r.RoleID, COUNT(u.UserID) AS UserCount
+            FROM Roles r
+            LEFT JOIN Users u ON u.RoleID = r.RoleID
+            WHERE r.RoleID = ?
+            GROUP BY r.RoleID
+        `, [req.params.id]);
+
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        if (role.UserCount > 0) {
+            return res.status(409).json({
+                error: 'Cannot delete role',
+                details: `${role.UserCount} user(s) still have this role`
+            });
+        }
+
+        await executeQuery('DELETE FROM Roles WHERE RoleID = ?', [req.params.id]);
+        res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting role:', error);
+        res.status(500).json({ error: 'Failed to delete role' });
+    }
+});
+
+// POST /admin/roles/:id/privileges - Grant a privilege to a role
+router.post('/:id/privileges', hasPrivilege('Privileges', 'manage'), privilegeValidation, async (req, res) => {
+    try {
+        const roles = await executeQuery('SELECT RoleID FROM Roles WHERE RoleID = ?', [req.params.id]);
+        if (roles.length === 0) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        const result = await executeQuery(
+            'INSERT IGNORE INTO RolePrivileges (RoleID, Resource, Action) VALUES (?, ?, ?)',
+            [req.params.id, req.body.resource, req.body.action]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ error: 'Role already has this privilege' });
+        }
+
+        res.status(201).json({
+            message: 'Privilege granted',
+            privilegeId: result.insertId
+        });
+    } catch (error) {
+        console.error('Error granting privilege:', error);
+        res.status(500).json({ error: 'Failed to grant privilege' });
+    }
+});
+
+// DELETE /admin/roles/:id/privileges/:privilegeId - Revoke a privilege from a role
+router.delete('/:id/privileges/:privilegeId', hasPrivilege('Privileges', 'manage'), async (req, res) => {
+    try {
+        const [privilege] = await executeQuery(
+            'SELECT Resource, Action FROM RolePrivileges WHERE PrivilegeID = ? AND RoleID = ?',
+            [req.params.privilegeId, req.params.id]
+        );
+        if (!privilege) {
+            return res.status(404).json({ error: 'Privilege not found' });
+        }
+        if (Number(req.params.id) === req.user.RoleID && isRolesManage(privilege.Resource, privilege.Action)) {
+            return res.status(400).json({ error: 'You cannot revoke role management from your own role' });
+        }
+
+        await executeQuery('DELETE FROM RolePrivileges WHERE PrivilegeID = ?', [req.params.privilegeId]);
+        res.json({ message: 'Privilege revoked' });
+    } catch (error) {
+        console.error('Error revoking privilege:', error);
+        res.status(500).json({ error: 'Failed to revoke privilege' });
+    }
+});
+
+// GET /admin/roles/users/:userId/privileges - Preview a user's effective privileges
+router.get('/users/:userId/privileges', async (req, res) => {
+    try {
+        const [user] = await executeQuery(`
+            SELECT u.UserID, u.Name, u.Email, u.RoleID, r.RoleName AS Role
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ?
+        `, [req.params.userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const overrides = await executeQuery(`
+            SELECT up.UserPrivilegeID, up.Resource, up.Action, up.Effect, up.CreatedAt,
+                   g.Name AS GrantedByName
+            FROM UserPrivileges up
+            LEFT JOIN Users g ON up.GrantedBy = g.UserID
+            WHERE up.UserID = ?
+            ORDER BY up.Resource ASC, up.Action ASC
+        `, [user.UserID]);
+
+        res.json({
+            user,
+            overrides,
+            matrix: await getPrivilegeMatrix(user.UserID, user.RoleID)
+        });
+    } catch (error) {
+        console.error('Error fetching user privileges:', error);
+        res.status(500).json({ error: 'Failed to fetch user privileges' });
+    }
+});
+
+// POST /admin/roles/users/:userId/privileges - Add or change a per-user override
+router.post('/users/:userId/privileges', hasPrivilege('Privileges', 'manage'), privilegeValidation, async (req, res) => {
+    try {
+        const { resource, action } = req.body;
+        const effect = req.body.effect || 'grant';
+
+        const users = await executeQuery('SELECT UserID FROM Users WHERE UserID = ?', [req.params.userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (Number(req.params.userId) === req.user.UserID && effect === 'deny' && isRolesManage(resource, action)) {
+            return res.status(400).json({ error: 'You cannot deny role management to yourself' });
+        }
+
+        await executeQuery(`
+            INSERT INTO UserPrivileges (UserID, Resource, Action, Effect, GrantedBy)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE Effect = VALUES(Effect), GrantedBy = VALUES(GrantedBy)
+        `, [req.params.userId, resource, action, effect, req.user.UserID]);
+
+        res.json({ message: `Override saved: ${effect} ${resource}.${action}` });
+    } catch (error) {
+        console.error('Error saving privilege override:', error);
+        res.status(500).json({ error: 'Failed to save privilege override' });
+    }
+});
+
+// DELETE /admin/roles/users/:userId/privileges/:overrideId - Remove a per-user override
+router.delete('/users/:userId/privileges/:overrideId', hasPrivilege('Privileges', 'manage'), async (req, res) => {
+    try {
+        const result = await executeQuery(
+            'DELETE FROM UserPrivileges WHERE UserPrivilegeID = ? AND UserID = ?',
+            [req.params.overrideId, req.params.userId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Override not found' });
+        }
+        res.json({ message: 'Override removed' });
+    } catch (error) {
+        console.error('Error removing privilege override:', error);
+        res.status(500).json({ error: 'Failed to remove privilege override' });
+    }
+});
+
+module.exports = router;
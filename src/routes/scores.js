@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { executeQuery } = require('../config/database');
 const { isAuthenticated, isJudge } = require('../middleware/auth');
+const { areScoresFrozen } = require('../utils/eventLifecycle');
 
 // GET /scores/event/:eventId - Get all scores for an event
 router.get('/event/:eventId', isAuthenticated, async (req, res) => {
@@ -82,6 +83,13 @@ router.post('/', isJudge, async (req, res) => {
             });
         }
 
+        if (await areScoresFrozen(eventId)) {
+            return res.status(409).json({
+                error: 'Scores are frozen',
+                details: 'The event has been completed; its scores can no longer change'
+            });
+        }
+
         // Get judge ID for the current user
         const [judge] = await executeQuery(
             'SELECT JudgeID FROM Judges WHERE UserID = ?',
@@ -178,6 +186,13 @@ router.put('/:id', isJudge, async (req, res) => {
             });
         }
 
+        if (await areScoresFrozen(score.EventID)) {
+            return res.status(409).json({
+                error: 'Scores are frozen',
+                details: 'The event has been completed; its scores can no longer change'
+            });
+        }
+
         // Update the score
         await executeQuery(`
             UPDATE Scores 
@@ -204,7 +219,7 @@ router.delete('/:scoreId', isJudge, async (req, res) => {
     try {
         // Check if score exists and belongs to this judge
         const [score] = await executeQuery(`
-            SELECT ScoreID 
+            SELECT ScoreID, EventID
             FROM Scores 
             WHERE ScoreID = ? AND JudgeID = ?
         `, [req.params.scoreId, req.user.judgeId]);
@@ -213,6 +228,13 @@ router.delete('/:scoreId', isJudge, async (req, res) => {
             return res.status(404).json({ error: 'Score not found or unauthorized' });
         }
 
+        if (await areScoresFrozen(score.EventID)) {
+            return res.status(409).json({
+                error: 'Scores are frozen',
+                details: 'The event has been completed; its scores can no longer change'
+            });
+        }
+
         // Delete score
         await executeQuery('DELETE FROM Scores WHERE ScoreID = ?', [req.params.scoreId]);
 
@@ -0,0 +1,560 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { executeQuery } = require('../config/database');
+const { hasPrivilege, isSuperAdmin } = require('../middleware/auth');
+const { userUpdateValidation } = require('../middleware/validation');
+const { sendPasswordResetEmail } = require('../utils/passwordReset');
+const { startImpersonation, listImpersonations } = require('../utils/impersonation');
+const { anonymizeUser } = require('../utils/accountData');
+const { sendMail } = require('../utils/mailer');
+const { previewImport, createImportedUsers, MAX_IMPORT_ROWS, REQUIRED_COLUMNS, OPTIONAL_COLUMNS } = require('../utils/userImport');
+
+const PAGE_SIZE = 25;
+
+// Super admin accounts, and the super_admin role itself, can only be changed by another super admin
+const touchesSuperAdmin = (req, roleName) => roleName === 'super_admin' && req.user.Role !== 'super_admin';
+
+// CSV uploads are parsed from memory and never written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 },
+    fileFilter: function (req, file, cb) {
+        if (!file.originalname.match(/\.csv$/i)) {
+            return cb(new Error('Only .csv files are allowed'), false);
+        }
+        cb(null, true);
+    }
+});
+
+// Runs the multer upload, answering upload errors with JSON instead of the error page
+const uploadCsv = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: 'Invalid upload', details: err.message });
+        }
+        next();
+    });
+};
+
+/**
+ * Builds the WHERE clause for the user list from query string filters
+ * @param {object} filters - { q, role, status, university }
+ * @returns {{ where: string, params: Array }}
+ */
+function buildUserFilters({ q, role, status, university }) {
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (q) {
+        const search = `%${q.trim()}%`;
+        where += ' AND (u.Name LIKE ? OR u.Email LIKE ? OR u.username LIKE ?)';
+        params.push(search, search, search);
+    }
+    if (role) {
+        where += ' AND u.RoleID = ?';
+        params.push(role);
+    }
+    if (status) {
+        where += ' AND u.Status = ?';
+        params.push(status);
+    }
+    if (university) {
+        where += ' AND u.University = ?';
+        params.push(university);
+    }
+    return { where, params };
+}
+
+/**
+ * Loads one page of users matching the filters
+ * @param {object} query - Request query string
+ * @returns {Promise<{users: Array, page: number, totalPages: number, total: number}>}
+ */
+async function findUsers(query) {
+    const { where, params } = buildUserFilters(query);
+    const [{ total }] = await executeQuery(`SELECT COUNT(*) AS total FROM Users u ${where}`, params);
+    const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), totalPages);
+
+    // LIMIT/OFFSET are computed integers, not user input
+    const users = await executeQuery(`
+        SELECT u.UserID, u.Name, u.Email, u.username, u.University, u.City, u.Status,
+               u.LastLogin, u.LockedUntil, u.CreatedAt, r.RoleName AS Role
+        FROM Users u
+        JOIN Roles r ON u.RoleID = r.RoleID
+        ${where}
+        ORDER BY u.CreatedAt DESC, u.UserID DESC
+        LIMIT ${PAGE_SIZE} OFFSET ${(page - 1) * PAGE_SIZE}
+    `, params);
+
+    return { users, page, totalPages, total: Number(total) };
+}
+
+// GET /admin/users - Render user management list
+router.get('/', async (req, res) => {
+    try {
+        const result = await findUsers(req.query);
+        const roles = await executeQuery('SELECT RoleID, RoleName FROM Roles ORDER BY RoleName ASC');
+        const universities = await executeQuery(`
+            SELECT DISTINCT University FROM Users
+            WHERE University IS NOT NULL AND University <> ''
+            ORDER BY University ASC
+        `);
+
+        res.render('admin-users', {
+            title: 'Users',
+            ...result,
+            roles,
+            universities: universities.map(u => u.University),
+            filters: {
+                q: req.query.q || '',
+                role: req.query.role || '',
+                status: req.query.status || '',
+                university: req.query.university || ''
+            },
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading users:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading users',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user
+        });
+    }
+});
+
+// GET /admin/users/api/users - Get a filtered page of users
+router.get('/api/users', async (req, res) => {
+    try {
+        res.json(await findUsers(req.query));
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// GET /admin/users/import - Render the CSV import page
+router.get('/import', hasPrivilege('Users', 'create'), async (req, res) => {
+    try {
+        const roles = await executeQuery(
+            "SELECT RoleID, RoleName FROM Roles WHERE RoleName <> 'super_admin' ORDER BY RoleName ASC"
+        );
+        res.render('admin-users-import', {
+            title: 'Import Users',
+            roles,
+            maxRows: MAX_IMPORT_ROWS,
+            requiredColumns: REQUIRED_COLUMNS,
+            optionalColumns: OPTIONAL_COLUMNS,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading user import page:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading user import page',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user
+        });
+    }
+});
+
+// POST /admin/users/import - Validate a CSV of users (dryRun=true) or create the valid rows and email invites
+router.post('/import', hasPrivilege('Users', 'create'), uploadCsv, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Please choose a CSV file' });
+        }
+
+        const [role] = await executeQuery('SELECT RoleID, RoleName FROM Roles WHERE RoleID = ?', [req.body.roleId]);
+        if (!role) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        // Super admin accounts are created individually, never in bulk
+        if (role.RoleName === 'super_admin') {
+            return res.status(403).json({ error: 'Super admin accounts cannot be imported' });
+        }
+
+        const preview = await previewImport(req.file.buffer.toString('utf8'), role.RoleID);
+        if (req.body.dryRun !== 'false') {
+            return res.json({ dryRun: true, ...preview });
+        }
+
+        const { created, invitesFailed } = await createImportedUsers(preview, role);
+        res.status(created > 0 ? 201 : 200).json({
+            message: `${created} account(s) created as ${role.RoleName}` +
+                (preview.invalid > 0 ? `, ${preview.invalid} row(s) skipped` : '') +
+                (invitesFailed.length > 0 ? `. Invites could not be sent to ${invitesFailed.length} user(s).` : ''),
+            created,
+            invitesFailed,
+            ...preview
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid CSV', details: error.message });
+        }
+        // Another request created one of these accounts after the preview
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                error: 'Import cancelled',
+                details: 'An email or username was registered while importing. Preview the file again.'
+            });
+        }
+        console.error('Error importing users:', error);
+        res.status(500).json({ error: 'Failed to import users' });
+    }
+});
+
+// GET /admin/users/deletion-requests - Render account deletion requests (pending first)
+router.get('/deletion-requests', async (req, res) => {
+    try {
+        const requests = await executeQuery(`
+            SELECT d.RequestID, d.UserID, d.Reason, d.Status, d.RequestedAt, d.ProcessedAt, d.AdminNotes,
+                   u.Name, u.Email, r.RoleName AS Role, p.Name AS ProcessedByName,
+                   (SELECT COUNT(*) FROM Payments pay WHERE pay.PayerUserID = d.UserID) AS PaymentCount,
+                   (SELECT COUNT(*) FROM Registrations reg
+                    JOIN Events e ON reg.EventID = e.EventID
+                    WHERE reg.UserID = d.UserID AND reg.Status <> 'cancelled' AND e.Date >= CURDATE()) AS UpcomingRegistrations
+            FROM DataDeletionRequests d
+            JOIN Users u ON d.UserID = u.UserID
+            JOIN Roles r ON u.RoleID = r.RoleID
+            LEFT JOIN Users p ON d.ProcessedBy = p.UserID
+            ORDER BY d.Status = 'pending' DESC, d.RequestedAt DESC
+            LIMIT 200
+        `);
+
+        res.render('admin-deletion-requests', {
+            title: 'Deletion Requests',
+            requests,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading deletion requests:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading deletion requests',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user
+        });
+    }
+});
+
+// POST /admin/users/deletion-requests/:requestId/complete - Anonymize the account (Payments rows are kept)
+router.post('/deletion-requests/:requestId/complete', hasPrivilege('Users', 'delete'), async (req, res) => {
+    try {
+        const [request] = await executeQuery(`
+            SELECT d.RequestID, u.UserID, u.Name, u.Email, r.RoleName AS Role
+            FROM DataDeletionRequests d
+            JOIN Users u ON d.UserID = u.UserID
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE d.RequestID = ? AND d.Status = 'pending'
+        `, [req.params.requestId]);
+
+        if (!request) {
+            return res.status(404).json({ error: 'Pending request not found' });
+        }
+        if (request.UserID === req.user.UserID) {
+            return res.status(400).json({ error: 'Another administrator must process your own request' });
+        }
+        if (request.Role === 'super_admin') {
+            return res.status(403).json({ error: 'Change the role of a super admin before deleting their data' });
+        }
+
+        await anonymizeUser(request);
+        await executeQuery(`
+            UPDATE DataDeletionRequests
+            SET Status = 'completed', ProcessedBy = ?, ProcessedAt = NOW(), Reason = NULL
+            WHERE RequestID = ?
+        `, [req.user.UserID, request.RequestID]);
+
+        try {
+            await sendMail({
+                to: request.Email,
+                subject: 'Your NASCON account has been deleted',
+                text: `Hi ${request.Name},\n\nAs requested, the personal data in your NASCON account has been erased ` +
+                    'and the account can no longer be used. Payment records are kept for accounting without your personal details.'
+            });
+        } catch (mailErr) {
+            // The erasure itself succeeded
+            console.error('Error sending deletion confirmation:', mailErr);
+        }
+
+        res.json({ message: 'Account anonymized' });
+    } catch (error) {
+        console.error('Error completing deletion request:', error);
+        res.status(500).json({ error: 'Failed to anonymize account' });
+    }
+});
+
+// POST /admin/users/deletion-requests/:requestId/reject - Decline a deletion request with a note for the user
+router.post('/deletion-requests/:requestId/reject', hasPrivilege('Users', 'delete'), async (req, res) => {
+    try {
+        const notes = String(req.body.notes || '').trim();
+        if (!notes) {
+            return res.status(400).json({ error: 'Please explain why the request is rejected' });
+        }
+
+        const result = await executeQuery(`
+            UPDATE DataDeletionRequests
+            SET Status = 'rejected', ProcessedBy = ?, ProcessedAt = NOW(), AdminNotes = ?
+            WHERE RequestID = ? AND Status = 'pending'
+        `, [req.user.UserID, notes.slice(0, 1000), req.params.requestId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Pending request not found' });
+        }
+        res.json({ message: 'Request rejected' });
+    } catch (error) {
+        console.error('Error rejecting deletion request:', error);
+        res.status(500).json({ error: 'Failed to reject request' });
+    }
+});
+
+// GET /admin/users/:id - Render a user's profile and activity
+router.get('/:id', async (req, res, next) => {
+    try {
+        const [account] = await executeQuery(`
+            SELECT u.UserID, u.Name, u.Email, u.username, u.Contact, u.University, u.City,
+                   u.RoleID, r.RoleName AS Role, u.Status, u.LastLogin, u.EmailVerifiedAt,
+                   u.LockedUntil > NOW() AS IsLocked, u.PasswordResetRequired,
+                   u.TwoFactorEnabledAt, u.AnonymizedAt, u.CreatedAt
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ?
+        `, [req.params.id]);
+
+        if (!account) {
+            return next();
+        }
+
+        const registrations = await executeQuery(`
+            SELECT r.RegistrationID, r.Status, r.PaymentStatus, r.RegistrationDate,
+                   e.EventID, e.Name AS EventName, e.Date AS EventDate, t.TeamName
+            FROM Registrations r
+            JOIN Events e ON r.EventID = e.EventID
+            LEFT JOIN Teams t ON r.TeamID = t.TeamID
+            WHERE r.UserID = ?
+            ORDER BY e.Date DESC
+        `, [account.UserID]);
+
+        const teams = await executeQuery(`
+            SELECT t.TeamID, t.TeamName, t.Status AS TeamStatus, tm.Role, tm.Status,
+                   t.LeaderID = tm.UserID AS IsLeader, e.Name AS EventName
+            FROM TeamMembers tm
+            JOIN Teams t ON tm.TeamID = t.TeamID
+            JOIN Events e ON t.EventID = e.EventID
+            WHERE tm.UserID = ?
+            ORDER BY tm.JoinedAt DESC
+        `, [account.UserID]);
+
+        const payments = await executeQuery(`
+            SELECT PaymentID, Amount, PaymentMethod, Status, TransactionID, Description, PaymentDate
+            FROM Payments
+            WHERE PayerUserID = ?
+            ORDER BY PaymentDate DESC
+        `, [account.UserID]);
+
+        const accommodationRequests = await executeQuery(`
+            SELECT ar.RequestID, ar.CheckInDate, ar.CheckOutDate, ar.NumberOfPeople, ar.Status,
+                   a.Name AS AccommodationName
+            FROM AccommodationRequests ar
+            LEFT JOIN Accommodations a ON ar.AssignedAccommodationID = a.AccommodationID
+            WHERE ar.UserID = ?
+            ORDER BY ar.CheckInDate DESC
+        `, [account.UserID]);
+
+        const roles = await executeQuery('SELECT RoleID, RoleName FROM Roles ORDER BY RoleName ASC');
+        const impersonations = req.user.Role === 'super_admin' ? await listImpersonations(account.UserID) : [];
+
+        res.render('admin-user-details', {
+            title: `User: ${account.Name}`,
+            account,
+            registrations,
+            teams,
+            payments,
+            accommodationRequests,
+            roles,
+            impersonations,
+            isSelf: account.UserID === req.user.UserID,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error loading user details:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error loading user details',
+            error: process.env.NODE_ENV === 'development' ? error : {},
+            user: req.user
+        });
+    }
+});
+
+// PUT /admin/users/:id - Update profile details and role
+router.put('/:id', hasPrivilege('Users', 'update'), userUpdateValidation, async (req, res) => {
+    try {
+        const { name, email, username, contact, university, city, roleId } = req.body;
+
+        const [account] = await executeQuery(`
+            SELECT u.UserID, u.RoleID, r.RoleName AS Role
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ?
+        `, [req.params.id]);
+        if (!account) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        // Changing your own role could remove the privileges needed to undo it
+        if (account.UserID === req.user.UserID && Number(roleId) !== account.RoleID) {
+            return res.status(400).json({ error: 'You cannot change your own role' });
+        }
+
+        const [role] = await executeQuery('SELECT RoleID, RoleName FROM Roles WHERE RoleID = ?', [roleId]);
+        if (!role) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        if (touchesSuperAdmin(req, account.Role) || touchesSuperAdmin(req, role.RoleName)) {
+            return res.status(403).json({ error: 'Only a super admin can edit super admin accounts or grant the super_admin role' });
+        }
+
+        await executeQuery(`
+            UPDATE Users
+            SET Name = ?, Email = ?, username = ?, Contact = ?, University = ?, City = ?, RoleID = ?
+            WHERE UserID = ?
+        `, [name, email, username, contact || null, university || null, city || null, roleId, account.UserID]);
+
+        res.json({ message: 'User updated successfully' });
+    } catch (error) {
+        // executeQuery rethrows ER_DUP_ENTRY as a plain error
+        if (error.message === 'Duplicate entry found') {
+            return res.status(409).json({ error: 'Email or username is already in use' });
+        }
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// POST /admin/users/:id/suspend - Suspend an account (ends its sessions on their next request)
+router.post('/:id/suspend', hasPrivilege('Users', 'update'), async (req, res) => {
+    try {
+        if (Number(req.params.id) === req.user.UserID) {
+            return res.status(400).json({ error: 'You cannot suspend your own account' });
+        }
+
+        const [account] = await executeQuery(`
+            SELECT u.UserID, r.RoleName AS Role
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ?
+        `, [req.params.id]);
+        if (!account) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (touchesSuperAdmin(req, account.Role)) {
+            return res.status(403).json({ error: 'Only a super admin can suspend a super admin' });
+        }
+
+        await executeQuery("UPDATE Users SET Status = 'suspended' WHERE UserID = ?", [account.UserID]);
+        res.json({ message: 'User suspended' });
+    } catch (error) {
+        console.error('Error suspending user:', error);
+        res.status(500).json({ error: 'Failed to suspend user' });
+    }
+});
+
+// POST /admin/users/:id/reactivate - Reactivate a suspended or inactive account
+router.post('/:id/reactivate', hasPrivilege('Users', 'update'), async (req, res) => {
+    try {
+        const [account] = await executeQuery(`
+            SELECT u.UserID, u.AnonymizedAt, r.RoleName AS Role
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ?
+        `, [req.params.id]);
+        if (!account) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (touchesSuperAdmin(req, account.Role)) {
+            return res.status(403).json({ error: 'Only a super admin can reactivate a super admin' });
+        }
+        if (account.AnonymizedAt) {
+            return res.status(409).json({ error: 'This account has been deleted and cannot be reactivated' });
+        }
+
+        // AnonymizedAt is checked again in case the account was deleted in the meantime
+        const result = await executeQuery(
+            "UPDATE Users SET Status = 'active' WHERE UserID = ? AND AnonymizedAt IS NULL",
+            [account.UserID]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ error: 'This account has been deleted and cannot be reactivated' });
+        }
+        res.json({ message: 'User reactivated' });
+    } catch (error) {
+        console.error('Error reactivating user:', error);
+        res.status(500).json({ error: 'Failed to reactivate user' });
+    }
+});
+
+// POST /admin/users/:id/force-password-reset - Block login until the user sets a new password
+router.post('/:id/force-password-reset', hasPrivilege('Users', 'update'), async (req, res) => {
+    try {
+        const [account] = await executeQuery(`
+            SELECT u.UserID, u.Name, u.Email, r.RoleName AS Role
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ?
+        `, [req.params.id]);
+        if (!account) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (touchesSuperAdmin(req, account.Role)) {
+            return res.status(403).json({ error: 'Only a super admin can force a super admin to reset their password' });
+        }
+
+        await executeQuery('UPDATE Users SET PasswordResetRequired = TRUE WHERE UserID = ?', [account.UserID]);
+        await sendPasswordResetEmail(account, { forced: true });
+
+        res.json({ message: `Password reset required. A reset link has been sent to ${account.Email}.` });
+    } catch (error) {
+        console.error('Error forcing password reset:', error);
+        res.status(500).json({ error: 'Failed to force password reset' });
+    }
+});
+
+// POST /admin/users/:id/impersonate - Log in as this user (super_admin only, audited)
+router.post('/:id/impersonate', isSuperAdmin, async (req, res) => {
+    try {
+        const [target] = await executeQuery(`
+            SELECT u.UserID, u.Name, u.Status, u.PasswordResetRequired, r.RoleName AS Role
+            FROM Users u
+            JOIN Roles r ON u.RoleID = r.RoleID
+            WHERE u.UserID = ?
+        `, [req.params.id]);
+
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (target.UserID === req.user.UserID) {
+            return res.status(400).json({ error: 'You cannot impersonate yourself' });
+        }
+        if (target.Role === 'super_admin') {
+            return res.status(403).json({ error: 'Other super admins cannot be impersonated' });
+        }
+        // The session would be dropped on the next request, like the user's own
+        if (target.Status !== 'active' || target.PasswordResetRequired) {
+            return res.status(400).json({
+                error: 'Cannot impersonate this user',
+                details: 'Only active accounts without a pending password reset can be impersonated'
+            });
+        }
+
+        await startImpersonation(req, target);
+        res.json({ message: `Now viewing as ${target.Name}`, redirect: '/me' });
+    } catch (error) {
+        console.error('Error starting impersonation:', error);
+        res.status(500).json({ error: 'Failed to start impersonation' });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,23 @@ const router = express.Router();
 const { executeQuery } = require('../config/database');
 const { isAuthenticated, hasPrivilege } = require('../middleware/auth');
 const { venueValidation } = require('../middleware/venueValidation');
+const {
+    MAX_CALENDAR_DAYS,
+    parseDateTime,
+    getVenueCalendar,
+    findAvailableVenues,
+    addMaintenanceWindow
+} = require('../utils/venueConflicts');
+
+// Days shown by the calendar when no end date is given
+const DEFAULT_CALENDAR_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Formats a UTC-midnight timestamp back into parseDateTime's shape
+function toDateTime(ms) {
+    return `${new Date(ms).toISOString().slice(0, 10)} 00:00:00`;
+}
 
 // GET /venues - Render venues page
 router.get('/', async (req, res) => {
@@ -22,6 +39,7 @@ router.get('/', async (req, res) => {
         res.render('venues', {
             title: 'NASCON Venues',
             venues: venues,
+            canManageVenues: !!req.user?.privileges?.Venues?.update,
             user: req.session.user || null
         });
     } catch (error) {
@@ -78,6 +96,44 @@ router.get('/api/venues', async (req, res) => {
     }
 });
 
+// GET /venues/api/available - Find venues free for a whole time slot (?start=&end=&capacity=&type=&excludeEventId=)
+router.get('/api/available', async (req, res) => {
+    try {
+        const start = parseDateTime(req.query.start);
+        const end = parseDateTime(req.query.end);
+        if (!start || !end) {
+            return res.status(400).json({
+                error: 'Invalid time slot',
+                details: 'start and end are required, as YYYY-MM-DD or YYYY-MM-DDTHH:MM'
+            });
+        }
+        if (end <= start) {
+            return res.status(400).json({ error: 'Invalid time slot', details: 'end must be after start' });
+        }
+
+        const capacity = req.query.capacity ? parseInt(req.query.capacity, 10) : null;
+        if (req.query.capacity && !(capacity > 0)) {
+            return res.status(400).json({ error: 'Invalid capacity', details: 'capacity must be a positive number' });
+        }
+
+        const venues = await findAvailableVenues({
+            start,
+            end,
+            capacity,
+            type: req.query.type || null,
+            // Lets the edit form ignore the event's own booking
+            excludeEventId: parseInt(req.query.excludeEventId, 10) || null
+        });
+        res.json({ start, end, venues });
+    } catch (error) {
+        console.error('Error searching available venues:', error);
+        res.status(500).json({
+            error: 'Failed to search available venues',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // GET /venues/:id - Get single venue
 router.get('/:id', async (req, res) => {
     try {
@@ -104,6 +160,103 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// GET /venues/:id/calendar - Get a venue's bookings and blocked periods
+router.get('/:id/calendar', async (req, res) => {
+    try {
+        const [venue] = await executeQuery(
+            'SELECT VenueID, Name, VenueType, Capacity, Status FROM Venues WHERE VenueID = ?',
+            [req.params.id]
+        );
+        if (!venue) {
+            return res.status(404).json({ error: 'Venue not found' });
+        }
+
+        const from = req.query.from ? parseDateTime(req.query.from) : toDateTime(Date.now());
+        const to = req.query.to
+            ? parseDateTime(req.query.to)
+            : from && toDateTime(Date.parse(from.slice(0, 10)) + DEFAULT_CALENDAR_DAYS * DAY_MS);
+        if (!from || !to) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                details: 'from and to must be YYYY-MM-DD or YYYY-MM-DDTHH:MM'
+            });
+        }
+        if (to <= from) {
+            return res.status(400).json({ error: 'Invalid date range', details: 'to must be after from' });
+        }
+        if (Date.parse(to.slice(0, 10)) - Date.parse(from.slice(0, 10)) > MAX_CALENDAR_DAYS * DAY_MS) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                details: `The calendar covers at most ${MAX_CALENDAR_DAYS} days per request`
+            });
+        }
+
+        const { bookings, blocks } = await getVenueCalendar(venue, from, to);
+        res.json({ venue, from, to, bookings, blocks });
+    } catch (error) {
+        console.error('Error fetching venue calendar:', error);
+        res.status(500).json({ error: 'Failed to fetch venue calendar' });
+    }
+});
+
+// POST /venues/:id/maintenance - Schedule a maintenance window (protected route)
+router.post('/:id/maintenance', isAuthenticated, hasPrivilege('Venues', 'update'), async (req, res) => {
+    try {
+        const [venue] = await executeQuery('SELECT VenueID, Name FROM Venues WHERE VenueID = ?', [req.params.id]);
+        if (!venue) {
+            return res.status(404).json({ error: 'Venue not found' });
+        }
+
+        const startsAt = parseDateTime(req.body.startsAt);
+        const endsAt = parseDateTime(req.body.endsAt);
+        const reason = String(req.body.reason || '').trim();
+        if (!startsAt || !endsAt || endsAt <= startsAt) {
+            return res.status(400).json({
+                error: 'Invalid maintenance window',
+                details: 'startsAt and endsAt are required (YYYY-MM-DDTHH:MM) and endsAt must be after startsAt'
+            });
+        }
+        if (!reason || reason.length > 255) {
+            return res.status(400).json({
+                error: 'Invalid maintenance window',
+                details: 'A reason of at most 255 characters is required'
+            });
+        }
+
+        const { windowId, affectedEvents } = await addMaintenanceWindow({
+            venue, startsAt, endsAt, reason, userId: req.user.UserID
+        });
+
+        res.status(201).json({
+            message: affectedEvents.length > 0
+                ? `Maintenance scheduled; ${affectedEvents.length} event organizer(s) have been alerted`
+                : 'Maintenance scheduled',
+            windowId,
+            affectedEvents
+        });
+    } catch (error) {
+        console.error('Error scheduling venue maintenance:', error);
+        res.status(500).json({ error: 'Failed to schedule maintenance' });
+    }
+});
+
+// DELETE /venues/:id/maintenance/:windowId - Cancel a maintenance window (protected route)
+router.delete('/:id/maintenance/:windowId', isAuthenticated, hasPrivilege('Venues', 'update'), async (req, res) => {
+    try {
+        const result = await executeQuery(
+            'DELETE FROM VenueMaintenanceWindows WHERE WindowID = ? AND VenueID = ?',
+            [req.params.windowId, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Maintenance window not found' });
+        }
+        res.json({ message: 'Maintenance window removed' });
+    } catch (error) {
+        console.error('Error removing venue maintenance:', error);
+        res.status(500).json({ error: 'Failed to remove maintenance window' });
+    }
+});
+
 // POST /venues - Create new venue (protected route)
 router.post('/', isAuthenticated, hasPrivilege('venues', 'create'), venueValidation, async (req, res) => {
     try {
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const AdmZip = require('adm-zip');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { removeAnswerFiles } = require('./registrationQuestions');
+
+/**
+ * Collects everything stored about a user, grouped by section.
+ * Secrets (password hash, 2FA secret, token hashes) are never included.
+ * @param {number} userId - Users.UserID
+ * @returns {Promise<object>}
+ */
+async function collectUserData(userId) {
+    const [profile] = await executeQuery(`
+        SELECT u.UserID, u.Name, u.Email, u.username, u.Contact, u.University, u.City,
+               r.RoleName AS Role, u.Status, u.EmailVerifiedAt, u.LastLogin,
+               u.TwoFactorEnabledAt, u.CreatedAt, u.UpdatedAt
+        FROM Users u
+        JOIN Roles r ON u.RoleID = r.RoleID
+        WHERE u.UserID = ?
+    `, [userId]);
+
+    const registrations = await executeQuery(`
+        SELECT r.RegistrationID, e.Name AS EventName, e.Date AS EventDate, t.TeamName,
+               r.Status, r.PaymentStatus, r.SpecialRequirements, r.RegistrationDate
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        LEFT JOIN Teams t ON r.TeamID = t.TeamID
+        WHERE r.UserID = ?
+        ORDER BY r.RegistrationDate ASC
+    `, [userId]);
+
+    const registrationAnswers = await executeQuery(`
+        SELECT a.RegistrationID, e.Name AS EventName, q.Prompt AS Question, a.AnswerText, a.FileName, a.AnsweredAt
+        FROM RegistrationAnswers a
+        JOIN Registrations r ON a.RegistrationID = r.RegistrationID
+        JOIN EventRegistrationQuestions q ON a.QuestionID = q.QuestionID
+        JOIN Events e ON r.EventID = e.EventID
+        WHERE r.UserID = ?
+        ORDER BY a.RegistrationID, q.SortOrder
+    `, [userId]);
+
+    const certificates = await executeQuery(`
+        SELECT c.VerificationCode, e.Name AS EventName, c.Place, c.IssuedAt
+        FROM Certificates c
+        JOIN Registrations r ON c.RegistrationID = r.RegistrationID
+        JOIN Events e ON r.EventID = e.EventID
+        WHERE r.UserID = ?
+        ORDER BY c.IssuedAt ASC
+    `, [userId]);
+
+    const teamMemberships = await executeQuery(`
+        SELECT t.TeamName, e.Name AS EventName, tm.Role, tm.Status, tm.JoinedAt,
+               t.LeaderID = tm.UserID AS IsLeader
+        FROM TeamMembers tm
+        JOIN Teams t ON tm.TeamID = t.TeamID
+        JOIN Events e ON t.EventID = e.EventID
+        WHERE tm.UserID = ?
+        ORDER BY tm.JoinedAt ASC
+    `, [userId]);
+
+    const workshopRegistrations = await executeQuery(`
+        SELECT w.Title AS WorkshopTitle, wr.Status, wr.PaymentStatus, wr.RegistrationDate
+        FROM WorkshopRegistrations wr
+        JOIN Workshops w ON wr.WorkshopID = w.WorkshopID
+        WHERE wr.UserID = ?
+        ORDER BY wr.RegistrationDate ASC
+    `, [userId]);
+
+    const payments = await executeQuery(`
+        SELECT PaymentID, Amount, PaymentMethod, Status, TransactionID, Description,
+               RelatedRegistrationID, PaymentDate
+        FROM Payments
+        WHERE PayerUserID = ?
+        ORDER BY PaymentDate ASC
+    `, [userId]);
+
+    const accommodationRequests = await executeQuery(`
+        SELECT ar.RequestID, ar.CheckInDate, ar.CheckOutDate, ar.NumberOfPeople, ar.Status,
+               a.Name AS AccommodationName, ar.CreatedAt
+        FROM AccommodationRequests ar
+        LEFT JOIN Accommodations a ON ar.AssignedAccommodationID = a.AccommodationID
+        WHERE ar.UserID = ?
+        ORDER BY ar.CreatedAt ASC
+    `, [userId]);
+
+    // Inquiries are not linked to accounts, only to the email address used
+    const contactInquiries = profile ? await executeQuery(`
+        SELECT InquiryID, Name, Email, Subject, Message, Status, CreatedAt
+        FROM ContactInquiries
+        WHERE Email = ?
+        ORDER BY CreatedAt ASC
+    `, [profile.Email]) : [];
+
+    const loginHistory = await executeQuery(`
+        SELECT IPAddress, Successful, AttemptedAt
+        FROM LoginAttempts
+        WHERE UserID = ?
+        ORDER BY AttemptedAt DESC
+        LIMIT 500
+    `, [userId]);
+
+    const apiTokens = await executeQuery(`
+        SELECT Name, Scopes, ExpiresAt, LastUsedAt, RevokedAt, CreatedAt
+        FROM ApiTokens
+        WHERE UserID = ?
+        ORDER BY CreatedAt ASC
+    `, [userId]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: profile || null,
+        registrations,
+        registrationAnswers,
+        certificates,
+        teamMemberships,
+        workshopRegistrations,
+        payments,
+        accommodationRequests,
+        contactInquiries,
+        loginHistory,
+        apiTokens
+    };
+}
+
+/**
+ * Packs an export into a ZIP with one JSON file per section
+ * @param {object} data - Result of collectUserData
+ * @returns {Buffer}
+ */
+function buildExportZip(data) {
+    const zip = new AdmZip();
+    for (const [section, rows] of Object.entries(data)) {
+        if (section === 'exportedAt') {
+            continue;
+        }
+        zip.addFile(`${section}.json`, Buffer.from(JSON.stringify(rows, null, 2), 'utf8'));
+    }
+    zip.addFile('README.txt', Buffer.from(
+        `NASCON account data export, generated ${data.exportedAt}.\n` +
+        'Each JSON file holds one kind of record linked to your account.\n',
+        'utf8'
+    ));
+    return zip.toBuffer();
+}
+
+/**
+ * Erases a user's personal data in one transaction. The Users row is kept (anonymized)
+ * so registrations, team results and Payments stay consistent for accounting.
+ * @param {object} account - { UserID, Email }
+ * @returns {Promise<void>}
+ */
+async function anonymizeUser(account) {
+    const placeholderEmail = `deleted-${account.UserID}@deleted.invalid`;
+    // Nobody knows this password, and the account is suspended anyway
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const answerFiles = await executeQuery(`
+        SELECT a.StoredFileName
+        FROM RegistrationAnswers a
+        JOIN Registrations r ON a.RegistrationID = r.RegistrationID
+        WHERE r.UserID = ? AND a.StoredFileName IS NOT NULL
+    `, [account.UserID]);
+
+    await executeTransaction([
+        {
+            query: `
+                UPDATE Users
+                SET Name = 'Deleted user', Email = ?, username = ?, Password = ?,
+                    Contact = NULL, University = NULL, City = NULL, Status = 'suspended',
+                    EmailVerifiedAt = NULL, FailedLoginAttempts = 0, LockedUntil = NULL,
+                    PasswordResetRequired = FALSE, TwoFactorSecret = NULL, TwoFactorEnabledAt = NULL,
+                    TwoFactorLastUsedStep = NULL, AnonymizedAt = NOW()
+                WHERE UserID = ?
+            `,
+            params: [placeholderEmail, `deleted_${account.UserID}`, unusablePassword, account.UserID]
+        },
+        {
+            query: `
+                UPDATE ContactInquiries
+                SET Name = 'Deleted user', Email = ?, Message = '[removed on request]'
+                WHERE Email = ?
+            `,
+            params: [placeholderEmail, account.Email]
+        },
+        {
+            query: 'UPDATE Registrations SET SpecialRequirements = NULL WHERE UserID = ?',
+            params: [account.UserID]
+        },
+        {
+            query: `
+                DELETE a FROM RegistrationAnswers a
+                JOIN Registrations r ON a.RegistrationID = r.RegistrationID
+                WHERE r.UserID = ?
+            `,
+            params: [account.UserID]
+        },
+        {
+            query: 'UPDATE AccommodationRequests SET AssignmentNotes = NULL WHERE UserID = ?',
+            params: [account.UserID]
+        },
+        {
+            query: 'UPDATE LoginAttempts SET Email = ?, IPAddress = \'removed\' WHERE UserID = ? OR Email = ?',
+            params: [placeholderEmail, account.UserID, account.Email]
+        },
+        { query: 'DELETE FROM TwoFactorRecoveryCodes WHERE UserID = ?', params: [account.UserID] },
+        { query: 'DELETE FROM PasswordResetTokens WHERE UserID = ?', params: [account.UserID] },
+        { query: 'DELETE FROM EmailVerificationTokens WHERE UserID = ?', params: [account.UserID] },
+        { query: 'DELETE FROM ApiTokens WHERE UserID = ?', params: [account.UserID] },
+        { query: 'DELETE FROM UserPrivileges WHERE UserID = ?', params: [account.UserID] },
+        { query: 'DELETE FROM SystemAlerts WHERE UserID = ?', params: [account.UserID] },
+        { query: 'DELETE FROM Sessions WHERE UserID = ?', params: [account.UserID] }
+    ]);
+
+    await removeAnswerFiles(answerFiles);
+}
+
+module.exports = {
+    collectUserData,
+    buildExportZip,
+    anonymizeUser
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const { hashToken } = require('./tokens');
+const { loadPrivileges } = require('./privileges');
+
+// Prefix makes leaked tokens easy to recognise (e.g. by secret scanners)
+const TOKEN_PREFIX = 'nascon_';
+
+/**
+ * Parses a comma-separated scope list
+ * @param {string|string[]} scopes - e.g. 'Events.read,Payments.*'
+ * @returns {string[]}
+ */
+function parseScopes(scopes) {
+    const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+    return [...new Set(list.map(scope => scope.trim()).filter(Boolean))];
+}
+
+/**
+ * Restricts a privilege object to the token's scopes
+ * @param {object} privileges - Nested object: { Resource: { action: true } }
+ * @param {string[]} scopes - Resource.action or Resource.* entries
+ * @returns {object} - The privileges both the user and the token have
+ */
+function applyScopes(privileges, scopes) {
+    const scoped = {};
+    for (const scope of scopes) {
+        const [resource, action] = scope.split('.');
+        if (!privileges[resource]) {
+            continue;
+        }
+        const actions = action === '*' ? Object.keys(privileges[resource]) : [action];
+        for (const act of actions) {
+            if (privileges[resource][act]) {
+                if (!scoped[resource]) scoped[resource] = {};
+                scoped[resource][act] = true;
+            }
+        }
+    }
+    return scoped;
+}
+
+/**
+ * Creates a token for a user
+ * @param {object} options - { userId, name, scopes, expiresInDays }
+ * @returns {Promise<{tokenId: number, token: string}>} - The raw token, shown to the user exactly once
+ */
+async function createApiToken({ userId, name, scopes, expiresInDays = null }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const result = await executeQuery(`
+        INSERT INTO ApiTokens (UserID, Name, TokenHash, Scopes, ExpiresAt)
+        VALUES (?, ?, ?, ?, IF(? IS NULL, NULL, NOW() + INTERVAL ? DAY))
+    `, [userId, name, hashToken(token), parseScopes(scopes).join(','), expiresInDays, expiresInDays]);
+    return { tokenId: result.insertId, token };
+}
+
+/**
+ * Lists a user's tokens (never includes the token itself)
+ * @param {number} userId - Users.UserID
+ * @returns {Promise<Array>}
+ */
+async function listApiTokens(userId) {
+    return executeQuery(`
+        SELECT TokenID, Name, Scopes, ExpiresAt, LastUsedAt, RevokedAt, CreatedAt,
+               RevokedAt IS NULL AND (ExpiresAt IS NULL OR ExpiresAt > NOW()) AS IsActive
+        FROM ApiTokens
+        WHERE UserID = ?
+        ORDER BY CreatedAt DESC
+    `, [userId]);
+}
+
+/**
+ * Revokes one of a user's tokens
+ * @param {number} userId - Owner of the token
+ * @param {number} tokenId - ApiTokens.TokenID
+ * @returns {Promise<boolean>} - False if no active token matched
+ */
+async function revokeApiToken(userId, tokenId) {
+    const result = await executeQuery(
+        'UPDATE ApiTokens SET RevokedAt = NOW() WHERE TokenID = ? AND UserID = ? AND RevokedAt IS NULL',
+        [tokenId, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Resolves a bearer token to its user, with privileges limited to the token's scopes.
+ * Records the token's last use.
+ * @param {string} token - Raw bearer token
+ * @returns {Promise<object|null>} - User shaped like the session user, or null
+ */
+async function findUserByApiToken(token) {
+    if (!String(token).startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+    const rows = await executeQuery(`
+        SELECT t.TokenID, t.Name AS TokenName, t.Scopes,
+               u.UserID, u.Name, u.Email, u.username, u.RoleID, r.RoleName AS Role
+        FROM ApiTokens t
+        JOIN Users u ON t.UserID = u.UserID
+        JOIN Roles r ON u.RoleID = r.RoleID
+        WHERE t.TokenHash = ?
+          AND t.RevokedAt IS NULL
+          AND (t.ExpiresAt IS NULL OR t.ExpiresAt > NOW())
+          AND u.Status = 'active'
+          AND u.PasswordResetRequired = FALSE
+    `, [hashToken(token)]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const { TokenID, TokenName, Scopes, ...user } = rows[0];
+    await executeQuery('UPDATE ApiTokens SET LastUsedAt = NOW() WHERE TokenID = ?', [TokenID]);
+
+    user.privileges = applyScopes(await loadPrivileges(user.UserID, user.RoleID), parseScopes(Scopes));
+    user.apiToken = { TokenID, Name: TokenName };
+    return user;
+}
+
+module.exports = {
+    parseScopes,
+    applyScopes,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    findUserByApiToken
+};
@@ -0,0 +1,259 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { executeQuery } = require('../config/database');
+const { ADMITTED_STATUSES, createTicketCode } = require('./tickets');
+
+const MM = 72 / 25.4;
+
+// Sheet templates; badge sizes are in millimetres and badges are centred on the page in a grid
+const BADGE_TEMPLATES = {
+    'a4-8': { label: 'A4, 8 per sheet (90 × 65 mm)', size: 'A4', columns: 2, rows: 4, width: 90, height: 65 },
+    'a4-10': { label: 'A4, 10 per sheet (85 × 54 mm cards)', size: 'A4', columns: 2, rows: 5, width: 85, height: 54 },
+    'letter-6': { label: 'Letter, 6 per sheet (4 × 3 in name tags)', size: 'LETTER', columns: 2, rows: 3, width: 101.6, height: 76.2 },
+    card: { label: 'One per page (CR80 card printers)', size: [85.6 * MM, 54 * MM], columns: 1, rows: 1, width: 85.6, height: 54 }
+};
+const DEFAULT_TEMPLATE = 'a4-8';
+
+// Colour of the band at the top of each badge, so desk staff and guests can tell roles apart
+const ROLE_COLOURS = {
+    Judge: '#6a1b9a',
+    Organizer: '#c62828',
+    Sponsor: '#ef6c00',
+    Participant: '#1565c0'
+};
+
+// Users.RoleID role names shown with their own colour; everyone else is a participant
+const ROLE_BY_ROLE_NAME = { judge: 'Judge', event_organizer: 'Organizer', sponsor: 'Sponsor' };
+
+/**
+ * People to print badges for at an event
+ * @param {number} eventId - Events.EventID
+ * @param {object} options - { scope: 'all' | 'checked_in', registrationId }
+ *   'all' covers every admissible registration plus the event's judges and organizer;
+ *   'checked_in' only registrations already checked in; registrationId picks a single registration
+ * @returns {Promise<Array<{name: string, university: string|null, role: string, teamName: string|null, ticketCode: string|null}>>}
+ *   ticketCode is null for judges and organizers, who have no ticket
+ */
+async function getBadgeHolders(eventId, { scope = 'all', registrationId = null } = {}) {
+    let filter;
+    let params;
+    if (registrationId) {
+        filter = `r.RegistrationID = ? AND r.Status IN (${ADMITTED_STATUSES.map(() => '?').join(', ')})
+          AND (e.Reg_Fee = 0 OR r.PaymentStatus IN ('paid', 'not_required'))`;
+        params = [registrationId, ...ADMITTED_STATUSES];
+    } else if (scope === 'checked_in') {
+        filter = `r.Status = 'checked_in'`;
+        params = [];
+    } else {
+        filter = `r.Status IN (${ADMITTED_STATUSES.map(() => '?').join(', ')})
+          AND (e.Reg_Fee = 0 OR r.PaymentStatus IN ('paid', 'not_required'))`;
+        params = [...ADMITTED_STATUSES];
+    }
+
+    // Team members registered on their own still belong to the team they joined
+    const registrations = await executeQuery(`
+        SELECT r.RegistrationID, r.EventID, r.UserID, u.Name, u.University, ro.RoleName, t.TeamName
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        JOIN Users u ON r.UserID = u.UserID
+        JOIN Roles ro ON u.RoleID = ro.RoleID
+        LEFT JOIN Teams t ON t.TeamID = COALESCE(r.TeamID, (
+            SELECT tm.TeamID
+            FROM TeamMembers tm
+            JOIN Teams mt ON tm.TeamID = mt.TeamID
+            WHERE tm.UserID = r.UserID AND mt.EventID = r.EventID AND tm.Status = 'active'
+            LIMIT 1
+        ))
+        WHERE r.EventID = ? AND ${filter}
+        ORDER BY t.TeamName IS NULL, t.TeamName, u.Name
+    `, [eventId, ...params]);
+
+    const holders = registrations.map(registration => ({
+        name: registration.Name,
+        university: registration.University,
+        role: ROLE_BY_ROLE_NAME[registration.RoleName] || 'Participant',
+        teamName: registration.TeamName,
+        ticketCode: createTicketCode(registration)
+    }));
+    if (registrationId || scope === 'checked_in') {
+        return holders;
+    }
+
+    const staff = await executeQuery(`
+        SELECT u.Name, u.University, 'Organizer' AS Role
+        FROM Events e
+        JOIN Users u ON e.OrganizerID = u.UserID
+        WHERE e.EventID = ?
+        UNION ALL
+        SELECT u.Name, u.University, 'Judge' AS Role
+        FROM EventJudges ej
+        JOIN Judges j ON ej.JudgeID = j.JudgeID
+        JOIN Users u ON j.UserID = u.UserID
+        WHERE ej.EventID = ? AND ej.Status = 'assigned'
+        ORDER BY Role DESC, Name
+    `, [eventId, eventId]);
+
+    return [
+        ...staff.map(member => ({
+            name: member.Name,
+            university: member.University,
+            role: member.Role,
+            teamName: null,
+            ticketCode: null
+        })),
+        ...holders
+    ];
+}
+
+/**
+ * Font size for a name: one line if it fits at 70% of the preferred size or more,
+ * otherwise the largest size, down to a floor, at which it fits in two lines
+ * @param {PDFDocument} doc - Document with the font already set
+ * @param {string} text - Text to fit
+ * @param {number} width - Available width in points
+ * @param {number} size - Preferred size
+ * @param {number} minSize - Smallest acceptable size; longer text is cut off by the caller's ellipsis
+ * @returns {number}
+ */
+function fitFontSize(doc, text, width, size, minSize) {
+    for (let lineSize = size; lineSize >= Math.max(minSize, size * 0.7); lineSize -= 0.5) {
+        if (doc.fontSize(lineSize).widthOfString(text) <= width) {
+            return lineSize;
+        }
+    }
+    const longestWord = text.split(/\s+/).reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+    while (size > minSize && (doc.fontSize(size).widthOfString(longestWord) > width ||
+        doc.heightOfString(text, { width }) > size * 2.4)) {
+        size -= 0.5;
+    }
+    return size;
+}
+
+/**
+ * Draws a QR code as vector squares, so it stays sharp at any print size
+ * @param {PDFDocument} doc - Target document
+ * @param {string} text - Encoded text
+ * @param {number} x - Left edge in points
+ * @param {number} y - Top edge in points
+ * @param {number} size - Side length in points, including the quiet zone
+ */
+function drawQrCode(doc, text, x, y, size) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const quietZone = 2;
+    const cell = size / (modules.size + quietZone * 2);
+    doc.save().rect(x, y, size, size).fill('#ffffff');
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) {
+                doc.rect(x + (col + quietZone) * cell, y + (row + quietZone) * cell, cell, cell);
+            }
+        }
+    }
+    doc.fill('#000000').restore();
+}
+
+/**
+ * Draws one badge
+ * @param {PDFDocument} doc - Target document
+ * @param {object} badge - Badge holder from getBadgeHolders
+ * @param {string} eventName - Printed in the colour band
+ * @param {object} box - { x, y, width, height } in points
+ */
+function drawBadge(doc, badge, eventName, { x, y, width, height }) {
+    const padding = Math.min(width, height) * 0.07;
+    const bandHeight = height * 0.22;
+    const colour = ROLE_COLOURS[badge.role] || ROLE_COLOURS.Participant;
+
+    // Cut line, then the role band across the top
+    doc.save().lineWidth(0.5).roundedRect(x, y, width, height, 6).stroke('#bdbdbd').restore();
+    doc.save().roundedRect(x, y, width, bandHeight, 6).clip().rect(x, y, width, bandHeight).fill(colour).restore();
+
+    const bandFont = bandHeight * 0.36;
+    doc.font('Helvetica-Bold').fontSize(bandFont).fillColor('#ffffff');
+    const roleWidth = doc.widthOfString(badge.role.toUpperCase());
+    doc.text(badge.role.toUpperCase(), x + width - padding - roleWidth, y + (bandHeight - bandFont) / 2, { lineBreak: false });
+    doc.font('Helvetica').fontSize(bandFont).text(eventName, x + padding, y + (bandHeight - bandFont) / 2, {
+        width: width - roleWidth - padding * 3,
+        height: bandFont * 1.2,
+        ellipsis: true,
+        lineBreak: false
+    });
+
+    const bodyTop = y + bandHeight + padding;
+    const bodyHeight = height - bandHeight - padding * 2;
+    const qrSize = badge.ticketCode ? Math.min(bodyHeight, width * 0.36) : 0;
+    if (badge.ticketCode) {
+        drawQrCode(doc, badge.ticketCode, x + width - padding - qrSize, bodyTop + (bodyHeight - qrSize) / 2, qrSize);
+    }
+
+    const textWidth = width - padding * 2 - (qrSize ? qrSize + padding : 0);
+    doc.font('Helvetica-Bold');
+    const nameSize = fitFontSize(doc, badge.name, textWidth, height * 0.16, 9);
+    doc.fontSize(nameSize).fillColor('#212121').text(badge.name, x + padding, bodyTop, {
+        width: textWidth,
+        height: nameSize * 2.4,
+        ellipsis: true
+    });
+
+    const details = [badge.teamName && `Team ${badge.teamName}`, badge.university].filter(Boolean);
+    const detailSize = Math.max(7, height * 0.07);
+    doc.font('Helvetica').fontSize(detailSize).fillColor('#616161');
+    details.forEach(line => {
+        doc.text(line, x + padding, doc.y + 2, { width: textWidth, height: detailSize * 1.2, ellipsis: true });
+    });
+    doc.fillColor('#000000');
+}
+
+/**
+ * Lays badges out on sheets of a template
+ * @param {Array} badges - Result of getBadgeHolders
+ * @param {object} options - { eventName, template } where template is a BADGE_TEMPLATES key
+ * @returns {Promise<Buffer>} - PDF file
+ * @throws {Error} - With status 400 for an unknown template
+ */
+function buildBadgePdf(badges, { eventName, template = DEFAULT_TEMPLATE }) {
+    const layout = BADGE_TEMPLATES[template];
+    if (!layout) {
+        throw Object.assign(
+            new Error(`Unknown badge template "${template}"; use ${Object.keys(BADGE_TEMPLATES).join(', ')}`),
+            { status: 400 }
+        );
+    }
+
+    const doc = new PDFDocument({ size: layout.size, margin: 0, autoFirstPage: false, info: { Title: `${eventName} badges` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const perPage = layout.columns * layout.rows;
+    const width = layout.width * MM;
+    const height = layout.height * MM;
+    badges.forEach((badge, index) => {
+        if (index % perPage === 0) {
+            doc.addPage();
+        }
+        const gapX = (doc.page.width - layout.columns * width) / (layout.columns + 1);
+        const gapY = (doc.page.height - layout.rows * height) / (layout.rows + 1);
+        const column = index % layout.columns;
+        const row = Math.floor((index % perPage) / layout.columns);
+        drawBadge(doc, badge, eventName, {
+            x: gapX + column * (width + gapX),
+            y: gapY + row * (height + gapY),
+            width,
+            height
+        });
+    });
+    doc.end();
+    return done;
+}
+
+module.exports = {
+    BADGE_TEMPLATES,
+    DEFAULT_TEMPLATE,
+    ROLE_COLOURS,
+    getBadgeHolders,
+    buildBadgePdf
+};
@@ -0,0 +1,443 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { appUrl } = require('./mailer');
+const { ADMITTED_STATUSES } = require('./tickets');
+
+// Design used for categories without their own template
+const DEFAULT_TEMPLATE = {
+    ParticipationTitle: 'Certificate of Participation',
+    ParticipationText: 'This is to certify that {name} took part in {event}, held on {date} as part of NASCON.',
+    WinnerTitle: 'Certificate of Achievement',
+    WinnerText: 'This is to certify that {name} secured {place} place in {event}, held on {date} as part of NASCON.',
+    AccentColour: '#1565c0',
+    SignatoryName: null,
+    SignatoryTitle: null
+};
+
+const PLACEHOLDERS = ['name', 'event', 'category', 'date', 'team', 'place'];
+
+// Ribbon colours for the three winning places
+const PLACE_COLOURS = { 1: '#c9a227', 2: '#9e9e9e', 3: '#b0703c' };
+
+const invalid = (message, details) => Object.assign(new Error(message), { status: 400, details });
+
+/**
+ * 1 => '1st', 2 => '2nd', 3 => '3rd'
+ * @param {number} place - Winning place
+ * @returns {string}
+ */
+function formatPlace(place) {
+    return `${place}${{ 1: 'st', 2: 'nd', 3: 'rd' }[place] || 'th'}`;
+}
+
+/**
+ * An event's ranking as shown on its page: every participant with an admissible registration,
+ * highest total score first. Cancelled and refunded registrations are left out, so they cannot place.
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<Array>}
+ */
+async function getRankings(eventId) {
+    return executeQuery(`
+        SELECT
+            u.UserID as ParticipantUserID,
+            u.Name as ParticipantName,
+            MIN(r.RegistrationID) as RegistrationID,
+            COUNT(DISTINCT s.JudgeID) as JudgeCount,
+            SUM(s.Value) as TotalScore,
+            AVG(s.Value) as AverageScore
+        FROM Users u
+        JOIN Registrations r ON u.UserID = r.UserID
+        LEFT JOIN Scores s ON r.RegistrationID = s.RegistrationID
+        WHERE r.EventID = ? AND r.Status IN (${ADMITTED_STATUSES.map(() => '?').join(', ')})
+        GROUP BY u.UserID
+        ORDER BY TotalScore DESC, AverageScore DESC
+    `, [eventId, ...ADMITTED_STATUSES]);
+}
+
+/**
+ * Winning places from a ranking. Only scored participants can place, and exact ties
+ * (same total and average) share a place, so two 1st places are followed by 3rd.
+ * @param {Array} rankings - Result of getRankings
+ * @returns {Map<number, number>} - RegistrationID => place (1 to 3)
+ */
+function getWinningPlaces(rankings) {
+    const places = new Map();
+    const scored = rankings.filter(rank => rank.TotalScore !== null);
+    scored.forEach((rank, index) => {
+        const previous = scored[index - 1];
+        const tied = previous && Number(previous.TotalScore) === Number(rank.TotalScore) &&
+            Number(previous.AverageScore) === Number(rank.AverageScore);
+        const place = tied ? places.get(previous.RegistrationID) : index + 1;
+        if (place <= 3) {
+            places.set(rank.RegistrationID, place);
+        }
+    });
+    return places;
+}
+
+/**
+ * Random code printed on a certificate, e.g. NC-7KQ2-MX4P-9TDA. Uses Crockford base32,
+ * which leaves out letters that are easily misread (I, L, O, U).
+ * @returns {string}
+ */
+function createVerificationCode() {
+    const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    const chars = Array.from(crypto.randomBytes(12), byte => alphabet[byte % 32]).join('');
+    return `NC-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+}
+
+/**
+ * Issues certificates for a completed event to every participant who has none yet:
+ * 1st to 3rd place from the rankings, participation for everyone else who attended.
+ * When check-in was used, attending means checked in; otherwise every admissible registration counts.
+ * @param {object} event - Events row with EventID and Status
+ * @param {number} issuedBy - Users.UserID of the organizer
+ * @returns {Promise<{issued: number, total: number}>}
+ * @throws {Error} - With status 409 when the event is not completed
+ */
+async function issueCertificates(event, issuedBy) {
+    if (event.Status !== 'Completed') {
+        throw Object.assign(new Error('Certificates can only be issued once the event is completed'), { status: 409 });
+    }
+
+    const places = getWinningPlaces(await getRankings(event.EventID));
+    const [{ checkedIn }] = await executeQuery(
+        `SELECT COUNT(*) AS checkedIn FROM Registrations WHERE EventID = ? AND Status = 'checked_in'`,
+        [event.EventID]
+    );
+    const attended = Number(checkedIn) > 0
+        ? `r.Status = 'checked_in'`
+        : `r.Status IN (${ADMITTED_STATUSES.map(() => '?').join(', ')})
+           AND (e.Reg_Fee = 0 OR r.PaymentStatus IN ('paid', 'not_required'))`;
+
+    // Winners are placed on their scores, so they qualify even if they skipped the door scan
+    const winners = [...places.keys()];
+    const pending = await executeQuery(`
+        SELECT r.RegistrationID
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        LEFT JOIN Certificates c ON r.RegistrationID = c.RegistrationID
+        WHERE r.EventID = ? AND c.CertificateID IS NULL
+          AND ((${attended})${winners.length > 0 ? ` OR r.RegistrationID IN (${winners.map(() => '?').join(', ')})` : ''})
+    `, [event.EventID, ...(Number(checkedIn) > 0 ? [] : ADMITTED_STATUSES), ...winners]);
+
+    if (pending.length > 0) {
+        try {
+            await executeTransaction(pending.map(registration => ({
+                query: `
+                    INSERT INTO Certificates (RegistrationID, Place, VerificationCode, IssuedBy)
+                    VALUES (?, ?, ?, ?)
+                `,
+                params: [registration.RegistrationID, places.get(registration.RegistrationID) || null, createVerificationCode(), issuedBy]
+            })));
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw Object.assign(new Error('Certificates were issued at the same time by someone else; reload and try again'), { status: 409 });
+            }
+            throw error;
+        }
+    }
+
+    const [{ total }] = await executeQuery(`
+        SELECT COUNT(*) AS total
+        FROM Certificates c
+        JOIN Registrations r ON c.RegistrationID = r.RegistrationID
+        WHERE r.EventID = ?
+    `, [event.EventID]);
+    return { issued: pending.length, total: Number(total) };
+}
+
+const CERTIFICATE_COLUMNS = `
+    c.CertificateID, c.RegistrationID, c.Place, c.VerificationCode, c.IssuedAt,
+    r.UserID, u.Name AS RecipientName, t.TeamName,
+    e.EventID, e.Name AS EventName, e.Date AS EventDate, e.CategoryID, ec.CategoryName
+`;
+const CERTIFICATE_JOINS = `
+    FROM Certificates c
+    JOIN Registrations r ON c.RegistrationID = r.RegistrationID
+    JOIN Users u ON r.UserID = u.UserID
+    LEFT JOIN Teams t ON r.TeamID = t.TeamID
+    JOIN Events e ON r.EventID = e.EventID
+    JOIN EventCategories ec ON e.CategoryID = ec.CategoryID
+`;
+
+/**
+ * Certificates issued for an event, winners first
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<Array>}
+ */
+async function getEventCertificates(eventId) {
+    return executeQuery(`
+        SELECT ${CERTIFICATE_COLUMNS}
+        ${CERTIFICATE_JOINS}
+        WHERE r.EventID = ?
+        ORDER BY c.Place IS NULL, c.Place, u.Name
+    `, [eventId]);
+}
+
+/**
+ * Finds a certificate by its verification code, ignoring case and surrounding spaces
+ * @param {string} code - Verification code
+ * @returns {Promise<object|undefined>}
+ */
+async function getCertificateByCode(code) {
+    const [certificate] = await executeQuery(`
+        SELECT ${CERTIFICATE_COLUMNS}, e.OrganizerID
+        ${CERTIFICATE_JOINS}
+        WHERE c.VerificationCode = ?
+    `, [String(code || '').trim().toUpperCase()]);
+    return certificate;
+}
+
+/**
+ * The template used for an event category, or the default design
+ * @param {number} categoryId - EventCategories.CategoryID
+ * @returns {Promise<object>}
+ */
+async function getTemplate(categoryId) {
+    const [template] = await executeQuery(`
+        SELECT ParticipationTitle, ParticipationText, WinnerTitle, WinnerText, AccentColour, SignatoryName, SignatoryTitle
+        FROM CertificateTemplates
+        WHERE CategoryID = ?
+    `, [categoryId]);
+    return template || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Every event category with its certificate template, if it has one
+ * @returns {Promise<Array>} - Category rows with a Template property (null when using the default)
+ */
+async function listTemplates() {
+    const rows = await executeQuery(`
+        SELECT ec.CategoryID, ec.CategoryName, ct.ParticipationTitle, ct.ParticipationText, ct.WinnerTitle,
+               ct.WinnerText, ct.AccentColour, ct.SignatoryName, ct.SignatoryTitle, ct.UpdatedAt, u.Name AS UpdatedByName
+        FROM EventCategories ec
+        LEFT JOIN CertificateTemplates ct ON ec.CategoryID = ct.CategoryID
+        LEFT JOIN Users u ON ct.UpdatedBy = u.UserID
+        ORDER BY ec.CategoryName
+    `);
+    return rows.map(({ CategoryID, CategoryName, UpdatedAt, UpdatedByName, ...template }) => ({
+        CategoryID,
+        CategoryName,
+        UpdatedAt,
+        UpdatedByName,
+        Template: template.ParticipationTitle ? template : null
+    }));
+}
+
+/**
+ * Reads a template from the template form
+ * @param {object} body - Request body
+ * @returns {object} - Template fields
+ * @throws {Error} - With status 400 and a `details` list when fields are missing or invalid
+ */
+function parseTemplate(body = {}) {
+    const field = name => String(body[name] || '').trim();
+    const template = {
+        ParticipationTitle: field('participationTitle'),
+        ParticipationText: field('participationText'),
+        WinnerTitle: field('winnerTitle'),
+        WinnerText: field('winnerText'),
+        AccentColour: field('accentColour').toLowerCase() || DEFAULT_TEMPLATE.AccentColour,
+        SignatoryName: field('signatoryName') || null,
+        SignatoryTitle: field('signatoryTitle') || null
+    };
+
+    const errors = [];
+    [['ParticipationTitle', 'Participation title'], ['WinnerTitle', 'Winner title']].forEach(([key, label]) => {
+        if (!template[key] || template[key].length > 100) {
+            errors.push(`${label} is required and must be at most 100 characters`);
+        }
+    });
+    [['ParticipationText', 'Participation text'], ['WinnerText', 'Winner text']].forEach(([key, label]) => {
+        if (!template[key] || template[key].length > 1000) {
+            errors.push(`${label} is required and must be at most 1000 characters`);
+            return;
+        }
+        const unknown = [...template[key].matchAll(/\{(\w+)\}/g)]
+            .map(match => match[1])
+            .filter(name => !PLACEHOLDERS.includes(name) || (name === 'place' && key === 'ParticipationText'));
+        if (unknown.length > 0) {
+            errors.push(`${label} has unknown placeholders: ${unknown.map(name => `{${name}}`).join(', ')}`);
+        }
+    });
+    if (!/^#[0-9a-f]{6}$/.test(template.AccentColour)) {
+        errors.push('Accent colour must look like #1565c0');
+    }
+    if ((template.SignatoryName || '').length > 100 || (template.SignatoryTitle || '').length > 100) {
+        errors.push('Signatory name and title must be at most 100 characters');
+    }
+
+    if (errors.length > 0) {
+        throw invalid(errors[0], errors);
+    }
+    return template;
+}
+
+/**
+ * Creates or replaces a category's template
+ * @param {number} categoryId - EventCategories.CategoryID
+ * @param {object} template - Result of parseTemplate
+ * @param {number} userId - Users.UserID of the editor
+ */
+async function saveTemplate(categoryId, template, userId) {
+    await executeQuery(`
+        INSERT INTO CertificateTemplates
+            (CategoryID, ParticipationTitle, ParticipationText, WinnerTitle, WinnerText, AccentColour, SignatoryName, SignatoryTitle, UpdatedBy)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+            ParticipationTitle = VALUES(ParticipationTitle), ParticipationText = VALUES(ParticipationText),
+            WinnerTitle = VALUES(WinnerTitle), WinnerText = VALUES(WinnerText), AccentColour = VALUES(AccentColour),
+            SignatoryName = VALUES(SignatoryName), SignatoryTitle = VALUES(SignatoryTitle), UpdatedBy = VALUES(UpdatedBy)
+    `, [
+        categoryId, template.ParticipationTitle, template.ParticipationText, template.WinnerTitle, template.WinnerText,
+        template.AccentColour, template.SignatoryName, template.SignatoryTitle, userId
+    ]);
+}
+
+/**
+ * Returns a category to the default design
+ * @param {number} categoryId - EventCategories.CategoryID
+ */
+async function deleteTemplate(categoryId) {
+    await executeQuery('DELETE FROM CertificateTemplates WHERE CategoryID = ?', [categoryId]);
+}
+
+/**
+ * Fills a template text's placeholders for one certificate
+ * @param {string} text - Template text
+ * @param {object} certificate - Row from getEventCertificates or getCertificateByCode
+ * @returns {string}
+ */
+function fillTemplate(text, certificate) {
+    const values = {
+        name: certificate.RecipientName,
+        event: certificate.EventName,
+        category: certificate.CategoryName,
+        date: new Date(certificate.EventDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }),
+        team: certificate.TeamName || '',
+        place: certificate.Place ? formatPlace(certificate.Place) : ''
+    };
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Draws one certificate on its own landscape A4 page
+ * @param {PDFDocument} doc - Target document
+ * @param {object} certificate - Row from getEventCertificates or getCertificateByCode
+ * @param {object} template - Result of getTemplate
+ * @param {Buffer} qrPng - QR code of the verification URL
+ */
+function drawCertificate(doc, certificate, template, qrPng) {
+    doc.addPage();
+    const { width, height } = doc.page;
+    const accent = template.AccentColour;
+    const isWinner = !!certificate.Place;
+    const verifyUrl = appUrl(`/certificates/verify/${certificate.VerificationCode}`);
+
+    doc.lineWidth(6).rect(24, 24, width - 48, height - 48).stroke(accent);
+    doc.lineWidth(1).rect(36, 36, width - 72, height - 72).stroke(accent);
+
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#616161')
+        .text('NASCON', 0, 70, { align: 'center', characterSpacing: 6 });
+    doc.font('Helvetica-Bold').fontSize(32).fillColor(accent)
+        .text((isWinner ? template.WinnerTitle : template.ParticipationTitle).toUpperCase(), 60, 100, { width: width - 120, align: 'center' });
+
+    if (isWinner) {
+        const ribbon = `${formatPlace(certificate.Place)} PLACE`;
+        doc.font('Helvetica-Bold').fontSize(14);
+        const ribbonWidth = doc.widthOfString(ribbon) + 40;
+        doc.roundedRect((width - ribbonWidth) / 2, doc.y + 8, ribbonWidth, 26, 13).fill(PLACE_COLOURS[certificate.Place]);
+        doc.fillColor('#ffffff').text(ribbon, 0, doc.y + 15, { align: 'center' });
+    }
+
+    doc.font('Helvetica').fontSize(14).fillColor('#616161').text('presented to', 0, 200, { align: 'center' });
+    // Long names shrink to stay on one line
+    let nameSize = 36;
+    doc.font('Helvetica-Bold');
+    while (nameSize > 20 && doc.fontSize(nameSize).widthOfString(certificate.RecipientName) > width - 120) {
+        nameSize -= 1;
+    }
+    doc.fontSize(nameSize).fillColor('#212121').text(certificate.RecipientName, 60, 222 + (36 - nameSize) / 2, {
+        width: width - 120,
+        align: 'center',
+        height: nameSize * 1.3,
+        ellipsis: true
+    });
+    if (certificate.TeamName) {
+        doc.font('Helvetica').fontSize(14).fillColor('#616161').text(`Team ${certificate.TeamName}`, 0, doc.y + 2, { align: 'center' });
+    }
+    doc.font('Helvetica').fontSize(15).fillColor('#424242')
+        .text(fillTemplate(isWinner ? template.WinnerText : template.ParticipationText, certificate), 120, 300, {
+            width: width - 240,
+            align: 'center',
+            lineGap: 4
+        });
+
+    // Signature on the left, verification details on the right
+    const footerY = height - 140;
+    if (template.SignatoryName) {
+        doc.lineWidth(0.75).moveTo(90, footerY + 40).lineTo(290, footerY + 40).stroke('#9e9e9e');
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#212121').text(template.SignatoryName, 90, footerY + 48, { width: 200, align: 'center' });
+        if (template.SignatoryTitle) {
+            doc.font('Helvetica').fontSize(10).fillColor('#616161').text(template.SignatoryTitle, 90, doc.y + 2, { width: 200, align: 'center' });
+        }
+    }
+    doc.image(qrPng, width - 170, footerY, { width: 80 });
+    doc.font('Helvetica').fontSize(8).fillColor('#616161')
+        .text(`Verification code ${certificate.VerificationCode}`, width - 420, footerY + 20, { width: 240, align: 'right' })
+        .text(verifyUrl, width - 420, doc.y + 2, { width: 240, align: 'right' })
+        .text(`Issued ${new Date(certificate.IssuedAt).toLocaleDateString('en-GB')}`, width - 420, doc.y + 2, { width: 240, align: 'right' });
+}
+
+/**
+ * Renders certificates into one PDF, one page each, using each event category's template
+ * @param {Array} certificates - Rows from getEventCertificates or getCertificateByCode
+ * @returns {Promise<Buffer>} - PDF file
+ */
+async function buildCertificatePdf(certificates) {
+    const templates = new Map();
+    for (const categoryId of new Set(certificates.map(certificate => certificate.CategoryID))) {
+        templates.set(categoryId, await getTemplate(categoryId));
+    }
+    const qrCodes = await Promise.all(certificates.map(certificate => QRCode.toBuffer(
+        appUrl(`/certificates/verify/${certificate.VerificationCode}`),
+        { errorCorrectionLevel: 'M', margin: 1, width: 240 }
+    )));
+
+    const title = certificates.length === 1
+        ? `${certificates[0].EventName} certificate for ${certificates[0].RecipientName}`
+        : `${certificates[0].EventName} certificates`;
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0, autoFirstPage: false, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    certificates.forEach((certificate, index) => {
+        drawCertificate(doc, certificate, templates.get(certificate.CategoryID), qrCodes[index]);
+    });
+    doc.end();
+    return done;
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    PLACEHOLDERS,
+    formatPlace,
+    getRankings,
+    getWinningPlaces,
+    issueCertificates,
+    getEventCertificates,
+    getCertificateByCode,
+    getTemplate,
+    listTemplates,
+    parseTemplate,
+    saveTemplate,
+    deleteTemplate,
+    buildCertificatePdf
+};
@@ -0,0 +1,86 @@
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Rows of fields; blank lines are skipped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    // Strip a UTF-8 byte order mark (added by Excel)
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by lower-cased header names
+ * @param {string} text - CSV content
+ * @returns {{ headers: string[], records: object[] }}
+ */
+function parseCsvRecords(text) {
+    const [headerRow = [], ...rows] = parseCsv(text);
+    const headers = headerRow.map(header => header.trim().toLowerCase());
+    const records = rows.map(values => {
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = (values[index] || '').trim();
+        });
+        return record;
+    });
+    return { headers, records };
+}
+
+/**
+ * Serializes rows as CSV text with CRLF line endings, quoting fields where needed.
+ * Fields starting with =, +, - or @ are prefixed with ' so spreadsheets do not run them as formulas.
+ * @param {Array<Array>} rows - Rows of values; null and undefined become empty fields
+ * @returns {string}
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        let field = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(field)) {
+            field = `'${field}`;
+        }
+        return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRecords,
+    toCsv
+};
@@ -0,0 +1,432 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+const { findVenueConflict } = require('./venueConflicts');
+
+// Largest shift accepted for a copy, in either direction
+const MAX_OFFSET_DAYS = 3650;
+
+// 52 weeks: the same weekday one year later
+const WEEKS_PER_YEAR_DAYS = 364;
+
+const invalid = message => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Reads a date offset in whole days
+ * @param {*} value - Raw form value
+ * @returns {number}
+ * @throws {Error} - With status 400 when it is not a whole number of days within MAX_OFFSET_DAYS
+ */
+function parseOffsetDays(value) {
+    const text = String(value ?? '').trim();
+    if (!/^-?\d+$/.test(text) || Math.abs(Number(text)) > MAX_OFFSET_DAYS) {
+        throw invalid(`The date offset must be a whole number of days between -${MAX_OFFSET_DAYS} and ${MAX_OFFSET_DAYS}`);
+    }
+    return Number(text);
+}
+
+/**
+ * Events to copy, with their date and registration deadline moved by an offset
+ * @param {string} where - Condition on the events table (alias e)
+ * @param {Array} params - Parameters of the condition
+ * @param {number} offsetDays - Days to add to dates
+ * @returns {Promise<Array>} - Events rows plus NewDate ('YYYY-MM-DD'), NewTime and NewDeadline
+ */
+async function loadSourceEvents(where, params, offsetDays) {
+    return executeQuery(`
+        SELECT e.*,
+               DATE_FORMAT(e.Date + INTERVAL ? DAY, '%Y-%m-%d') AS NewDate,
+               TIME_FORMAT(e.Time, '%H:%i:%s') AS NewTime,
+               DATE_FORMAT(e.RegistrationDeadline + INTERVAL ? DAY, '%Y-%m-%d %H:%i:%s') AS NewDeadline
+        FROM Events e
+        WHERE ${where}
+        ORDER BY e.Date, e.Time, e.EventID
+    `, [offsetDays, offsetDays, ...params]);
+}
+
+/**
+ * The parts of events that are copied with them: judge panel, custom refund rules and registration questions
+ * @param {Array<number>} eventIds - Events.EventID values
+ * @returns {Promise<Map<number, {judgeIds: Array, refundRules: Array, questions: Array}>>}
+ */
+async function loadSettings(eventIds) {
+    const settings = new Map(eventIds.map(eventId => [eventId, { judgeIds: [], refundRules: [], questions: [] }]));
+    if (eventIds.length === 0) {
+        return settings;
+    }
+    const ids = eventIds.map(() => '?').join(', ');
+
+    const [judges, refundRules, questions] = await Promise.all([
+        executeQuery(`
+            SELECT EventID, JudgeID FROM EventJudges
+            WHERE EventID IN (${ids}) AND Status = 'assigned'
+            ORDER BY AssignedAt
+        `, eventIds),
+        executeQuery(`
+            SELECT EventID, MinDaysBefore, RefundPercent FROM EventRefundRules
+            WHERE EventID IN (${ids})
+            ORDER BY MinDaysBefore DESC
+        `, eventIds),
+        executeQuery(`
+            SELECT EventID, Prompt, QuestionType, Options, IsRequired FROM EventRegistrationQuestions
+            WHERE EventID IN (${ids})
+            ORDER BY SortOrder, QuestionID
+        `, eventIds)
+    ]);
+
+    judges.forEach(({ EventID, JudgeID }) => settings.get(EventID).judgeIds.push(JudgeID));
+    refundRules.forEach(({ EventID, ...rule }) => settings.get(EventID).refundRules.push(rule));
+    questions.forEach(({ EventID, ...question }) => settings.get(EventID).questions.push({
+        ...question,
+        Options: question.Options ? JSON.parse(question.Options) : [],
+        IsRequired: !!question.IsRequired
+    }));
+    return settings;
+}
+
+/**
+ * What a copy of an event starts from: everything except its date, venue, status and registrations
+ * @param {object} event - Events row
+ * @param {object} settings - The event's entry from loadSettings
+ * @returns {object}
+ */
+function toSnapshot(event, settings) {
+    return {
+        Name: event.Name,
+        CategoryID: event.CategoryID,
+        EventType: event.EventType,
+        EventDescription: event.EventDescription,
+        Rules: event.Rules,
+        DurationMinutes: event.DurationMinutes,
+        Reg_Fee: event.Reg_Fee,
+        Max_Participants: event.Max_Participants,
+        TransferRequiresApproval: !!event.TransferRequiresApproval,
+        ...settings
+    };
+}
+
+/**
+ * Queries creating a Draft event from a snapshot. The new EventID is left in @cloned_event_id.
+ * Judges who have since been deactivated are not assigned.
+ * @param {object} snapshot - Result of toSnapshot, or a stored template
+ * @param {object} slot - { date, time, registrationDeadline, venueId, organizerId, clonedFromEventId }
+ * @returns {Array<{query: string, params: Array}>}
+ */
+function draftQueries(snapshot, { date, time, registrationDeadline = null, venueId = null, organizerId, clonedFromEventId = null }) {
+    const queries = [
+        {
+            query: `
+                INSERT INTO Events (
+                    Name, CategoryID, EventType, Status, EventDescription, Rules,
+                    Date, Time, DurationMinutes, RegistrationDeadline, VenueID, Max_Participants,
+                    Reg_Fee, TransferRequiresApproval, OrganizerID, ClonedFromEventID
+                ) VALUES (?, ?, ?, 'Draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            params: [
+                snapshot.Name, snapshot.CategoryID, snapshot.EventType, snapshot.EventDescription, snapshot.Rules,
+                date, time, snapshot.DurationMinutes, registrationDeadline, venueId, snapshot.Max_Participants,
+                snapshot.Reg_Fee, snapshot.TransferRequiresApproval, organizerId, clonedFromEventId
+            ]
+        },
+        { query: 'SET @cloned_event_id = LAST_INSERT_ID()', params: [] }
+    ];
+
+    if (snapshot.judgeIds.length > 0) {
+        queries.push({
+            query: `
+                INSERT INTO EventJudges (EventID, JudgeID)
+                SELECT @cloned_event_id, JudgeID FROM Judges
+                WHERE JudgeID IN (${snapshot.judgeIds.map(() => '?').join(', ')}) AND Status = 'active'
+            `,
+            params: snapshot.judgeIds
+        });
+    }
+    snapshot.refundRules.forEach(rule => queries.push({
+        query: 'INSERT INTO EventRefundRules (EventID, MinDaysBefore, RefundPercent) VALUES (@cloned_event_id, ?, ?)',
+        params: [rule.MinDaysBefore, rule.RefundPercent]
+    }));
+    snapshot.questions.forEach((question, index) => queries.push({
+        query: `
+            INSERT INTO EventRegistrationQuestions (EventID, Prompt, QuestionType, Options, IsRequired, SortOrder)
+            VALUES (@cloned_event_id, ?, ?, ?, ?, ?)
+        `,
+        params: [
+            question.Prompt, question.QuestionType,
+            question.Options.length > 0 ? JSON.stringify(question.Options) : null,
+            question.IsRequired, index
+        ]
+    }));
+    return queries;
+}
+
+/**
+ * The venue a copy keeps: the original one if it is still free at the new date, otherwise none
+ * @param {object} source - Row from loadSourceEvents
+ * @returns {Promise<number|null>}
+ */
+async function keptVenue(source) {
+    if (!source.VenueID) {
+        return null;
+    }
+    const conflict = await findVenueConflict({
+        venueId: source.VenueID,
+        date: source.NewDate,
+        time: source.NewTime,
+        durationMinutes: source.DurationMinutes
+    });
+    return conflict ? null : source.VenueID;
+}
+
+/**
+ * Copies an event into a new Draft, moved by an offset. The copy keeps the organizer,
+ * judge panel, refund rules and registration questions, and the venue when it is free.
+ * @param {number} eventId - Events.EventID of the original
+ * @param {number} offsetDays - Result of parseOffsetDays
+ * @returns {Promise<{eventId: number, date: string, venueDropped: boolean}>}
+ * @throws {Error} - With status 404 when the event does not exist
+ */
+async function duplicateEvent(eventId, offsetDays) {
+    const [source] = await loadSourceEvents('e.EventID = ?', [eventId], offsetDays);
+    if (!source) {
+        throw Object.assign(new Error('Event not found'), { status: 404 });
+    }
+    const settings = await loadSettings([source.EventID]);
+    const venueId = await keptVenue(source);
+
+    const [created] = await executeTransaction(draftQueries(toSnapshot(source, settings.get(source.EventID)), {
+        date: source.NewDate,
+        time: source.NewTime,
+        registrationDeadline: source.NewDeadline,
+        venueId,
+        organizerId: source.OrganizerID,
+        clonedFromEventId: source.EventID
+    }));
+    return { eventId: created.insertId, date: source.NewDate, venueDropped: !!source.VenueID && !venueId };
+}
+
+/**
+ * Years that have events, with how many are not cancelled, newest first
+ * @returns {Promise<Array<{Edition: number, EventCount: number}>>}
+ */
+async function listEditions() {
+    return executeQuery(`
+        SELECT YEAR(Date) AS Edition, COUNT(*) AS EventCount
+        FROM Events
+        WHERE Status <> 'Cancelled'
+        GROUP BY YEAR(Date)
+        ORDER BY Edition DESC
+    `);
+}
+
+/**
+ * Copies every event of one edition (calendar year) into Drafts for another, moved by an offset.
+ * Cancelled events are left out, and so are events already copied into the target edition,
+ * so running it twice does not create duplicates. Either every copy is created or none is.
+ * @param {object} options - { fromYear, toYear, offsetDays }
+ * @returns {Promise<{created: Array, skipped: Array}>} - created: { sourceId, eventId, name, date, venueDropped };
+ *   skipped: { sourceId, name, reason }
+ * @throws {Error} - With status 400 when a copy would not fall in the target year
+ */
+async function cloneEdition({ fromYear, toYear, offsetDays }) {
+    if (!Number.isInteger(fromYear) || !Number.isInteger(toYear) || fromYear === toYear) {
+        throw invalid('Choose two different editions');
+    }
+
+    const sources = await loadSourceEvents(`YEAR(e.Date) = ? AND e.Status <> 'Cancelled'`, [fromYear], offsetDays);
+    const outside = sources.filter(source => Number(source.NewDate.slice(0, 4)) !== toYear);
+    if (outside.length > 0) {
+        throw invalid(`With an offset of ${offsetDays} days, ${outside.length} event(s) would not fall in ${toYear}, ` +
+            `e.g. ${outside[0].Name} on ${outside[0].NewDate}`);
+    }
+
+    const copied = sources.length > 0 ? await executeQuery(`
+        SELECT DISTINCT ClonedFromEventID FROM Events
+        WHERE YEAR(Date) = ? AND ClonedFromEventID IN (${sources.map(() => '?').join(', ')})
+    `, [toYear, ...sources.map(source => source.EventID)]) : [];
+    const alreadyCopied = new Set(copied.map(row => row.ClonedFromEventID));
+    const skipped = sources
+        .filter(source => alreadyCopied.has(source.EventID))
+        .map(source => ({ sourceId: source.EventID, name: source.Name, reason: `Already copied into ${toYear}` }));
+    const pending = sources.filter(source => !alreadyCopied.has(source.EventID));
+    if (pending.length === 0) {
+        return { created: [], skipped };
+    }
+
+    // Originals never overlap each other, and every copy moves by the same offset, so copies that
+    // keep their venue cannot clash with one another either
+    const settings = await loadSettings(pending.map(source => source.EventID));
+    const venues = [];
+    for (const source of pending) {
+        venues.push(await keptVenue(source));
+    }
+
+    // Each event's queries start with its INSERT INTO Events, whose result holds the new EventID
+    const batches = pending.map((source, index) => draftQueries(toSnapshot(source, settings.get(source.EventID)), {
+        date: source.NewDate,
+        time: source.NewTime,
+        registrationDeadline: source.NewDeadline,
+        venueId: venues[index],
+        organizerId: source.OrganizerID,
+        clonedFromEventId: source.EventID
+    }));
+    const results = await executeTransaction(batches.flat());
+    let position = 0;
+    const insertIds = batches.map(batch => {
+        const { insertId } = results[position];
+        position += batch.length;
+        return insertId;
+    });
+
+    return {
+        created: pending.map((source, index) => ({
+            sourceId: source.EventID,
+            eventId: insertIds[index],
+            name: source.Name,
+            date: source.NewDate,
+            venueDropped: !!source.VenueID && !venues[index]
+        })),
+        skipped
+    };
+}
+
+/**
+ * Whether a user may replace or delete a template: its creator, or anyone who can manage all events
+ * @param {object} template - EventTemplates row
+ * @param {object} editor - { userId, canManageAll }
+ * @returns {boolean}
+ */
+function ownsTemplate(template, { userId, canManageAll }) {
+    return canManageAll || template.CreatedBy === userId;
+}
+
+const nameTaken = name => Object.assign(
+    new Error(`Another organizer already has a template called "${name}"; choose a different name`),
+    { status: 409 }
+);
+
+/**
+ * Saves an event as a reusable template. A template of the same name is replaced
+ * only when the editor owns it (see ownsTemplate).
+ * @param {number} eventId - Events.EventID
+ * @param {string} templateName - Name shown in the template list
+ * @param {object} editor - { userId, canManageAll } where canManageAll is Events.update
+ * @throws {Error} - With status 400 for a missing name, 404 when the event does not exist,
+ *   409 when the name belongs to someone else's template
+ */
+async function saveEventTemplate(eventId, templateName, editor) {
+    const name = String(templateName || '').trim();
+    if (!name || name.length > 150) {
+        throw invalid('Template name is required and must be at most 150 characters');
+    }
+    const [source] = await loadSourceEvents('e.EventID = ?', [eventId], 0);
+    if (!source) {
+        throw Object.assign(new Error('Event not found'), { status: 404 });
+    }
+    const [existing] = await executeQuery('SELECT TemplateID, CreatedBy FROM EventTemplates WHERE TemplateName = ?', [name]);
+    if (existing && !ownsTemplate(existing, editor)) {
+        throw nameTaken(name);
+    }
+    const settings = await loadSettings([source.EventID]);
+    const { judgeIds, refundRules, questions, ...fields } = toSnapshot(source, settings.get(source.EventID));
+    const values = [
+        source.EventID, fields.Name, fields.CategoryID, fields.EventType, fields.EventDescription, fields.Rules,
+        fields.DurationMinutes, fields.Reg_Fee, fields.Max_Participants, fields.TransferRequiresApproval,
+        JSON.stringify({ judgeIds, refundRules, questions })
+    ];
+
+    if (existing) {
+        // The creator stays the owner when a manager replaces the template
+        await executeQuery(`
+            UPDATE EventTemplates
+            SET SourceEventID = ?, Name = ?, CategoryID = ?, EventType = ?, EventDescription = ?, Rules = ?,
+                DurationMinutes = ?, Reg_Fee = ?, Max_Participants = ?, TransferRequiresApproval = ?, Settings = ?
+            WHERE TemplateID = ?
+        `, [...values, existing.TemplateID]);
+        return;
+    }
+    try {
+        await executeQuery(`
+            INSERT INTO EventTemplates (
+                SourceEventID, Name, CategoryID, EventType, EventDescription, Rules,
+                DurationMinutes, Reg_Fee, Max_Participants, TransferRequiresApproval, Settings, TemplateName, CreatedBy
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [...values, name, editor.userId]);
+    } catch (error) {
+        // Saved under the same name by someone else in the meantime
+        // (executeQuery rethrows ER_DUP_ENTRY as a plain error)
+        if (error.message === 'Duplicate entry found') {
+            throw nameTaken(name);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Saved event templates, by name
+ * @returns {Promise<Array>} - EventTemplates rows with CategoryName, CreatedByName and the counts of copied judges and questions
+ */
+async function listEventTemplates() {
+    const templates = await executeQuery(`
+        SELECT et.TemplateID, et.TemplateName, et.Name, et.EventType, et.Reg_Fee, et.Settings, et.UpdatedAt, et.CreatedBy,
+               ec.CategoryName, u.Name AS CreatedByName
+        FROM EventTemplates et
+        JOIN EventCategories ec ON et.CategoryID = ec.CategoryID
+        LEFT JOIN Users u ON et.CreatedBy = u.UserID
+        ORDER BY et.TemplateName
+    `);
+    return templates.map(({ Settings, ...template }) => {
+        const settings = JSON.parse(Settings);
+        return { ...template, JudgeCount: settings.judgeIds.length, QuestionCount: settings.questions.length };
+    });
+}
+
+/**
+ * Creates a Draft event from a template, organized by the user creating it
+ * @param {number} templateId - EventTemplates.TemplateID
+ * @param {object} slot - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ * @param {number} userId - Users.UserID of the new organizer
+ * @returns {Promise<number>} - EventID of the new event
+ * @throws {Error} - With status 400 for a malformed date or time, 404 when the template does not exist
+ */
+async function createEventFromTemplate(templateId, { date, time }, userId) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) || !/^\d{2}:\d{2}(:\d{2})?$/.test(String(time || ''))) {
+        throw invalid('Choose a date and start time for the new event');
+    }
+    const [template] = await executeQuery('SELECT * FROM EventTemplates WHERE TemplateID = ?', [templateId]);
+    if (!template) {
+        throw Object.assign(new Error('Template not found'), { status: 404 });
+    }
+
+    const [created] = await executeTransaction(draftQueries(
+        { ...template, TransferRequiresApproval: !!template.TransferRequiresApproval, ...JSON.parse(template.Settings) },
+        { date, time, organizerId: userId }
+    ));
+    return created.insertId;
+}
+
+/**
+ * Deletes a template; events created from it are not affected
+ * @param {number} templateId - EventTemplates.TemplateID
+ * @param {object} editor - { userId, canManageAll }, see ownsTemplate
+ * @throws {Error} - With status 404 when the template does not exist, 403 when the editor does not own it
+ */
+async function deleteEventTemplate(templateId, editor) {
+    const [template] = await executeQuery('SELECT TemplateID, CreatedBy FROM EventTemplates WHERE TemplateID = ?', [templateId]);
+    if (!template) {
+        throw Object.assign(new Error('Template not found'), { status: 404 });
+    }
+    if (!ownsTemplate(template, editor)) {
+        throw Object.assign(new Error('Only the organizer who created this template can delete it'), { status: 403 });
+    }
+    await executeQuery('DELETE FROM EventTemplates WHERE TemplateID = ?', [template.TemplateID]);
+}
+
+module.exports = {
+    WEEKS_PER_YEAR_DAYS,
+    parseOffsetDays,
+    duplicateEvent,
+    listEditions,
+    cloneEdition,
+    saveEventTemplate,
+    listEventTemplates,
+    createEventFromTemplate,
+    deleteEventTemplate
+};
@@ -0,0 +1,234 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+const { sendMail } = require('./mailer');
+
+// Legal moves between Events.Status values; Completed and Cancelled are final
+const EVENT_TRANSITIONS = {
+    Draft: ['Published', 'Cancelled'],
+    Published: ['Draft', 'Ongoing', 'Cancelled'],
+    Ongoing: ['Completed', 'Cancelled'],
+    Completed: [],
+    Cancelled: []
+};
+
+const EVENT_STATUSES = Object.keys(EVENT_TRANSITIONS);
+
+/**
+ * Statuses an event can move to from its current one
+ * @param {string} status - Current Events.Status
+ * @returns {string[]}
+ */
+function getAllowedTransitions(status) {
+    return EVENT_TRANSITIONS[status] || [];
+}
+
+/**
+ * Whether an event may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+    return getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * Queries run in the same transaction as a status change. Each one is skipped unless
+ * @status_changed = 1, i.e. the status update itself matched the event.
+ * @param {object} event - { EventID, Name }
+ * @param {string} to - New status
+ * @returns {Array<{query: string, params: Array}>}
+ */
+function sideEffectQueries(event, to) {
+    switch (to) {
+        case 'Ongoing':
+            // Close registration now, unless the deadline has already passed
+            return [{
+                query: `
+                    UPDATE Events SET RegistrationDeadline = NOW()
+                    WHERE EventID = ? AND (RegistrationDeadline IS NULL OR RegistrationDeadline > NOW())
+                      AND @status_changed = 1
+                `,
+                params: [event.EventID]
+            }];
+        case 'Completed':
+            return [{
+                query: 'UPDATE Events SET ScoresFrozenAt = NOW() WHERE EventID = ? AND @status_changed = 1',
+                params: [event.EventID]
+            }];
+        case 'Cancelled':
+            return [
+                {
+                    query: `
+                        UPDATE Payments p
+                        JOIN Registrations r ON p.RelatedRegistrationID = r.RegistrationID
+                        SET p.Status = 'cancelled'
+                        WHERE r.EventID = ? AND p.Status = 'pending' AND @status_changed = 1
+                    `,
+                    params: [event.EventID]
+                },
+                {
+                    query: `
+                        INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                        SELECT DISTINCT r.UserID, 'event_cancelled', ?, r.EventID
+                        FROM Registrations r
+                        WHERE r.EventID = ? AND r.Status <> 'cancelled' AND @status_changed = 1
+                    `,
+                    params: [`${event.Name} has been cancelled. Pending payments for it have been cancelled.`, event.EventID]
+                }
+            ];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Emails everyone registered for a cancelled event. Failures are logged, not thrown:
+ * the in-app alert has already been created.
+ * @param {object} event - { EventID, Name, Date }
+ * @param {string|null} reason - Reason given by the organizer
+ */
+async function notifyCancellation(event, reason) {
+    const registrants = await executeQuery(`
+        SELECT DISTINCT u.Name, u.Email
+        FROM Registrations r
+        JOIN Users u ON r.UserID = u.UserID
+        WHERE r.EventID = ? AND r.Status <> 'cancelled' AND u.AnonymizedAt IS NULL
+    `, [event.EventID]);
+
+    for (const registrant of registrants) {
+        try {
+            await sendMail({
+                to: registrant.Email,
+                subject: `${event.Name} has been cancelled`,
+                text: `Hi ${registrant.Name},\n\nWe are sorry to let you know that ${event.Name} ` +
+                    `(${new Date(event.Date).toDateString()}) has been cancelled.` +
+                    (reason ? `\n\nReason: ${reason}` : '') +
+                    '\n\nAny pending payment for this event has been cancelled. ' +
+                    'Completed payments will be handled by the organizers.'
+            });
+        } catch (error) {
+            console.error('Error sending cancellation email:', error);
+        }
+    }
+}
+
+/**
+ * Checks that an event may move to a new status
+ * @param {object} event - { EventID, Status }
+ * @param {string} to - Requested status
+ * @throws {Error} - With status 400 for an unknown status and 409 when the change is not allowed
+ */
+async function checkTransition(event, to) {
+    if (!EVENT_STATUSES.includes(to)) {
+        throw Object.assign(new Error(`Unknown status: ${to}`), { status: 400 });
+    }
+    if (!canTransition(event.Status, to)) {
+        throw Object.assign(new Error(`An event cannot move from ${event.Status} to ${to}`), { status: 409 });
+    }
+    // Unpublishing would hide an event people have already signed up for
+    if (event.Status === 'Published' && to === 'Draft') {
+        const [{ count }] = await executeQuery(
+            "SELECT COUNT(*) AS count FROM Registrations WHERE EventID = ? AND Status <> 'cancelled'",
+            [event.EventID]
+        );
+        if (count > 0) {
+            throw Object.assign(new Error('An event with registrations cannot go back to Draft; cancel it instead'), { status: 409 });
+        }
+    }
+}
+
+/**
+ * Moves an event to a new status, recording who did it, and runs the side effects
+ * of the new status in the same transaction:
+ * Ongoing closes registration, Completed freezes scores, Cancelled cancels pending
+ * payments and notifies registrants.
+ * @param {number} eventId - Events.EventID
+ * @param {string} to - Requested status
+ * @param {object} options - { userId, reason }
+ * @returns {Promise<{from: string, to: string}>}
+ * @throws {Error} - With status 404, 400 or 409 when the change is not allowed
+ */
+async function transitionEventStatus(eventId, to, { userId, reason = null }) {
+    const [event] = await executeQuery(
+        'SELECT EventID, Name, Date, Status FROM Events WHERE EventID = ?',
+        [eventId]
+    );
+    if (!event) {
+        throw Object.assign(new Error('Event not found'), { status: 404 });
+    }
+    await checkTransition(event, to);
+
+    // If someone else changed the status since it was read, the update matches no row and the
+    // history entry and side effects are skipped (@status_changed = 0)
+    const [statusUpdate] = await executeTransaction([
+        {
+            query: 'UPDATE Events SET Status = ? WHERE EventID = ? AND Status = ?',
+            params: [to, event.EventID, event.Status]
+        },
+        { query: 'SET @status_changed = ROW_COUNT()', params: [] },
+        {
+            query: `
+                INSERT INTO EventStatusHistory (EventID, FromStatus, ToStatus, ChangedBy, Reason)
+                SELECT ?, ?, ?, ?, ? FROM DUAL WHERE @status_changed = 1
+            `,
+            params: [event.EventID, event.Status, to, userId, reason]
+        },
+        ...sideEffectQueries(event, to)
+    ]);
+    if (statusUpdate.affectedRows === 0) {
+        throw Object.assign(new Error('The event status was changed by someone else; reload and try again'), { status: 409 });
+    }
+
+    if (to === 'Cancelled') {
+        await notifyCancellation(event, reason);
+    }
+
+    return { from: event.Status, to };
+}
+
+/**
+ * Lists an event's status changes, newest first
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<Array>}
+ */
+async function getStatusHistory(eventId) {
+    return executeQuery(`
+        SELECT h.FromStatus, h.ToStatus, h.Reason, h.ChangedAt, u.Name AS ChangedByName
+        FROM EventStatusHistory h
+        LEFT JOIN Users u ON h.ChangedBy = u.UserID
+        WHERE h.EventID = ?
+        ORDER BY h.ChangedAt DESC, h.HistoryID DESC
+    `, [eventId]);
+}
+
+/**
+ * Whether an event's scores are frozen (set when it is completed)
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<boolean>}
+ */
+async function areScoresFrozen(eventId) {
+    const [event] = await executeQuery('SELECT ScoresFrozenAt FROM Events WHERE EventID = ?', [eventId]);
+    return !!(event && event.ScoresFrozenAt);
+}
+
+/**
+ * Whether an event currently accepts registrations
+ * @param {object} event - Row with Status and RegistrationDeadline
+ * @returns {boolean}
+ */
+function isRegistrationOpen(event) {
+    return event.Status === 'Published' &&
+        (!event.RegistrationDeadline || new Date(event.RegistrationDeadline) > new Date());
+}
+
+module.exports = {
+    EVENT_STATUSES,
+    EVENT_TRANSITIONS,
+    getAllowedTransitions,
+    canTransition,
+    checkTransition,
+    transitionEventStatus,
+    getStatusHistory,
+    areScoresFrozen,
+    isRegistrationOpen
+};
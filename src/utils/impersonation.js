@@ -0,0 +1,93 @@
+const { executeQuery } = require('../config/database');
+
+/**
+ * Switches the session to another user while remembering the admin who started it.
+ * The session stays owned by the admin (see MySQLSessionStore.set), so the target
+ * cannot see or revoke it from their sessions list.
+ * @param {object} req - Express request of the super_admin
+ * @param {object} target - { UserID, Name } of the account to view as
+ * @returns {Promise<void>}
+ */
+async function startImpersonation(req, target) {
+    const result = await executeQuery(
+        'INSERT INTO ImpersonationLog (AdminUserID, TargetUserID, IPAddress) VALUES (?, ?, ?)',
+        [req.user.UserID, target.UserID, req.ip || null]
+    );
+
+    req.session.impersonation = {
+        logId: result.insertId,
+        adminId: req.user.UserID,
+        adminName: req.user.Name,
+        targetId: target.UserID,
+        targetName: target.Name
+    };
+    // passport deserializes this ID on the next request
+    req.session.passport.user = target.UserID;
+    await saveSession(req);
+}
+
+/**
+ * Returns the session to the original admin and closes the audit log entry
+ * @param {object} req - Express request made during impersonation
+ * @returns {Promise<object|null>} - The impersonation that ended, or null if there was none
+ */
+async function stopImpersonation(req) {
+    const impersonation = req.session && req.session.impersonation;
+    if (!impersonation) {
+        return null;
+    }
+
+    await endImpersonationLog(impersonation);
+    delete req.session.impersonation;
+    req.session.passport = { user: impersonation.adminId };
+    await saveSession(req);
+    return impersonation;
+}
+
+/**
+ * Marks an impersonation as ended in the audit log
+ * @param {object} impersonation - The session's impersonation record
+ */
+async function endImpersonationLog(impersonation) {
+    await executeQuery(
+        'UPDATE ImpersonationLog SET EndedAt = NOW() WHERE LogID = ? AND EndedAt IS NULL',
+        [impersonation.logId]
+    );
+}
+
+/**
+ * Lists recent impersonations of an account
+ * @param {number} userId - Target Users.UserID
+ * @returns {Promise<Array>}
+ */
+async function listImpersonations(userId) {
+    return executeQuery(`
+        SELECT il.LogID, il.IPAddress, il.StartedAt, il.EndedAt, a.Name AS AdminName
+        FROM ImpersonationLog il
+        JOIN Users a ON il.AdminUserID = a.UserID
+        WHERE il.TargetUserID = ?
+        ORDER BY il.StartedAt DESC
+        LIMIT 20
+    `, [userId]);
+}
+
+// Promise wrapper around req.session.save
+function saveSession(req) {
+    return new Promise((resolve, reject) => {
+        req.session.save(err => (err ? reject(err) : resolve()));
+    });
+}
+
+// Makes the impersonation (if any) available to every view for the header banner
+function exposeImpersonation(req, res, next) {
+    res.locals.impersonation = (req.session && req.session.impersonation) || null;
+    next();
+}
+
+module.exports = {
+    startImpersonation,
+    stopImpersonation,
+    endImpersonationLog,
+    listImpersonations,
+    exposeImpersonation
+};
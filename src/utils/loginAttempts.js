@@ -0,0 +1,112 @@
+const { executeQuery } = require('../config/database');
+require('dotenv').config();
+
+// Throttling settings (overridable through the environment)
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15;
+const MAX_DELAY_MS = 8000;
+
+/**
+ * Records a login attempt for auditing and per-IP throttling
+ * @param {object} attempt - { email, userId, ip, successful }
+ */
+async function recordAttempt({ email, userId = null, ip, successful }) {
+    await executeQuery(
+        'INSERT INTO LoginAttempts (Email, UserID, IPAddress, Successful) VALUES (?, ?, ?, ?)',
+        [String(email || '').slice(0, 100), userId, ip || 'unknown', successful ? 1 : 0]
+    );
+}
+
+/**
+ * Counts failed attempts from an IP address inside the throttling window
+ * @param {string} ip - Client IP address
+ * @returns {Promise<number>}
+ */
+async function getRecentIpFailures(ip) {
+    const [row] = await executeQuery(`
+        SELECT COUNT(*) AS failures
+        FROM LoginAttempts
+        WHERE IPAddress = ?
+          AND Successful = FALSE
+          AND AttemptedAt > NOW() - INTERVAL ? MINUTE
+    `, [ip || 'unknown', WINDOW_MINUTES]);
+    return Number(row.failures);
+}
+
+/**
+ * Registers a wrong password for an account, locking it once the limit is hit
+ * @param {number} userId - Account that failed to authenticate
+ * @returns {Promise<boolean>} - True if the account is now locked
+ */
+async function registerFailure(userId) {
+    await executeQuery(
+        'UPDATE Users SET FailedLoginAttempts = FailedLoginAttempts + 1 WHERE UserID = ?',
+        [userId]
+    );
+    // The counter restarts after each lockout so the next lock needs a fresh run of failures
+    const result = await executeQuery(`
+        UPDATE Users
+        SET LockedUntil = NOW() + INTERVAL ? MINUTE,
+            FailedLoginAttempts = 0
+        WHERE UserID = ? AND FailedLoginAttempts >= ?
+    `, [LOCKOUT_MINUTES, userId, MAX_ACCOUNT_FAILURES]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Clears failure state once the user has fully logged in (password and any second factor)
+ * @param {number} userId - Account that authenticated
+ */
+async function registerSuccess(userId) {
+    await executeQuery(
+        'UPDATE Users SET FailedLoginAttempts = 0, LockedUntil = NULL WHERE UserID = ?',
+        [userId]
+    );
+}
+
+/**
+ * Stamps LastLogin when a session is actually established (after any second factor)
+ * @param {number} userId - Account that logged in
+ */
+async function touchLastLogin(userId) {
+    await executeQuery('UPDATE Users SET LastLogin = NOW() WHERE UserID = ?', [userId]);
+}
+
+/**
+ * Removes a lockout (admin action)
+ * @param {number} userId - Account to unlock
+ * @returns {Promise<boolean>} - False if the user does not exist
+ */
+async function unlockAccount(userId) {
+    const result = await executeQuery(
+        'UPDATE Users SET FailedLoginAttempts = 0, LockedUntil = NULL WHERE UserID = ?',
+        [userId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Progressive delay: nothing for the first couple of failures, then doubling up to MAX_DELAY_MS
+ * @param {number} failures - Number of recent failures
+ * @returns {number} - Delay in milliseconds
+ */
+function getDelayMs(failures) {
+    if (failures < 3) {
+        return 0;
+    }
+    return Math.min(1000 * Math.pow(2, failures - 3), MAX_DELAY_MS);
+}
+
+module.exports = {
+    MAX_IP_FAILURES,
+    LOCKOUT_MINUTES,
+    recordAttempt,
+    getRecentIpFailures,
+    registerFailure,
+    registerSuccess,
+    touchLastLogin,
+    unlockAccount,
+    getDelayMs
+};
@@ -0,0 +1,69 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+/**
+ * Builds the default transport from environment variables.
+ * With SMTP_HOST set, mail goes to that server (e.g. a local SMTP catcher
+ * such as MailHog on port 1025); otherwise messages are only logged, with their
+ * body (which can hold verification and reset links) only in development.
+ */
+function createDefaultTransport() {
+    if (process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASSWORD
+            } : undefined
+        });
+    }
+    return nodemailer.createTransport({ jsonTransport: true });
+}
+
+let transport = createDefaultTransport();
+
+/**
+ * Replaces the active transport (any object with a nodemailer-style sendMail)
+ * @param {object} newTransport - Transport to use for subsequent messages
+ */
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+/**
+ * Sends an email through the active transport
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<object>} - Transport delivery info
+ */
+async function sendMail({ to, subject, text, html }) {
+    const info = await transport.sendMail({
+        from: process.env.MAIL_FROM || 'NASCON <no-reply@nascon.com>',
+        to,
+        subject,
+        text,
+        html
+    });
+    if (!process.env.SMTP_HOST) {
+        const logged = process.env.NODE_ENV === 'development' ? { to, subject, text } : { to, subject };
+        console.log('Mail (not delivered, SMTP_HOST unset):', logged);
+    }
+    return info;
+}
+
+/**
+ * Builds an absolute URL for links sent by email
+ * @param {string} path - Path starting with '/'
+ * @returns {string}
+ */
+function appUrl(path) {
+    const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return base.replace(/\/$/, '') + path;
+}
+
+module.exports = {
+    sendMail,
+    setTransport,
+    appUrl
+};
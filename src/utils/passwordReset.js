@@ -0,0 +1,76 @@
+const { executeQuery } = require('../config/database');
+const { generateToken } = require('./tokens');
+const { sendMail, appUrl } = require('./mailer');
+require('dotenv').config();
+
+// How long an emailed reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+// Invites to imported accounts stay valid longer than ordinary reset links
+const INVITE_TOKEN_TTL_HOURS = parseInt(process.env.USER_INVITE_TTL_HOURS, 10) || 72;
+
+/**
+ * Issues a new single-use reset token, superseding older ones
+ * @param {number} userId - Users.UserID
+ * @param {number} ttlMinutes - Lifetime of the link
+ * @returns {Promise<string>} - Absolute URL of the reset page
+ */
+async function issueResetLink(userId, ttlMinutes) {
+    // Only the most recent link should work
+    await executeQuery(
+        'UPDATE PasswordResetTokens SET UsedAt = NOW() WHERE UserID = ? AND UsedAt IS NULL',
+        [userId]
+    );
+
+    const { token, tokenHash } = generateToken();
+    await executeQuery(`
+        INSERT INTO PasswordResetTokens (UserID, TokenHash, ExpiresAt)
+        VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+    `, [userId, tokenHash, ttlMinutes]);
+
+    return appUrl(`/login/reset/${token}`);
+}
+
+/**
+ * Issues a new single-use reset token (superseding older ones) and emails the link
+ * @param {object} user - { UserID, Name, Email }
+ * @param {object} options - { forced: true when an administrator requires the reset }
+ */
+async function sendPasswordResetEmail(user, { forced = false } = {}) {
+    const resetUrl = await issueResetLink(user.UserID, RESET_TOKEN_TTL_MINUTES);
+    const intro = forced
+        ? 'An administrator has required you to choose a new password before you can log in again.'
+        : 'Use the link below to choose a new password.';
+    await sendMail({
+        to: user.Email,
+        subject: 'Reset your NASCON password',
+        text: `Hi ${user.Name},\n\n${intro} ` +
+            `The link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n${resetUrl}\n\n` +
+            (forced
+                ? 'If the link expires, request a new one from the "Forgot password" page.'
+                : 'If you did not request this, you can ignore this email.')
+    });
+}
+
+/**
+ * Emails an account created by an administrator a link to set its first password
+ * @param {object} user - { UserID, Name, Email, Role }
+ */
+async function sendInviteEmail(user) {
+    const setPasswordUrl = await issueResetLink(user.UserID, INVITE_TOKEN_TTL_HOURS * 60);
+    await sendMail({
+        to: user.Email,
+        subject: 'You have been invited to NASCON',
+        text: `Hi ${user.Name},\n\nA NASCON account has been created for you` +
+            (user.Role ? ` with the ${user.Role} role` : '') + '. ' +
+            `Choose a password to activate it. The link expires in ${INVITE_TOKEN_TTL_HOURS} hours ` +
+            `and can only be used once.\n\n${setPasswordUrl}\n\n` +
+            'If the link expires, request a new one from the "Forgot password" page.'
+    });
+}
+
+module.exports = {
+    RESET_TOKEN_TTL_MINUTES,
+    INVITE_TOKEN_TTL_HOURS,
+    sendPasswordResetEmail,
+    sendInviteEmail
+};
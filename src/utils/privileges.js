@@ -0,0 +1,75 @@
+const { executeQuery } = require('../config/database');
+
+/**
+ * Loads a user's effective privileges: the role's privileges plus per-user
+ * grants, minus per-user denies. Called on every request so that changes made
+ * in the roles admin apply immediately.
+ * @param {number} userId - Users.UserID
+ * @param {number} roleId - Users.RoleID
+ * @returns {Promise<object>} - Nested object: { Resource: { action: true } }
+ */
+async function loadPrivileges(userId, roleId) {
+    const rolePrivs = await executeQuery(
+        'SELECT Resource, Action FROM RolePrivileges WHERE RoleID = ?',
+        [roleId]
+    );
+    const userPrivs = await executeQuery(
+        'SELECT Resource, Action, Effect FROM UserPrivileges WHERE UserID = ?',
+        [userId]
+    );
+
+    const privileges = {};
+    for (const priv of rolePrivs.concat(userPrivs.filter(p => p.Effect === 'grant'))) {
+        if (!privileges[priv.Resource]) privileges[priv.Resource] = {};
+        privileges[priv.Resource][priv.Action] = true;
+    }
+    for (const priv of userPrivs.filter(p => p.Effect === 'deny')) {
+        if (privileges[priv.Resource]) {
+            delete privileges[priv.Resource][priv.Action];
+            if (Object.keys(privileges[priv.Resource]).length === 0) {
+                delete privileges[priv.Resource];
+            }
+        }
+    }
+    return privileges;
+}
+
+/**
+ * Builds the effective privilege matrix for a user, showing where each entry comes from
+ * @param {number} userId - Users.UserID
+ * @param {number} roleId - Users.RoleID
+ * @returns {Promise<Array<{Resource: string, Action: string, FromRole: boolean, Override: string|null, Effective: boolean}>>}
+ */
+async function getPrivilegeMatrix(userId, roleId) {
+    const rolePrivs = await executeQuery(
+        'SELECT Resource, Action FROM RolePrivileges WHERE RoleID = ?',
+        [roleId]
+    );
+    const userPrivs = await executeQuery(
+        'SELECT Resource, Action, Effect FROM UserPrivileges WHERE UserID = ?',
+        [userId]
+    );
+
+    const matrix = new Map();
+    const entry = (resource, action) => {
+        const key = `${resource}.${action}`;
+        if (!matrix.has(key)) {
+            matrix.set(key, { Resource: resource, Action: action, FromRole: false, Override: null });
+        }
+        return matrix.get(key);
+    };
+    rolePrivs.forEach(p => { entry(p.Resource, p.Action).FromRole = true; });
+    userPrivs.forEach(p => { entry(p.Resource, p.Action).Override = p.Effect; });
+
+    return Array.from(matrix.values())
+        .map(row => ({
+            ...row,
+            Effective: row.Override ? row.Override === 'grant' : row.FromRole
+        }))
+        .sort((a, b) => a.Resource.localeCompare(b.Resource) || a.Action.localeCompare(b.Action));
+}
+
+module.exports = {
+    loadPrivileges,
+    getPrivilegeMatrix
+};
@@ -0,0 +1,211 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+const { cancelRegistration } = require('./waitlist');
+const { OPEN_STATUSES } = require('./registrationTransfers');
+
+// Policy published on /faq/refund, used for events without their own rules
+const DEFAULT_REFUND_RULES = [
+    { MinDaysBefore: 30, RefundPercent: 100 },
+    { MinDaysBefore: 15, RefundPercent: 75 },
+    { MinDaysBefore: 7, RefundPercent: 50 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registration statuses a participant can still cancel
+const CANCELLABLE_STATUSES = ['pending', 'confirmed', 'waitlisted'];
+
+/**
+ * Parses a policy written as "days:percent" pairs, e.g. "30:100, 15:75, 7:50".
+ * Cancelling with fewer days left than the smallest entry gives no refund.
+ * @param {string} text - Policy as typed in the event form
+ * @returns {Array<{MinDaysBefore: number, RefundPercent: number}>} - Sorted, most days first; empty for blank input
+ * @throws {Error} - With status 400 when the text is malformed
+ */
+function parseRefundPolicy(text) {
+    const entries = String(text || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const rules = entries.map(entry => {
+        const match = /^(\d{1,3})\s*:\s*(\d{1,3})%?$/.exec(entry);
+        if (!match || Number(match[2]) > 100) {
+            throw Object.assign(
+                new Error(`Invalid refund rule "${entry}"; use days:percent pairs such as 30:100, 15:75`),
+                { status: 400 }
+            );
+        }
+        return { MinDaysBefore: Number(match[1]), RefundPercent: Number(match[2]) };
+    });
+
+    if (new Set(rules.map(rule => rule.MinDaysBefore)).size !== rules.length) {
+        throw Object.assign(new Error('Each number of days may appear only once in the refund policy'), { status: 400 });
+    }
+    return rules.sort((a, b) => b.MinDaysBefore - a.MinDaysBefore);
+}
+
+/**
+ * Writes rules back in the form parseRefundPolicy reads
+ * @param {Array} rules - Refund rules
+ * @returns {string}
+ */
+function formatRefundPolicy(rules) {
+    return rules.map(rule => `${rule.MinDaysBefore}:${rule.RefundPercent}`).join(', ');
+}
+
+/**
+ * An event's refund rules, most days first, falling back to the default policy
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<{rules: Array, isDefault: boolean}>}
+ */
+async function getRefundRules(eventId) {
+    const rules = await executeQuery(`
+        SELECT MinDaysBefore, RefundPercent
+        FROM EventRefundRules
+        WHERE EventID = ?
+        ORDER BY MinDaysBefore DESC
+    `, [eventId]);
+
+    return rules.length > 0
+        ? { rules, isDefault: false }
+        : { rules: DEFAULT_REFUND_RULES, isDefault: true };
+}
+
+/**
+ * Replaces an event's refund rules; an empty list reverts it to the default policy
+ * @param {number} eventId - Events.EventID
+ * @param {Array} rules - Result of parseRefundPolicy
+ */
+async function saveRefundRules(eventId, rules) {
+    await executeTransaction([
+        { query: 'DELETE FROM EventRefundRules WHERE EventID = ?', params: [eventId] },
+        ...rules.map(rule => ({
+            query: 'INSERT INTO EventRefundRules (EventID, MinDaysBefore, RefundPercent) VALUES (?, ?, ?)',
+            params: [eventId, rule.MinDaysBefore, rule.RefundPercent]
+        }))
+    ]);
+}
+
+/**
+ * Loads a user's registration with what is needed to cancel it
+ * @param {number} registrationId - Registrations.RegistrationID
+ * @param {number} userId - Must own the registration
+ * @returns {Promise<object|undefined>}
+ */
+async function findCancellableRegistration(registrationId, userId) {
+    const [registration] = await executeQuery(`
+        SELECT r.RegistrationID, r.EventID, r.UserID, r.Status, r.PaymentStatus,
+               e.Name AS EventName, e.Status AS EventStatus,
+               TIMESTAMP(e.Date, e.Time) AS EventStartsAt
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        WHERE r.RegistrationID = ? AND r.UserID = ?
+    `, [registrationId, userId]);
+    return registration;
+}
+
+/**
+ * Works out what cancelling a registration now would refund
+ * @param {object} registration - Result of findCancellableRegistration
+ * @returns {Promise<{daysBefore: number, percent: number, amount: number, payment: object|null}>}
+ * @throws {Error} - With status 409 when the registration can no longer be cancelled
+ */
+async function quoteRefund(registration) {
+    if (!CANCELLABLE_STATUSES.includes(registration.Status)) {
+        throw Object.assign(new Error(`A ${registration.Status} registration cannot be cancelled`), { status: 409 });
+    }
+    if (['Completed', 'Cancelled'].includes(registration.EventStatus)) {
+        throw Object.assign(new Error(`The event is ${registration.EventStatus.toLowerCase()}`), { status: 409 });
+    }
+    const msLeft = new Date(registration.EventStartsAt) - Date.now();
+    if (msLeft <= 0) {
+        throw Object.assign(new Error('The event has already started'), { status: 409 });
+    }
+
+    // The completed payment that has not been refunded yet
+    const [payment] = await executeQuery(`
+        SELECT p.PaymentID, p.Amount, p.PaymentMethod
+        FROM Payments p
+        WHERE p.RelatedRegistrationID = ? AND p.Status = 'completed' AND p.RefundOfPaymentID IS NULL
+          AND NOT EXISTS (SELECT 1 FROM Payments refund WHERE refund.RefundOfPaymentID = p.PaymentID)
+        ORDER BY p.PaymentDate DESC
+        LIMIT 1
+    `, [registration.RegistrationID]);
+
+    const daysBefore = Math.floor(msLeft / DAY_MS);
+    const { rules } = await getRefundRules(registration.EventID);
+    const rule = rules.find(candidate => daysBefore >= candidate.MinDaysBefore);
+    const percent = payment && rule ? rule.RefundPercent : 0;
+
+    return {
+        daysBefore,
+        percent,
+        amount: payment ? Math.round(payment.Amount * percent) / 100 : 0,
+        payment: payment || null
+    };
+}
+
+/**
+ * Cancels a registration, refunds its payment according to the event's rules and
+ * gives the place to the waitlist, all in one transaction
+ * @param {object} registration - Result of findCancellableRegistration
+ * @param {object} options - { reason }
+ * @returns {Promise<{refund: object, promoted: object|null}>}
+ */
+async function cancelWithRefund(registration, { reason = null } = {}) {
+    const refund = await quoteRefund(registration);
+
+    const queries = [
+        {
+            query: 'UPDATE Registrations SET CancelledAt = NOW(), CancellationReason = ? WHERE RegistrationID = ?',
+            params: [reason, registration.RegistrationID]
+        },
+        {
+            // A cancelled place can no longer be offered to someone else
+            query: `
+                UPDATE RegistrationTransfers SET Status = 'cancelled'
+                WHERE RegistrationID = ? AND Status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+            `,
+            params: [registration.RegistrationID, ...OPEN_STATUSES]
+        }
+    ];
+    if (refund.amount > 0) {
+        queries.push(
+            {
+                // Skipped if a concurrent cancellation already refunded this payment
+                query: `
+                    INSERT INTO Payments (
+                        Amount, PaymentMethod, Status, Description, PayerUserID,
+                        RelatedRegistrationID, RefundOfPaymentID
+                    )
+                    SELECT ?, ?, 'refunded', ?, ?, ?, ?
+                    FROM DUAL
+                    WHERE NOT EXISTS (SELECT 1 FROM Payments WHERE RefundOfPaymentID = ?)
+                `,
+                params: [
+                    refund.amount,
+                    refund.payment.PaymentMethod,
+                    `${refund.percent}% refund of payment #${refund.payment.PaymentID} for ${registration.EventName}`,
+                    registration.UserID,
+                    registration.RegistrationID,
+                    refund.payment.PaymentID,
+                    refund.payment.PaymentID
+                ]
+            },
+            {
+                query: "UPDATE Registrations SET PaymentStatus = 'refunded' WHERE RegistrationID = ?",
+                params: [registration.RegistrationID]
+            }
+        );
+    }
+
+    const { promoted } = await cancelRegistration(registration, queries);
+    return { refund, promoted };
+}
+
+module.exports = {
+    DEFAULT_REFUND_RULES,
+    parseRefundPolicy,
+    formatRefundPolicy,
+    getRefundRules,
+    saveRefundRules,
+    findCancellableRegistration,
+    quoteRefund,
+    cancelWithRefund
+};
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { executeQuery, executeTransaction } = require('../config/database');
+
+const QUESTION_TYPES = ['text', 'choice', 'checkbox', 'file'];
+
+const MAX_QUESTIONS = 20;
+const MAX_ANSWER_LENGTH = 1000;
+
+// File answers are kept out of public/ and only served to the event's organizers
+const UPLOAD_DIR = process.env.REGISTRATION_UPLOAD_DIR ||
+    path.join(__dirname, '..', '..', 'uploads', 'registration-answers');
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const ALLOWED_FILE_TYPES = /\.(pdf|png|jpe?g|txt|docx?|zip)$/i;
+
+const invalid = (message, details) => Object.assign(new Error(message), { status: 400, details });
+
+/**
+ * Parses a question set written one question per line as "prompt | type[: options] | required", e.g.
+ *   GitHub handle | text | required
+ *   T-shirt size | choice: S, M, L, XL | required
+ *   Dietary needs | checkbox: Vegetarian, Vegan, Halal
+ *   CV | file
+ * A checkbox without options is a single yes/no tick.
+ * @param {string} text - Question set as typed in the event form
+ * @returns {Array<{Prompt: string, QuestionType: string, Options: string[], IsRequired: boolean}>}
+ * @throws {Error} - With status 400 when a line is malformed
+ */
+function parseQuestionSet(text) {
+    const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length > MAX_QUESTIONS) {
+        throw invalid(`An event can have at most ${MAX_QUESTIONS} registration questions`);
+    }
+
+    const questions = lines.map(line => {
+        const [prompt, typeSpec = 'text', flag = '', ...rest] = line.split('|').map(part => part.trim());
+        const [type, optionList = ''] = typeSpec.split(/:(.*)/s).map(part => part.trim());
+        const questionType = type.toLowerCase();
+        const options = optionList.split(',').map(option => option.trim()).filter(Boolean);
+
+        if (!prompt || prompt.length > 255 || rest.length > 0) {
+            throw invalid(`Invalid question "${line}"; use: prompt | type | required`);
+        }
+        if (!QUESTION_TYPES.includes(questionType)) {
+            throw invalid(`Unknown question type "${type}" in "${line}"; use ${QUESTION_TYPES.join(', ')}`);
+        }
+        if (questionType === 'choice' && options.length < 2) {
+            throw invalid(`The choice question "${prompt}" needs at least two options`);
+        }
+        if (['text', 'file'].includes(questionType) && options.length > 0) {
+            throw invalid(`The ${questionType} question "${prompt}" cannot have options`);
+        }
+        if (flag && flag.toLowerCase() !== 'required') {
+            throw invalid(`Unknown flag "${flag}" in "${line}"; only "required" is allowed`);
+        }
+
+        return { Prompt: prompt, QuestionType: questionType, Options: options, IsRequired: !!flag };
+    });
+
+    if (new Set(questions.map(question => question.Prompt.toLowerCase())).size !== questions.length) {
+        throw invalid('Each registration question must have a different prompt');
+    }
+    return questions;
+}
+
+/**
+ * Writes questions back in the form parseQuestionSet reads
+ * @param {Array} questions - Registration questions
+ * @returns {string}
+ */
+function formatQuestionSet(questions) {
+    return questions.map(question => [
+        question.Prompt,
+        question.Options.length > 0 ? `${question.QuestionType}: ${question.Options.join(', ')}` : question.QuestionType,
+        ...(question.IsRequired ? ['required'] : [])
+    ].join(' | ')).join('\n');
+}
+
+/**
+ * An event's registration questions in display order
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<Array>} - Rows with Options parsed into an array
+ */
+async function getQuestions(eventId) {
+    const questions = await executeQuery(`
+        SELECT QuestionID, Prompt, QuestionType, Options, IsRequired
+        FROM EventRegistrationQuestions
+        WHERE EventID = ?
+        ORDER BY SortOrder, QuestionID
+    `, [eventId]);
+
+    return questions.map(question => ({
+        ...question,
+        Options: question.Options ? JSON.parse(question.Options) : [],
+        IsRequired: !!question.IsRequired
+    }));
+}
+
+/**
+ * Replaces an event's question set. Questions whose prompt and type are unchanged keep their ID,
+ * and so their answers; a question whose type changed counts as a new one. Answers to removed
+ * questions are deleted with them, along with any files uploaded for them.
+ * @param {number} eventId - Events.EventID
+ * @param {Array} questions - Result of parseQuestionSet
+ */
+async function saveQuestions(eventId, questions) {
+    const existing = await getQuestions(eventId);
+    const questionKey = question => `${question.Prompt.toLowerCase()}|${question.QuestionType}`;
+    const existingByKey = new Map(existing.map(question => [questionKey(question), question]));
+    const kept = new Set();
+
+    const queries = questions.map((question, index) => {
+        const match = existingByKey.get(questionKey(question));
+        const options = question.Options.length > 0 ? JSON.stringify(question.Options) : null;
+        if (match) {
+            kept.add(match.QuestionID);
+            return {
+                query: `
+                    UPDATE EventRegistrationQuestions
+                    SET Prompt = ?, QuestionType = ?, Options = ?, IsRequired = ?, SortOrder = ?
+                    WHERE QuestionID = ?
+                `,
+                params: [question.Prompt, question.QuestionType, options, question.IsRequired, index, match.QuestionID]
+            };
+        }
+        return {
+            query: `
+                INSERT INTO EventRegistrationQuestions (EventID, Prompt, QuestionType, Options, IsRequired, SortOrder)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `,
+            params: [eventId, question.Prompt, question.QuestionType, options, question.IsRequired, index]
+        };
+    });
+
+    const removed = existing.filter(question => !kept.has(question.QuestionID));
+    const orphanedFiles = removed.length > 0
+        ? await executeQuery(`
+            SELECT StoredFileName
+            FROM RegistrationAnswers
+            WHERE QuestionID IN (${removed.map(() => '?').join(', ')}) AND StoredFileName IS NOT NULL
+        `, removed.map(question => question.QuestionID))
+        : [];
+    await executeTransaction([
+        ...removed.map(question => ({
+            query: 'DELETE FROM EventRegistrationQuestions WHERE QuestionID = ?',
+            params: [question.QuestionID]
+        })),
+        ...queries
+    ]);
+    await removeAnswerFiles(orphanedFiles);
+}
+
+/**
+ * Checks submitted answers against an event's questions. Answers are read from
+ * `question_<QuestionID>` fields of the body and, for file questions, of the uploaded files.
+ * @param {Array} questions - Result of getQuestions
+ * @param {object} body - Request body
+ * @param {Array} files - Files uploaded by multer (memory storage), if any
+ * @returns {Array<{QuestionID: number, AnswerText: string|null, file: object|null}>}
+ * @throws {Error} - With status 400 and a `details` list when answers are missing or invalid
+ */
+function validateAnswers(questions, body = {}, files = []) {
+    const errors = [];
+    const answers = [];
+
+    for (const question of questions) {
+        const field = `question_${question.QuestionID}`;
+        const raw = body[field];
+        const values = (Array.isArray(raw) ? raw : [raw])
+            .filter(value => value !== undefined && value !== null)
+            .map(value => String(value).trim())
+            .filter(Boolean);
+
+        if (question.QuestionType === 'file') {
+            const file = (files || []).find(upload => upload.fieldname === field);
+            if (!file) {
+                if (question.IsRequired) {
+                    errors.push(`"${question.Prompt}" requires a file`);
+                }
+                continue;
+            }
+            if (!ALLOWED_FILE_TYPES.test(file.originalname) || file.size > MAX_FILE_BYTES) {
+                errors.push(`"${question.Prompt}" must be a PDF, image, text, Word or ZIP file of at most ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+                continue;
+            }
+            answers.push({ QuestionID: question.QuestionID, AnswerText: null, file });
+            continue;
+        }
+
+        if (values.length === 0) {
+            if (question.IsRequired) {
+                errors.push(`"${question.Prompt}" is required`);
+            }
+            continue;
+        }
+
+        let answerText;
+        if (question.QuestionType === 'text') {
+            answerText = values[0];
+            if (answerText.length > MAX_ANSWER_LENGTH) {
+                errors.push(`"${question.Prompt}" must be at most ${MAX_ANSWER_LENGTH} characters`);
+                continue;
+            }
+        } else if (question.QuestionType === 'choice') {
+            answerText = values[0];
+            if (values.length > 1 || !question.Options.includes(answerText)) {
+                errors.push(`"${question.Prompt}" must be one of: ${question.Options.join(', ')}`);
+                continue;
+            }
+        } else if (question.Options.length === 0) {
+            // A single tick box; unticked boxes are simply not submitted
+            answerText = 'Yes';
+        } else {
+            const unknown = values.filter(value => !question.Options.includes(value));
+            if (unknown.length > 0) {
+                errors.push(`"${question.Prompt}" has an unknown option: ${unknown.join(', ')}`);
+                continue;
+            }
+            answerText = question.Options.filter(option => values.includes(option)).join(', ');
+        }
+        answers.push({ QuestionID: question.QuestionID, AnswerText: answerText, file: null });
+    }
+
+    if (errors.length > 0) {
+        throw invalid(errors[0], errors);
+    }
+    return answers;
+}
+
+/**
+ * Writes uploaded answer files to UPLOAD_DIR under random names, recorded on each answer as StoredFileName
+ * @param {Array} answers - Result of validateAnswers
+ */
+async function storeAnswerFiles(answers) {
+    const withFiles = answers.filter(answer => answer.file);
+    if (withFiles.length === 0) {
+        return;
+    }
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
+    for (const answer of withFiles) {
+        answer.StoredFileName = crypto.randomBytes(16).toString('hex') + path.extname(answer.file.originalname).toLowerCase();
+        await fs.writeFile(path.join(UPLOAD_DIR, answer.StoredFileName), answer.file.buffer);
+    }
+}
+
+/**
+ * Deletes files written by storeAnswerFiles, when the registration they belong to was not saved
+ * or their question was removed
+ * @param {Array} answers - Answers passed to storeAnswerFiles, or RegistrationAnswers rows
+ */
+async function removeAnswerFiles(answers) {
+    for (const answer of answers.filter(candidate => candidate.StoredFileName)) {
+        await fs.unlink(path.join(UPLOAD_DIR, answer.StoredFileName)).catch(() => {});
+    }
+}
+
+/**
+ * Queries that save answers for the registration whose ID is in the @new_registration session variable
+ * @param {Array} answers - Result of validateAnswers, after storeAnswerFiles
+ * @returns {Array<{query: string, params: Array}>}
+ */
+function answerQueries(answers) {
+    return answers.map(answer => ({
+        query: `
+            INSERT INTO RegistrationAnswers (RegistrationID, QuestionID, AnswerText, FileName, StoredFileName)
+            VALUES (@new_registration, ?, ?, ?, ?)
+        `,
+        params: [
+            answer.QuestionID,
+            answer.AnswerText,
+            answer.file ? answer.file.originalname.slice(0, 255) : null,
+            answer.StoredFileName || null
+        ]
+    }));
+}
+
+/**
+ * All answers given for an event, for the participant list and its export
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<Map<number, object>>} - RegistrationID => { QuestionID => answer row }
+ */
+async function getAnswersByRegistration(eventId) {
+    const rows = await executeQuery(`
+        SELECT a.AnswerID, a.RegistrationID, a.QuestionID, a.AnswerText, a.FileName
+        FROM RegistrationAnswers a
+        JOIN Registrations r ON a.RegistrationID = r.RegistrationID
+        WHERE r.EventID = ?
+    `, [eventId]);
+
+    const byRegistration = new Map();
+    for (const row of rows) {
+        if (!byRegistration.has(row.RegistrationID)) {
+            byRegistration.set(row.RegistrationID, {});
+        }
+        byRegistration.get(row.RegistrationID)[row.QuestionID] = row;
+    }
+    return byRegistration;
+}
+
+/**
+ * Finds an uploaded answer file of an event
+ * @param {number} eventId - Events.EventID
+ * @param {number} answerId - RegistrationAnswers.AnswerID
+ * @returns {Promise<{path: string, fileName: string}|null>}
+ */
+async function getAnswerFile(eventId, answerId) {
+    const [answer] = await executeQuery(`
+        SELECT a.FileName, a.StoredFileName
+        FROM RegistrationAnswers a
+        JOIN Registrations r ON a.RegistrationID = r.RegistrationID
+        WHERE a.AnswerID = ? AND r.EventID = ? AND a.StoredFileName IS NOT NULL
+    `, [answerId, eventId]);
+
+    return answer
+        ? { path: path.join(UPLOAD_DIR, answer.StoredFileName), fileName: answer.FileName }
+        : null;
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    MAX_FILE_BYTES,
+    parseQuestionSet,
+    formatQuestionSet,
+    getQuestions,
+    saveQuestions,
+    validateAnswers,
+    storeAnswerFiles,
+    removeAnswerFiles,
+    answerQueries,
+    getAnswersByRegistration,
+    getAnswerFile
+};
@@ -0,0 +1,368 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+const { sendMail, appUrl } = require('./mailer');
+
+// Registration statuses that hold a place which can be handed over
+const TRANSFERABLE_STATUSES = ['pending', 'confirmed'];
+
+// Transfer statuses that still block a new transfer of the same registration
+const OPEN_STATUSES = ['pending_recipient', 'pending_approval'];
+
+const fail = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Loads a transfer with its registration and event
+ * @param {number} transferId - RegistrationTransfers.TransferID
+ * @returns {Promise<object|undefined>}
+ */
+async function getTransfer(transferId) {
+    const [transfer] = await executeQuery(`
+        SELECT t.*, r.EventID, r.TeamID, r.Status AS RegistrationStatus,
+               e.Name AS EventName, e.OrganizerID, e.TransferRequiresApproval,
+               sender.Name AS FromName, recipient.Name AS ToName, recipient.Email AS ToEmail
+        FROM RegistrationTransfers t
+        JOIN Registrations r ON t.RegistrationID = r.RegistrationID
+        JOIN Events e ON r.EventID = e.EventID
+        JOIN Users sender ON t.FromUserID = sender.UserID
+        JOIN Users recipient ON t.ToUserID = recipient.UserID
+        WHERE t.TransferID = ?
+    `, [transferId]);
+    return transfer;
+}
+
+/**
+ * Offers a registration to another user, who has to accept it
+ * @param {number} registrationId - Registrations.RegistrationID
+ * @param {number} fromUserId - Current holder; must own the registration
+ * @param {string} email - Recipient's email address
+ * @returns {Promise<{transferId: number, recipient: object}>}
+ * @throws {Error} - With status 400, 404 or 409 when the transfer is not possible
+ */
+async function requestTransfer(registrationId, fromUserId, email) {
+    const [registration] = await executeQuery(`
+        SELECT r.RegistrationID, r.EventID, r.Status, e.Name AS EventName, e.Status AS EventStatus,
+               TIMESTAMP(e.Date, e.Time) AS EventStartsAt
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        WHERE r.RegistrationID = ? AND r.UserID = ?
+    `, [registrationId, fromUserId]);
+    if (!registration) {
+        throw fail('Registration not found', 404);
+    }
+    if (!TRANSFERABLE_STATUSES.includes(registration.Status)) {
+        throw fail(`A ${registration.Status} registration cannot be transferred`, 409);
+    }
+    if (!['Published', 'Ongoing'].includes(registration.EventStatus) || new Date(registration.EventStartsAt) <= new Date()) {
+        throw fail('Registrations can only be transferred before the event starts', 409);
+    }
+
+    const [recipient] = await executeQuery(
+        "SELECT UserID, Name, Email FROM Users WHERE Email = ? AND Status = 'active' AND AnonymizedAt IS NULL",
+        [String(email || '').trim()]
+    );
+    if (!recipient) {
+        throw fail('No active account uses that email address', 404);
+    }
+    if (recipient.UserID === fromUserId) {
+        throw fail('You cannot transfer a registration to yourself', 400);
+    }
+
+    // Registrations are unique per user and event, whatever their status
+    const [existing] = await executeQuery(
+        'SELECT RegistrationID FROM Registrations WHERE UserID = ? AND EventID = ?',
+        [recipient.UserID, registration.EventID]
+    );
+    if (existing) {
+        throw fail(`${recipient.Name} already has a registration for this event`, 409);
+    }
+
+    const [open] = await executeQuery(
+        `SELECT TransferID FROM RegistrationTransfers WHERE RegistrationID = ? AND Status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+        [registrationId, ...OPEN_STATUSES]
+    );
+    if (open) {
+        throw fail('This registration already has a transfer in progress', 409);
+    }
+
+    const [result] = await executeTransaction([
+        {
+            query: `
+                INSERT INTO RegistrationTransfers (RegistrationID, FromUserID, ToUserID, Status)
+                VALUES (?, ?, ?, 'pending_recipient')
+            `,
+            params: [registrationId, fromUserId, recipient.UserID]
+        },
+        {
+            query: `
+                INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                VALUES (?, 'registration_transfer_offer', ?, ?)
+            `,
+            params: [
+                recipient.UserID,
+                `You have been offered a place for ${registration.EventName}. Accept or decline it on your dashboard.`,
+                registration.EventID
+            ]
+        }
+    ]);
+
+    try {
+        await sendMail({
+            to: recipient.Email,
+            subject: `You have been offered a place for ${registration.EventName}`,
+            text: `Hi ${recipient.Name},\n\nA registration for ${registration.EventName} is being transferred to you. ` +
+                `Accept or decline it on your dashboard: ${appUrl('/me')}`
+        });
+    } catch (error) {
+        console.error('Error sending transfer offer email:', error);
+    }
+
+    return { transferId: result.insertId, recipient };
+}
+
+/**
+ * Hands the registration to the recipient: its UserID changes (payments stay linked to the
+ * registration), and the team membership and leadership follow for team events
+ * @param {object} transfer - Result of getTransfer
+ * @param {number|null} reviewerId - Organizer who approved it, if approval was needed
+ */
+async function completeTransfer(transfer, reviewerId = null) {
+    // Everything after the owner change is skipped (@transfer_moved = 0) when the registration
+    // already changed hands, was cancelled or refunded, or the transfer was withdrawn in the meantime
+    const queries = [
+        { query: 'SELECT EventID FROM Events WHERE EventID = ? FOR UPDATE', params: [transfer.EventID] },
+        {
+            query: `
+                UPDATE Registrations SET UserID = ?
+                WHERE RegistrationID = ? AND UserID = ?
+                  AND Status IN (${TRANSFERABLE_STATUSES.map(() => '?').join(', ')})
+                  AND EXISTS (
+                      SELECT 1 FROM RegistrationTransfers
+                      WHERE TransferID = ? AND Status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+                  )
+            `,
+            params: [
+                transfer.ToUserID, transfer.RegistrationID, transfer.FromUserID, ...TRANSFERABLE_STATUSES,
+                transfer.TransferID, ...OPEN_STATUSES
+            ]
+        },
+        { query: 'SET @transfer_moved = ROW_COUNT()', params: [] }
+    ];
+    if (transfer.TeamID) {
+        queries.push(
+            {
+                query: 'UPDATE TeamMembers SET UserID = ? WHERE TeamID = ? AND UserID = ? AND @transfer_moved = 1',
+                params: [transfer.ToUserID, transfer.TeamID, transfer.FromUserID]
+            },
+            {
+                query: 'UPDATE Teams SET LeaderID = ? WHERE TeamID = ? AND LeaderID = ? AND @transfer_moved = 1',
+                params: [transfer.ToUserID, transfer.TeamID, transfer.FromUserID]
+            }
+        );
+    }
+    queries.push(
+        {
+            query: `
+                UPDATE RegistrationTransfers
+                SET Status = 'completed', CompletedAt = NOW(), RespondedAt = COALESCE(RespondedAt, NOW()),
+                    ReviewedBy = COALESCE(?, ReviewedBy), ReviewedAt = IF(? IS NULL, ReviewedAt, NOW())
+                WHERE TransferID = ? AND @transfer_moved = 1
+            `,
+            params: [reviewerId, reviewerId, transfer.TransferID]
+        },
+        {
+            query: `
+                INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                SELECT ?, 'registration_transfer_completed', ?, ? FROM DUAL WHERE @transfer_moved = 1
+                UNION ALL
+                SELECT ?, 'registration_transfer_completed', ?, ? FROM DUAL WHERE @transfer_moved = 1
+            `,
+            params: [
+                transfer.FromUserID, `Your registration for ${transfer.EventName} now belongs to ${transfer.ToName}.`, transfer.EventID,
+                transfer.ToUserID, `You are now registered for ${transfer.EventName}.`, transfer.EventID
+            ]
+        }
+    );
+
+    let results;
+    try {
+        results = await executeTransaction(queries);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw fail(`${transfer.ToName} already has a registration or team place for this event`, 409);
+        }
+        throw error;
+    }
+    if (results[1].affectedRows === 0) {
+        throw fail('The registration has been cancelled or changed hands, or the transfer was withdrawn', 409);
+    }
+}
+
+/**
+ * Recipient accepts or declines an offered registration. When the event needs organizer
+ * approval, acceptance waits for it; otherwise the transfer completes immediately.
+ * @param {number} transferId - RegistrationTransfers.TransferID
+ * @param {number} userId - Must be the recipient
+ * @param {boolean} accept - false to decline
+ * @returns {Promise<string>} - The transfer's new status
+ */
+async function respondToTransfer(transferId, userId, accept) {
+    const transfer = await getTransfer(transferId);
+    if (!transfer || transfer.ToUserID !== userId) {
+        throw fail('Transfer not found', 404);
+    }
+    if (transfer.Status !== 'pending_recipient') {
+        throw fail('This transfer is no longer waiting for you', 409);
+    }
+    if (accept && !TRANSFERABLE_STATUSES.includes(transfer.RegistrationStatus)) {
+        throw fail(`The registration is ${transfer.RegistrationStatus} and can no longer be transferred`, 409);
+    }
+
+    if (!accept) {
+        await executeTransaction([
+            {
+                query: "UPDATE RegistrationTransfers SET Status = 'declined', RespondedAt = NOW() WHERE TransferID = ? AND Status = 'pending_recipient'",
+                params: [transferId]
+            },
+            {
+                query: `
+                    INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                    VALUES (?, 'registration_transfer_declined', ?, ?)
+                `,
+                params: [transfer.FromUserID, `${transfer.ToName} declined your registration for ${transfer.EventName}.`, transfer.EventID]
+            }
+        ]);
+        return 'declined';
+    }
+
+    if (transfer.TransferRequiresApproval) {
+        const queries = [{
+            query: "UPDATE RegistrationTransfers SET Status = 'pending_approval', RespondedAt = NOW() WHERE TransferID = ? AND Status = 'pending_recipient'",
+            params: [transferId]
+        }];
+        if (transfer.OrganizerID) {
+            queries.push({
+                query: `
+                    INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                    VALUES (?, 'registration_transfer_approval', ?, ?)
+                `,
+                params: [
+                    transfer.OrganizerID,
+                    `${transfer.FromName} wants to transfer their ${transfer.EventName} registration to ${transfer.ToName}. Review it on the event page.`,
+                    transfer.EventID
+                ]
+            });
+        }
+        await executeTransaction(queries);
+        return 'pending_approval';
+    }
+
+    await completeTransfer(transfer);
+    return 'completed';
+}
+
+/**
+ * Organizer decision on an accepted transfer
+ * @param {object} transfer - Result of getTransfer, in pending_approval
+ * @param {number} reviewerId - Users.UserID of the organizer
+ * @param {boolean} approve - false to reject
+ * @returns {Promise<string>} - The transfer's new status
+ */
+async function reviewTransfer(transfer, reviewerId, approve) {
+    if (transfer.Status !== 'pending_approval') {
+        throw fail('This transfer is not waiting for approval', 409);
+    }
+    if (approve && !TRANSFERABLE_STATUSES.includes(transfer.RegistrationStatus)) {
+        throw fail(`The registration is ${transfer.RegistrationStatus} and can no longer be transferred`, 409);
+    }
+    if (approve) {
+        await completeTransfer(transfer, reviewerId);
+        return 'completed';
+    }
+
+    await executeTransaction([
+        {
+            query: "UPDATE RegistrationTransfers SET Status = 'rejected', ReviewedBy = ?, ReviewedAt = NOW() WHERE TransferID = ? AND Status = 'pending_approval'",
+            params: [reviewerId, transfer.TransferID]
+        },
+        {
+            query: `
+                INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                VALUES (?, 'registration_transfer_rejected', ?, ?), (?, 'registration_transfer_rejected', ?, ?)
+            `,
+            params: [
+                transfer.FromUserID, `The organizer did not approve transferring your ${transfer.EventName} registration.`, transfer.EventID,
+                transfer.ToUserID, `The organizer did not approve the ${transfer.EventName} registration transfer to you.`, transfer.EventID
+            ]
+        }
+    ]);
+    return 'rejected';
+}
+
+/**
+ * Holder withdraws a transfer that has not completed yet
+ * @param {number} registrationId - Registrations.RegistrationID
+ * @param {number} userId - Must be the holder
+ * @returns {Promise<boolean>} - false when there was nothing to withdraw
+ */
+async function cancelTransfer(registrationId, userId) {
+    const result = await executeQuery(`
+        UPDATE RegistrationTransfers
+        SET Status = 'cancelled'
+        WHERE RegistrationID = ? AND FromUserID = ? AND Status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+    `, [registrationId, userId, ...OPEN_STATUSES]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Open transfers a user is sending or receiving, for the dashboard
+ * @param {number} userId - Users.UserID
+ * @returns {Promise<{incoming: Array, outgoing: Array}>}
+ */
+async function listOpenTransfers(userId) {
+    const transfers = await executeQuery(`
+        SELECT t.TransferID, t.RegistrationID, t.Status, t.RequestedAt, t.FromUserID, t.ToUserID,
+               e.Name AS EventName, e.Date AS EventDate,
+               sender.Name AS FromName, recipient.Name AS ToName
+        FROM RegistrationTransfers t
+        JOIN Registrations r ON t.RegistrationID = r.RegistrationID
+        JOIN Events e ON r.EventID = e.EventID
+        JOIN Users sender ON t.FromUserID = sender.UserID
+        JOIN Users recipient ON t.ToUserID = recipient.UserID
+        WHERE (t.FromUserID = ? OR t.ToUserID = ?) AND t.Status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+        ORDER BY t.RequestedAt DESC
+    `, [userId, userId, ...OPEN_STATUSES]);
+
+    return {
+        incoming: transfers.filter(transfer => transfer.ToUserID === userId),
+        outgoing: transfers.filter(transfer => transfer.FromUserID === userId)
+    };
+}
+
+/**
+ * Transfers of an event's registrations that wait for the organizer
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<Array>}
+ */
+async function listTransfersAwaitingApproval(eventId) {
+    return executeQuery(`
+        SELECT t.TransferID, t.RequestedAt, t.RespondedAt,
+               sender.Name AS FromName, sender.Email AS FromEmail,
+               recipient.Name AS ToName, recipient.Email AS ToEmail
+        FROM RegistrationTransfers t
+        JOIN Registrations r ON t.RegistrationID = r.RegistrationID
+        JOIN Users sender ON t.FromUserID = sender.UserID
+        JOIN Users recipient ON t.ToUserID = recipient.UserID
+        WHERE r.EventID = ? AND t.Status = 'pending_approval'
+        ORDER BY t.RespondedAt ASC
+    `, [eventId]);
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    getTransfer,
+    requestTransfer,
+    respondToTransfer,
+    reviewTransfer,
+    cancelTransfer,
+    listOpenTransfers,
+    listTransfersAwaitingApproval
+};
@@ -0,0 +1,465 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { executeQuery, executeTransaction } = require('../config/database');
+require('dotenv').config();
+
+// Changing the secret invalidates every ticket already issued. There is no default:
+// with a known key anyone could sign tickets and attendee lists for any registration.
+// Without it the rest of the site still runs, but nothing ticket-related can be signed or checked.
+const TICKET_SECRET = process.env.TICKET_SECRET;
+if (!TICKET_SECRET) {
+    console.warn('Warning: TICKET_SECRET is not set; tickets and attendee lists cannot be issued or checked.');
+}
+
+// Version prefix, so the code format can change without misreading old tickets
+const TICKET_PREFIX = 'NT1';
+
+// Registration statuses that hold a place at the event
+const ADMITTED_STATUSES = ['pending', 'confirmed', 'checked_in'];
+
+/**
+ * HMAC-SHA256 of a value with TICKET_SECRET, base64url encoded
+ * @param {string} value - Text to sign
+ * @returns {string}
+ * @throws {Error} - With status 503 when TICKET_SECRET is not set
+ */
+function hmac(value) {
+    if (!TICKET_SECRET) {
+        throw Object.assign(new Error('Tickets are unavailable: TICKET_SECRET is not set'), { status: 503 });
+    }
+    return crypto.createHmac('sha256', TICKET_SECRET).update(value).digest('base64url');
+}
+
+/**
+ * HMAC of a ticket's registration, event and holder, base64url encoded and cut to 128 bits.
+ * The holder is signed but not printed, so a transferred registration voids the old holder's ticket.
+ * @param {number} registrationId - Registrations.RegistrationID
+ * @param {number} eventId - Events.EventID
+ * @param {number} userId - Registrations.UserID
+ * @returns {string}
+ */
+function sign(registrationId, eventId, userId) {
+    return hmac(`${TICKET_PREFIX}.${registrationId}.${eventId}.${userId}`).slice(0, 22);
+}
+
+/**
+ * The code printed in a registration's QR ticket: NT1.<registrationId>.<eventId>.<signature>
+ * @param {object} registration - { RegistrationID, EventID, UserID }
+ * @returns {string}
+ */
+function createTicketCode(registration) {
+    const signature = sign(registration.RegistrationID, registration.EventID, registration.UserID);
+    return `${TICKET_PREFIX}.${registration.RegistrationID}.${registration.EventID}.${signature}`;
+}
+
+/**
+ * Reads a scanned or typed ticket code. The signature is checked with verifyTicketCode
+ * once the registration it names has been looked up.
+ * @param {string} code - Ticket code
+ * @returns {{registrationId: number, eventId: number, signature: string}|null} - null when the code is malformed
+ */
+function parseTicketCode(code) {
+    const match = /^NT1\.(\d+)\.(\d+)\.([A-Za-z0-9_-]{22})$/.exec(String(code || '').trim());
+    if (!match) {
+        return null;
+    }
+    const [, registrationId, eventId, signature] = match;
+    return { registrationId: Number(registrationId), eventId: Number(eventId), signature };
+}
+
+/**
+ * Whether a parsed ticket was issued to a registration's current holder
+ * @param {object} ticket - Result of parseTicketCode
+ * @param {object} registration - { RegistrationID, EventID, UserID }
+ * @returns {boolean}
+ */
+function verifyTicketCode(ticket, registration) {
+    const expected = Buffer.from(sign(registration.RegistrationID, registration.EventID, registration.UserID));
+    return crypto.timingSafeEqual(expected, Buffer.from(ticket.signature));
+}
+
+/**
+ * Whether a registration may enter the event: it holds a place and is paid for
+ * (or the event is free)
+ * @param {object} registration - Row with Status, PaymentStatus and the event's Reg_Fee
+ * @returns {boolean}
+ */
+function hasValidTicket(registration) {
+    return ADMITTED_STATUSES.includes(registration.Status) &&
+        (Number(registration.Reg_Fee) === 0 || ['paid', 'not_required'].includes(registration.PaymentStatus));
+}
+
+/**
+ * QR code image of a ticket
+ * @param {string} code - Result of createTicketCode
+ * @returns {Promise<string>} - PNG data URL, for embedding in a page
+ */
+function ticketQrDataUrl(code) {
+    return QRCode.toDataURL(code, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+}
+
+/**
+ * QR code image of a ticket, for download
+ * @param {string} code - Result of createTicketCode
+ * @returns {Promise<Buffer>} - PNG image
+ */
+function ticketQrPng(code) {
+    return QRCode.toBuffer(code, { errorCorrectionLevel: 'M', margin: 2, width: 640 });
+}
+
+/**
+ * Reads a ticket and the registration it names, and decides whether its holder may enter
+ * @param {string} code - Ticket code
+ * @param {number} eventId - Event being checked in
+ * @returns {Promise<{registration: object|null, rejection: {message: string, status: number}|null}>}
+ */
+async function assessTicket(code, eventId) {
+    const ticket = parseTicketCode(code);
+    if (!ticket) {
+        return { registration: null, rejection: { message: 'Invalid ticket: the code is unreadable', status: 400 } };
+    }
+
+    const [registration] = await executeQuery(`
+        SELECT r.RegistrationID, r.EventID, r.UserID, r.Status, r.PaymentStatus, e.Reg_Fee, u.Name, u.Email, t.TeamName
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        JOIN Users u ON r.UserID = u.UserID
+        LEFT JOIN Teams t ON r.TeamID = t.TeamID
+        WHERE r.RegistrationID = ? AND r.EventID = ?
+    `, [ticket.registrationId, ticket.eventId]);
+    if (!registration || !verifyTicketCode(ticket, registration)) {
+        // Also covers tickets of a registration that has since been transferred
+        return {
+            registration: null,
+            rejection: { message: 'Invalid ticket: its signature does not match a current registration', status: 400 }
+        };
+    }
+    if (registration.EventID !== Number(eventId)) {
+        return { registration, rejection: { message: 'This ticket is for a different event', status: 409 } };
+    }
+    if (!hasValidTicket(registration)) {
+        const reason = ADMITTED_STATUSES.includes(registration.Status)
+            ? `payment is ${registration.PaymentStatus}`
+            : `registration is ${registration.Status}`;
+        return { registration, rejection: { message: `${registration.Name} cannot be admitted: ${reason}`, status: 409 } };
+    }
+    return { registration, rejection: null };
+}
+
+const toParticipant = registration => ({
+    name: registration.Name,
+    email: registration.Email,
+    teamName: registration.TeamName
+});
+
+/**
+ * Checks a ticket in at an event. Every scan, including duplicates and rejections,
+ * is recorded in CheckInScans.
+ * @param {object} scan - { code, eventId, staffId }
+ * @returns {Promise<{result: string, registrationId: number, participant: object, checkedInAt: Date, checkedInBy: string|null}>}
+ *   result is 'checked_in', or 'duplicate' when the ticket had already been used
+ * @throws {Error} - With status 400 for unreadable or forged codes and 409 for tickets
+ *   of another event or registrations that may not enter
+ */
+async function checkInTicket({ code, eventId, staffId }) {
+    const { registration, rejection } = await assessTicket(code, eventId);
+    if (rejection) {
+        await executeQuery(`
+            INSERT INTO CheckInScans (EventID, RegistrationID, ScannedBy, Result, Detail)
+            VALUES (?, ?, ?, 'rejected', ?)
+        `, [eventId, registration ? registration.RegistrationID : null, staffId, rejection.message.slice(0, 255)]);
+        throw Object.assign(
+            new Error(rejection.message),
+            { status: rejection.status },
+            registration ? { participant: toParticipant(registration) } : {}
+        );
+    }
+
+    // Only one of two simultaneous scans can flip the row; the other is a duplicate
+    const [update] = await executeTransaction([
+        {
+            query: `
+                UPDATE Registrations
+                SET Status = 'checked_in', CheckedInAt = NOW(), CheckedInBy = ?
+                WHERE RegistrationID = ? AND Status <> 'checked_in'
+            `,
+            params: [staffId, registration.RegistrationID]
+        },
+        { query: 'SET @checked_in = ROW_COUNT()', params: [] },
+        {
+            query: `
+                INSERT INTO CheckInScans (EventID, RegistrationID, ScannedBy, Result)
+                VALUES (?, ?, ?, IF(@checked_in > 0, 'checked_in', 'duplicate'))
+            `,
+            params: [registration.EventID, registration.RegistrationID, staffId]
+        }
+    ]);
+
+    const [state] = await executeQuery(`
+        SELECT r.CheckedInAt, staff.Name AS CheckedInByName
+        FROM Registrations r
+        LEFT JOIN Users staff ON r.CheckedInBy = staff.UserID
+        WHERE r.RegistrationID = ?
+    `, [registration.RegistrationID]);
+
+    return {
+        result: update.affectedRows > 0 ? 'checked_in' : 'duplicate',
+        registrationId: registration.RegistrationID,
+        participant: toParticipant(registration),
+        checkedInAt: state.CheckedInAt,
+        checkedInBy: state.CheckedInByName
+    };
+}
+
+/**
+ * HMAC binding an attendee list to its event and download time
+ * @param {number} eventId - Events.EventID
+ * @param {string} issuedAt - ISO timestamp of the download
+ * @param {string} digest - SHA-256 (hex) of the attendees JSON
+ * @returns {string}
+ */
+function signAttendeeList(eventId, issuedAt, digest) {
+    return hmac(`${TICKET_PREFIX}.list.${eventId}.${issuedAt}.${digest}`);
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Attendee list for checking tickets in without a connection. Tickets are listed by the
+ * SHA-256 of their code, so the list alone cannot be turned back into valid tickets.
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<{eventId: number, issuedAt: string, digest: string, signature: string, attendees: Array}>}
+ *   digest covers JSON.stringify(attendees), which lets the scanner detect a damaged copy
+ */
+async function getAttendeeList(eventId) {
+    const registrations = await executeQuery(`
+        SELECT r.RegistrationID, r.EventID, r.UserID, r.CheckedInAt, u.Name, t.TeamName
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        JOIN Users u ON r.UserID = u.UserID
+        LEFT JOIN Teams t ON r.TeamID = t.TeamID
+        WHERE r.EventID = ? AND r.Status IN (${ADMITTED_STATUSES.map(() => '?').join(', ')})
+          AND (e.Reg_Fee = 0 OR r.PaymentStatus IN ('paid', 'not_required'))
+        ORDER BY u.Name
+    `, [eventId, ...ADMITTED_STATUSES]);
+
+    const attendees = registrations.map(registration => ({
+        ticketHash: sha256(createTicketCode(registration)),
+        registrationId: registration.RegistrationID,
+        name: registration.Name,
+        teamName: registration.TeamName,
+        checkedInAt: registration.CheckedInAt
+    }));
+    const issuedAt = new Date().toISOString();
+    const digest = sha256(JSON.stringify(attendees));
+    return { eventId: Number(eventId), issuedAt, digest, signature: signAttendeeList(eventId, issuedAt, digest), attendees };
+}
+
+/**
+ * Checks that an attendee list a scanner synced against was issued by this server for the event
+ * @param {number} eventId - Events.EventID
+ * @param {object} list - { issuedAt, digest, signature } as returned by getAttendeeList
+ * @returns {Date} - When the list was downloaded
+ * @throws {Error} - With status 400 when the list was not issued for this event
+ */
+function verifyAttendeeList(eventId, list) {
+    const { issuedAt, digest, signature } = list || {};
+    const expected = Buffer.from(signAttendeeList(eventId, String(issuedAt), String(digest)));
+    const given = Buffer.from(String(signature || ''));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given) || isNaN(Date.parse(issuedAt))) {
+        throw Object.assign(
+            new Error('The attendee list on this scanner was not issued for this event; download it again'),
+            { status: 400 }
+        );
+    }
+    return new Date(issuedAt);
+}
+
+// Most offline scans a scanner may send in one sync request
+const MAX_SYNC_SCANS = 200;
+const CLIENT_SCAN_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Stored outcome of a synced offline scan
+ * @param {string} clientScanId - CheckInScans.ClientScanID
+ * @returns {Promise<object|undefined>}
+ */
+async function getSyncedScan(clientScanId) {
+    const [scan] = await executeQuery(`
+        SELECT s.Result, s.Detail, s.Conflict, u.Name
+        FROM CheckInScans s
+        LEFT JOIN Registrations r ON s.RegistrationID = r.RegistrationID
+        LEFT JOIN Users u ON r.UserID = u.UserID
+        WHERE s.ClientScanID = ?
+    `, [clientScanId]);
+    return scan && {
+        clientScanId,
+        result: scan.Result,
+        conflict: !!scan.Conflict,
+        message: scan.Detail || (scan.Result === 'checked_in' ? `${scan.Name} checked in` : `${scan.Name} was already checked in`)
+    };
+}
+
+/**
+ * Records one offline scan. The server's own checks decide the outcome, whatever the scanner showed:
+ *  - a ticket the server rejects is recorded as rejected, and as a conflict if the scanner let its holder in;
+ *  - when two scanners admitted the same ticket, the earliest scan holds the check-in and the conflict is flagged.
+ * @param {number} eventId - Events.EventID
+ * @param {number} staffId - Staff member who ran the scanner
+ * @param {object} scan - { clientScanId, code, scannedAt: Date, admitted }
+ * @param {Date} listIssuedAt - When the scanner's attendee list was downloaded
+ * @returns {Promise<{clientScanId: string, result: string, conflict: boolean, message: string}>}
+ */
+async function syncOfflineScan(eventId, staffId, scan, listIssuedAt) {
+    const synced = await getSyncedScan(scan.clientScanId);
+    if (synced) {
+        return synced;
+    }
+
+    const { registration, rejection } = await assessTicket(scan.code, eventId);
+    try {
+        if (rejection) {
+            const detail = scan.admitted
+                ? `Admitted offline from the list of ${listIssuedAt.toISOString()}, but ${rejection.message}`
+                : rejection.message;
+            await executeQuery(`
+                INSERT INTO CheckInScans
+                    (EventID, RegistrationID, ScannedBy, Result, Detail, Conflict, ClientScanID, ScannedAt, SyncedAt)
+                VALUES (?, ?, ?, 'rejected', ?, ?, ?, ?, NOW())
+            `, [
+                eventId, registration ? registration.RegistrationID : null, staffId, detail.slice(0, 255),
+                scan.admitted, scan.clientScanId, scan.scannedAt
+            ]);
+        } else {
+            await executeTransaction([
+                { query: 'SET @was_checked_in = FALSE', params: [] },
+                {
+                    query: `SELECT (Status = 'checked_in') INTO @was_checked_in FROM Registrations WHERE RegistrationID = ? FOR UPDATE`,
+                    params: [registration.RegistrationID]
+                },
+                {
+                    // An earlier scan takes over the check-in, so its time is when the holder really arrived
+                    query: `
+                        UPDATE Registrations
+                        SET Status = 'checked_in', CheckedInAt = ?, CheckedInBy = ?
+                        WHERE RegistrationID = ? AND (Status <> 'checked_in' OR CheckedInAt > ?)
+                    `,
+                    params: [scan.scannedAt, staffId, registration.RegistrationID, scan.scannedAt]
+                },
+                { query: 'SET @checked_in = ROW_COUNT()', params: [] },
+                {
+                    query: `
+                        INSERT INTO CheckInScans
+                            (EventID, RegistrationID, ScannedBy, Result, Detail, Conflict, ClientScanID, ScannedAt, SyncedAt)
+                        VALUES (?, ?, ?, IF(@checked_in > 0, 'checked_in', 'duplicate'),
+                                IF(@was_checked_in AND ?, IF(@checked_in > 0,
+                                    'Admitted by two scanners; this earlier scan now holds the check-in',
+                                    'Admitted by two scanners; the earlier check-in stands'), NULL),
+                                @was_checked_in AND ?, ?, ?, NOW())
+                    `,
+                    params: [
+                        eventId, registration.RegistrationID, staffId,
+                        scan.admitted, scan.admitted, scan.clientScanId, scan.scannedAt
+                    ]
+                }
+            ]);
+        }
+    } catch (error) {
+        // The same scan sent by two overlapping syncs; the first one recorded it
+        // (executeQuery rethrows ER_DUP_ENTRY as a plain error, executeTransaction keeps the code)
+        if (error.code !== 'ER_DUP_ENTRY' && error.message !== 'Duplicate entry found') {
+            throw error;
+        }
+    }
+    return getSyncedScan(scan.clientScanId);
+}
+
+/**
+ * Records the scans a scanner queued while offline, oldest first
+ * @param {object} sync - { eventId, staffId, list, scans }
+ *   list is the { issuedAt, digest, signature } of the scanner's attendee list, and each scan is
+ *   { clientScanId, code, scannedAt, admitted } where admitted tells whether the scanner let the holder in
+ * @returns {Promise<Array<{clientScanId: string, result: string, conflict: boolean, message: string}>>}
+ *   result is 'checked_in', 'duplicate', 'rejected', or 'invalid' for scans that could not be recorded
+ * @throws {Error} - With status 400 for an unsigned list or an oversized batch
+ */
+async function syncOfflineScans({ eventId, staffId, list, scans }) {
+    const listIssuedAt = verifyAttendeeList(eventId, list);
+    if (!Array.isArray(scans) || scans.length > MAX_SYNC_SCANS) {
+        throw Object.assign(new Error(`Send a list of at most ${MAX_SYNC_SCANS} scans per sync`), { status: 400 });
+    }
+
+    const now = Date.now();
+    const queued = scans.map(scan => {
+        const scannedAt = Date.parse(scan && scan.scannedAt);
+        return {
+            clientScanId: String((scan && scan.clientScanId) || ''),
+            code: String((scan && scan.code) || ''),
+            // Scanner clocks drift; a scan cannot have happened after it reached the server
+            scannedAt: new Date(isNaN(scannedAt) ? now : Math.min(scannedAt, now)),
+            admitted: !!(scan && scan.admitted)
+        };
+    }).sort((a, b) => a.scannedAt - b.scannedAt);
+
+    const results = [];
+    for (const scan of queued) {
+        if (!CLIENT_SCAN_ID.test(scan.clientScanId)) {
+            results.push({ clientScanId: scan.clientScanId, result: 'invalid', conflict: false, message: 'Scan has no valid ID' });
+            continue;
+        }
+        results.push(await syncOfflineScan(eventId, staffId, scan, listIssuedAt));
+    }
+    return results;
+}
+
+/**
+ * Checked-in and admissible registration counts for an event
+ * @param {number} eventId - Events.EventID
+ * @returns {Promise<{checkedIn: number, registered: number}>}
+ */
+async function getCheckInCounts(eventId) {
+    const [counts] = await executeQuery(`
+        SELECT COALESCE(SUM(r.Status = 'checked_in'), 0) AS checkedIn, COUNT(*) AS registered
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        WHERE r.EventID = ? AND r.Status IN (${ADMITTED_STATUSES.map(() => '?').join(', ')})
+          AND (e.Reg_Fee = 0 OR r.PaymentStatus IN ('paid', 'not_required'))
+    `, [eventId, ...ADMITTED_STATUSES]);
+    return { checkedIn: Number(counts.checkedIn), registered: Number(counts.registered) };
+}
+
+/**
+ * Most recent scans at an event, newest first
+ * @param {number} eventId - Events.EventID
+ * @param {number} limit - How many to return
+ * @returns {Promise<Array>}
+ */
+async function getRecentScans(eventId, limit = 20) {
+    return executeQuery(`
+        SELECT s.ScanID, s.Result, s.Detail, s.Conflict, s.ScannedAt, s.SyncedAt,
+               u.Name AS ParticipantName, staff.Name AS ScannedByName
+        FROM CheckInScans s
+        LEFT JOIN Registrations r ON s.RegistrationID = r.RegistrationID
+        LEFT JOIN Users u ON r.UserID = u.UserID
+        LEFT JOIN Users staff ON s.ScannedBy = staff.UserID
+        WHERE s.EventID = ?
+        ORDER BY s.ScannedAt DESC, s.ScanID DESC
+        LIMIT ${Math.max(1, Math.min(100, parseInt(limit, 10) || 20))}
+    `, [eventId]);
+}
+
+module.exports = {
+    ADMITTED_STATUSES,
+    createTicketCode,
+    parseTicketCode,
+    verifyTicketCode,
+    hasValidTicket,
+    ticketQrDataUrl,
+    ticketQrPng,
+    checkInTicket,
+    getAttendeeList,
+    verifyAttendeeList,
+    syncOfflineScans,
+    getCheckInCounts,
+    getRecentScans
+};
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+/**
+ * Hashes a raw token for storage or lookup
+ * @param {string} token - The raw token as sent to the user
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generates a random URL-safe token together with its hash
+ * Only the hash should ever be written to the database.
+ * @param {number} bytes - Number of random bytes (default 32)
+ * @returns {{ token: string, tokenHash: string }}
+ */
+function generateToken(bytes = 32) {
+    const token = crypto.randomBytes(bytes).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+}
+
+module.exports = {
+    generateToken,
+    hashToken
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encodes a buffer as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decodes a base32 string (case and whitespace insensitive)
+ * @param {string} input - Base32 text
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/\s+/g, '').replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+    return Buffer.from(output);
+}
+
+/**
+ * Generates a new random shared secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Computes the one-time code for a given time step (RFC 4226 / RFC 6238)
+ * @param {string} secret - Base32 shared secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero padded code
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Current time step number
+ * @param {number} now - Milliseconds since epoch (default: now)
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Checks a code against the current step and one step either side (clock drift)
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code typed by the user
+ * @returns {number|null} - The matching time step, or null if the code is wrong
+ */
+function verifyCode(secret, code) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+    const step = currentStep();
+    for (const candidate of [step - 1, step, step + 1]) {
+        const expected = Buffer.from(generateCode(secret, candidate));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the otpauth:// provisioning URI encoded in the enrolment QR code
+ * @param {object} options - { secret, accountName, issuer }
+ * @returns {string}
+ */
+function buildProvisioningUri({ secret, accountName, issuer = 'NASCON' }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildProvisioningUri
+};
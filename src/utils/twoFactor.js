@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { pool, executeQuery, executeTransaction } = require('../config/database');
+const { verifyCode, buildProvisioningUri } = require('./totp');
+const { hashToken } = require('./tokens');
+require('dotenv').config();
+
+// Roles that may not log in without a second factor
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,super_admin,judge')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Whether the 2FA policy makes a second factor mandatory for a role
+ * @param {string} roleName - Roles.RoleName
+ * @returns {boolean}
+ */
+function isTwoFactorRequired(roleName) {
+    return REQUIRED_ROLES.includes(roleName);
+}
+
+/**
+ * Builds what the enrolment screen needs to show for a new secret
+ * @param {string} secret - Base32 secret not yet confirmed
+ * @param {string} accountName - Label shown in the authenticator app (the user's email)
+ * @returns {Promise<{secret: string, otpauthUri: string, qrDataUrl: string}>}
+ */
+async function buildEnrolment(secret, accountName) {
+    const otpauthUri = buildProvisioningUri({ secret, accountName });
+    const qrDataUrl = await QRCode.toDataURL(otpauthUri);
+    return { secret, otpauthUri, qrDataUrl };
+}
+
+/**
+ * Loads a user's 2FA settings
+ * @param {number} userId - Users.UserID
+ * @returns {Promise<{enabled: boolean, secret: string|null, recoveryCodesLeft: number}>}
+ */
+async function getTwoFactorState(userId) {
+    const [row] = await executeQuery(`
+        SELECT u.TwoFactorSecret, u.TwoFactorEnabledAt,
+               (SELECT COUNT(*) FROM TwoFactorRecoveryCodes rc
+                WHERE rc.UserID = u.UserID AND rc.UsedAt IS NULL) AS RecoveryCodesLeft
+        FROM Users u
+        WHERE u.UserID = ?
+    `, [userId]);
+    if (!row) {
+        return { enabled: false, secret: null, recoveryCodesLeft: 0 };
+    }
+    return {
+        enabled: !!row.TwoFactorEnabledAt,
+        secret: row.TwoFactorSecret,
+        recoveryCodesLeft: Number(row.RecoveryCodesLeft)
+    };
+}
+
+/**
+ * Replaces a user's recovery codes with a fresh set
+ * @param {number} userId - Users.UserID
+ * @returns {Promise<string[]>} - Plain codes, shown to the user exactly once
+ */
+async function regenerateRecoveryCodes(userId) {
+    const codes = [];
+    const queries = [{
+        query: 'DELETE FROM TwoFactorRecoveryCodes WHERE UserID = ?',
+        params: [userId]
+    }];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        codes.push(code);
+        queries.push({
+            query: 'INSERT INTO TwoFactorRecoveryCodes (UserID, CodeHash) VALUES (?, ?)',
+            params: [userId, hashToken(code)]
+        });
+    }
+    await executeTransaction(queries);
+    return codes;
+}
+
+/**
+ * Turns on 2FA once the user has proven their authenticator works
+ * @param {number} userId - Users.UserID
+ * @param {string} secret - Confirmed base32 secret
+ * @param {number} step - Time step of the confirming code (blocks its reuse)
+ * @returns {Promise<string[]>} - New recovery codes
+ */
+async function enableTwoFactor(userId, secret, step) {
+    // Straight to the pool: executeQuery logs its parameters, and the secret must stay out of the log
+    await pool.execute(`
+        UPDATE Users
+        SET TwoFactorSecret = ?, TwoFactorEnabledAt = NOW(), TwoFactorLastUsedStep = ?
+        WHERE UserID = ?
+    `, [secret, step, userId]);
+    return regenerateRecoveryCodes(userId);
+}
+
+/**
+ * Turns off 2FA and discards the secret and recovery codes
+ * @param {number} userId - Users.UserID
+ */
+async function disableTwoFactor(userId) {
+    await executeTransaction([
+        {
+            query: `UPDATE Users
+                    SET TwoFactorSecret = NULL, TwoFactorEnabledAt = NULL, TwoFactorLastUsedStep = NULL
+                    WHERE UserID = ?`,
+            params: [userId]
+        },
+        {
+            query: 'DELETE FROM TwoFactorRecoveryCodes WHERE UserID = ?',
+            params: [userId]
+        }
+    ]);
+}
+
+/**
+ * Verifies an authenticator code or an unused recovery code for an enrolled user.
+ * Each authenticator code and each recovery code is accepted only once.
+ * @param {number} userId - Users.UserID
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<boolean>}
+ */
+async function verifyUserCode(userId, code) {
+    const state = await getTwoFactorState(userId);
+    if (!state.enabled || !code) {
+        return false;
+    }
+
+    const step = verifyCode(state.secret, code);
+    if (step !== null) {
+        const result = await executeQuery(`
+            UPDATE Users SET TwoFactorLastUsedStep = ?
+            WHERE UserID = ? AND (TwoFactorLastUsedStep IS NULL OR TwoFactorLastUsedStep < ?)
+        `, [step, userId, step]);
+        return result.affectedRows > 0;
+    }
+
+    const result = await executeQuery(`
+        UPDATE TwoFactorRecoveryCodes SET UsedAt = NOW()
+        WHERE UserID = ? AND CodeHash = ? AND UsedAt IS NULL
+    `, [userId, hashToken(String(code).trim().toLowerCase())]);
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    isTwoFactorRequired,
+    buildEnrolment,
+    getTwoFactorState,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyUserCode
+};
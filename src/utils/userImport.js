@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { validateData, registerValidation } = require('../middleware/validation');
+const { parseCsvRecords } = require('./csv');
+const { sendInviteEmail } = require('./passwordReset');
+
+// Largest file accepted in one upload
+const MAX_IMPORT_ROWS = 1000;
+const REQUIRED_COLUMNS = ['name', 'email', 'username'];
+const OPTIONAL_COLUMNS = ['contact', 'university', 'city'];
+
+/**
+ * Random password that satisfies the registration rules. Imported accounts are
+ * created with it and must set their own through the invite link before logging in.
+ * @returns {string}
+ */
+function generatePlaceholderPassword() {
+    return crypto.randomBytes(24).toString('hex') + 'Aa1!';
+}
+
+/**
+ * Finds which of the given emails and usernames already belong to accounts
+ * @param {string[]} emails
+ * @param {string[]} usernames
+ * @returns {Promise<{emails: Set<string>, usernames: Set<string>}>} - Lower-cased values
+ */
+async function findExistingAccounts(emails, usernames) {
+    if (emails.length === 0 && usernames.length === 0) {
+        return { emails: new Set(), usernames: new Set() };
+    }
+    const placeholders = (list) => list.length > 0 ? list.map(() => '?').join(', ') : 'NULL';
+    const rows = await executeQuery(`
+        SELECT Email, username FROM Users
+        WHERE Email IN (${placeholders(emails)}) OR username IN (${placeholders(usernames)})
+    `, [...emails, ...usernames]);
+    return {
+        emails: new Set(rows.map(r => r.Email.toLowerCase())),
+        usernames: new Set(rows.map(r => r.username.toLowerCase()))
+    };
+}
+
+/**
+ * Parses and validates an uploaded CSV without creating anything
+ * @param {string} text - CSV content with a header row
+ * @param {number} roleId - Role the accounts will receive
+ * @returns {Promise<{rows: Array, valid: number, invalid: number}>}
+ *          Each row has its file line number, sanitized values and error messages
+ */
+async function previewImport(text, roleId) {
+    const { headers, records } = parseCsvRecords(text);
+
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+        throw Object.assign(new Error(`Missing column(s): ${missing.join(', ')}`), { status: 400 });
+    }
+    if (records.length === 0) {
+        throw Object.assign(new Error('The file has no user rows'), { status: 400 });
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw Object.assign(new Error(`At most ${MAX_IMPORT_ROWS} users can be imported at once`), { status: 400 });
+    }
+
+    const rows = [];
+    for (const [index, record] of records.entries()) {
+        const input = { roleId: String(roleId), password: generatePlaceholderPassword() };
+        [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].forEach(column => {
+            if (record[column]) {
+                input[column] = record[column];
+            }
+        });
+
+        // Same rules as self-registration
+        const { errors, values } = await validateData(registerValidation, input);
+        const messages = errors.map(error => error.msg);
+        ['university', 'city'].forEach(column => {
+            if (values[column] && values[column].length > 100) {
+                messages.push(`${column.charAt(0).toUpperCase() + column.slice(1)} must not exceed 100 characters`);
+            }
+        });
+
+        rows.push({
+            line: index + 2, // Header is line 1
+            name: values.name || '',
+            email: values.email || '',
+            username: values.username || '',
+            contact: values.contact || null,
+            university: values.university || null,
+            city: values.city || null,
+            errors: messages
+        });
+    }
+
+    // Duplicates within the file, then against existing accounts
+    const seenEmails = new Map();
+    const seenUsernames = new Map();
+    rows.forEach(row => {
+        const email = row.email.toLowerCase();
+        const username = row.username.toLowerCase();
+        if (email && seenEmails.has(email)) {
+            row.errors.push(`Email also used on line ${seenEmails.get(email)}`);
+        } else if (email) {
+            seenEmails.set(email, row.line);
+        }
+        if (username && seenUsernames.has(username)) {
+            row.errors.push(`Username also used on line ${seenUsernames.get(username)}`);
+        } else if (username) {
+            seenUsernames.set(username, row.line);
+        }
+    });
+
+    const existing = await findExistingAccounts([...seenEmails.keys()], [...seenUsernames.keys()]);
+    rows.forEach(row => {
+        if (existing.emails.has(row.email.toLowerCase())) {
+            row.errors.push('Email already registered');
+        }
+        if (existing.usernames.has(row.username.toLowerCase())) {
+            row.errors.push('Username already taken');
+        }
+    });
+
+    const valid = rows.filter(row => row.errors.length === 0).length;
+    return { rows, valid, invalid: rows.length - valid };
+}
+
+/**
+ * Creates the valid rows of a preview in one transaction and emails each new user an invite
+ * @param {object} preview - Result of previewImport
+ * @param {object} role - { RoleID, RoleName }
+ * @returns {Promise<{created: number, invitesFailed: Array}>}
+ */
+async function createImportedUsers(preview, role) {
+    const rows = preview.rows.filter(row => row.errors.length === 0);
+    if (rows.length === 0) {
+        return { created: 0, invitesFailed: [] };
+    }
+
+    // One hash for the whole batch: the password is random and never revealed
+    const hashed = await bcrypt.hash(generatePlaceholderPassword(), 10);
+    const results = await executeTransaction(rows.map(row => ({
+        query: `
+            INSERT INTO Users (
+                Name, Email, Password, Contact, University, City, username,
+                RoleID, Status, PasswordResetRequired, CreatedAt, UpdatedAt
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', TRUE, NOW(), NOW())
+        `,
+        params: [row.name, row.email, hashed, row.contact, row.university, row.city, row.username, role.RoleID]
+    })));
+
+    const invitesFailed = [];
+    for (const [index, row] of rows.entries()) {
+        try {
+            await sendInviteEmail({
+                UserID: results[index].insertId,
+                Name: row.name,
+                Email: row.email,
+                Role: role.RoleName
+            });
+        } catch (error) {
+            // The account exists; an admin can resend with "Force password reset"
+            console.error('Error sending invite email:', error);
+            invitesFailed.push(row.email);
+        }
+    }
+
+    return { created: rows.length, invitesFailed };
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    REQUIRED_COLUMNS,
+    OPTIONAL_COLUMNS,
+    previewImport,
+    createImportedUsers
+};
@@ -0,0 +1,213 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+
+// Used when an event or workshop is saved without a duration
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Longest range the calendar returns in one request
+const MAX_CALENDAR_DAYS = 92;
+
+// Every slot that occupies a venue: events and workshops that are not cancelled
+const BOOKINGS_QUERY = `
+    SELECT 'event' AS Type, EventID AS ID, Name, VenueID, Status,
+           TIMESTAMP(Date, Time) AS StartsAt,
+           TIMESTAMP(Date, Time) + INTERVAL DurationMinutes MINUTE AS EndsAt
+    FROM Events
+    WHERE Status <> 'Cancelled'
+    UNION ALL
+    SELECT 'workshop' AS Type, WorkshopID AS ID, Title AS Name, VenueID, Status,
+           TIMESTAMP(Date, Time) AS StartsAt,
+           TIMESTAMP(Date, Time) + INTERVAL DurationMinutes MINUTE AS EndsAt
+    FROM Workshops
+    WHERE Status <> 'cancelled'
+`;
+
+// Scheduled closures, in the same shape as BOOKINGS_QUERY
+const MAINTENANCE_QUERY = `
+    SELECT 'maintenance' AS Type, WindowID AS ID, Reason AS Name, VenueID, 'scheduled' AS Status,
+           StartsAt, EndsAt
+    FROM VenueMaintenanceWindows
+`;
+
+/**
+ * Finds an event, workshop or maintenance window that already occupies a venue during
+ * the given slot. Two bookings clash when each starts before the other ends.
+ * @param {object} slot - { venueId, date, time, durationMinutes, excludeEventId }
+ * @returns {Promise<object|null>} - { Type, ID, Name, StartsAt, EndsAt } of the first clash
+ */
+async function findVenueConflict({ venueId, date, time, durationMinutes = DEFAULT_DURATION_MINUTES, excludeEventId = null }) {
+    if (!venueId || !date || !time) {
+        return null;
+    }
+
+    const [conflict] = await executeQuery(`
+        SELECT Type, ID, Name,
+               DATE_FORMAT(StartsAt, '%Y-%m-%d %H:%i') AS StartsAt,
+               DATE_FORMAT(EndsAt, '%Y-%m-%d %H:%i') AS EndsAt
+        FROM (${BOOKINGS_QUERY} UNION ALL ${MAINTENANCE_QUERY}) bookings
+        WHERE VenueID = ? AND NOT (Type = 'event' AND ID = ?)
+          AND StartsAt < TIMESTAMP(?, ?) + INTERVAL ? MINUTE
+          AND EndsAt > TIMESTAMP(?, ?)
+        ORDER BY bookings.StartsAt
+        LIMIT 1
+    `, [venueId, excludeEventId || 0, date, time, durationMinutes, date, time]);
+
+    return conflict || null;
+}
+
+/**
+ * Human-readable description of a clash, for error responses
+ * @param {object} conflict - Result of findVenueConflict
+ * @returns {string}
+ */
+function describeConflict(conflict) {
+    if (conflict.Type === 'maintenance') {
+        return `The venue is closed (${conflict.Name}) from ${conflict.StartsAt} to ${conflict.EndsAt}`;
+    }
+    return `The venue is already booked by ${conflict.Type} "${conflict.Name}" ` +
+        `from ${conflict.StartsAt} to ${conflict.EndsAt}`;
+}
+
+/**
+ * Normalizes a YYYY-MM-DD or YYYY-MM-DDTHH:MM[:SS] query value for MySQL.
+ * Times are wall-clock venue times, so no timezone conversion is done.
+ * @param {string} value - Raw query string value
+ * @returns {string|null} - 'YYYY-MM-DD HH:MM:SS', or null when the value is malformed
+ */
+function parseDateTime(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2})?)?$/.exec(String(value || '').trim());
+    if (!match || Number.isNaN(Date.parse(match[1]))) {
+        return null;
+    }
+    return `${match[1]} ${match[2] || '00:00'}${match[3] || ':00'}`;
+}
+
+/**
+ * Lists what occupies a venue between two dates, for the calendar view.
+ * Maintenance windows are returned as blocks; a venue whose status is not Available
+ * is blocked for the whole range.
+ * @param {object} venue - Venues row
+ * @param {string} from - Start of the range, as returned by parseDateTime
+ * @param {string} to - End of the range (exclusive)
+ * @returns {Promise<{bookings: Array, blocks: Array}>}
+ */
+async function getVenueCalendar(venue, from, to) {
+    const bookings = await executeQuery(`
+        SELECT Type, ID, Name, Status,
+               DATE_FORMAT(StartsAt, '%Y-%m-%dT%H:%i') AS StartsAt,
+               DATE_FORMAT(EndsAt, '%Y-%m-%dT%H:%i') AS EndsAt
+        FROM (${BOOKINGS_QUERY}) bookings
+        WHERE VenueID = ? AND StartsAt < ? AND EndsAt > ?
+        ORDER BY bookings.StartsAt
+    `, [venue.VenueID, to, from]);
+
+    const blocks = await executeQuery(`
+        SELECT WindowID, Reason,
+               DATE_FORMAT(StartsAt, '%Y-%m-%dT%H:%i') AS StartsAt,
+               DATE_FORMAT(EndsAt, '%Y-%m-%dT%H:%i') AS EndsAt
+        FROM VenueMaintenanceWindows
+        WHERE VenueID = ? AND StartsAt < ? AND EndsAt > ?
+        ORDER BY VenueMaintenanceWindows.StartsAt
+    `, [venue.VenueID, to, from]);
+
+    if (venue.Status !== 'Available') {
+        blocks.unshift({
+            WindowID: null,
+            Reason: venue.Status,
+            StartsAt: from.replace(' ', 'T').slice(0, 16),
+            EndsAt: to.replace(' ', 'T').slice(0, 16)
+        });
+    }
+
+    return { bookings, blocks };
+}
+
+/**
+ * Finds Available venues with nothing booked or scheduled for maintenance between start and end
+ * @param {object} criteria - { start, end, capacity, type, excludeEventId }
+ * @returns {Promise<Array>}
+ */
+async function findAvailableVenues({ start, end, capacity, type, excludeEventId = null }) {
+    let query = `
+        SELECT v.VenueID, v.Name, v.VenueType, v.Capacity, v.Location
+        FROM Venues v
+        WHERE v.Status = 'Available'
+          AND v.VenueID NOT IN (
+              SELECT VenueID FROM (${BOOKINGS_QUERY} UNION ALL ${MAINTENANCE_QUERY}) bookings
+              WHERE VenueID IS NOT NULL AND StartsAt < ? AND EndsAt > ?
+                AND NOT (Type = 'event' AND ID = ?)
+          )
+    `;
+    const params = [end, start, excludeEventId || 0];
+
+    if (capacity) {
+        query += ' AND v.Capacity >= ?';
+        params.push(capacity);
+    }
+    if (type) {
+        query += ' AND v.VenueType = ?';
+        params.push(type);
+    }
+
+    query += ' ORDER BY v.Capacity IS NULL, v.Capacity ASC, v.Name ASC';
+    return executeQuery(query, params);
+}
+
+/**
+ * Schedules a closure of a venue and, in the same transaction, alerts the organizer of
+ * every event already booked into it during that time
+ * @param {object} window - { venue, startsAt, endsAt, reason, userId }
+ * @returns {Promise<{windowId: number, affectedEvents: Array}>}
+ */
+async function addMaintenanceWindow({ venue, startsAt, endsAt, reason, userId }) {
+    const affectedEvents = await executeQuery(`
+        SELECT EventID, Name, OrganizerID,
+               DATE_FORMAT(TIMESTAMP(Date, Time), '%Y-%m-%d %H:%i') AS StartsAt
+        FROM Events
+        WHERE VenueID = ? AND Status NOT IN ('Completed', 'Cancelled')
+          AND TIMESTAMP(Date, Time) < ?
+          AND TIMESTAMP(Date, Time) + INTERVAL DurationMinutes MINUTE > ?
+        ORDER BY Date, Time
+    `, [venue.VenueID, endsAt, startsAt]);
+
+    const alerts = affectedEvents
+        .filter(event => event.OrganizerID)
+        .map(event => ({
+            query: `
+                INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                VALUES (?, 'venue_maintenance', ?, ?)
+            `,
+            params: [
+                event.OrganizerID,
+                `${venue.Name} will be closed (${reason}) from ${startsAt.slice(0, 16)} to ${endsAt.slice(0, 16)}, ` +
+                    `which overlaps your event "${event.Name}" on ${event.StartsAt}. Please move it to another venue or time.`,
+                event.EventID
+            ]
+        }));
+
+    const [result] = await executeTransaction([
+        {
+            query: `
+                INSERT INTO VenueMaintenanceWindows (VenueID, StartsAt, EndsAt, Reason, CreatedBy)
+                VALUES (?, ?, ?, ?, ?)
+            `,
+            params: [venue.VenueID, startsAt, endsAt, reason, userId]
+        },
+        ...alerts
+    ]);
+
+    return {
+        windowId: result.insertId,
+        affectedEvents: affectedEvents.map(({ EventID, Name, StartsAt }) => ({ EventID, Name, StartsAt }))
+    };
+}
+
+module.exports = {
+    DEFAULT_DURATION_MINUTES,
+    MAX_CALENDAR_DAYS,
+    findVenueConflict,
+    describeConflict,
+    parseDateTime,
+    getVenueCalendar,
+    findAvailableVenues,
+    addMaintenanceWindow
+};
@@ -0,0 +1,292 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+const { sendMail, appUrl } = require('./mailer');
+
+// How long a promoted registrant has to pay before the place goes to the next person
+const PAYMENT_WINDOW_HOURS = parseInt(process.env.WAITLIST_PAYMENT_WINDOW_HOURS, 10) || 48;
+
+// How often expired offers are looked for
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Registration statuses that take up one of an event's places
+const SEAT_STATUSES = "'pending', 'confirmed', 'checked_in'";
+
+/**
+ * SQL expression for a registration's 1-based place in its event's waitlist,
+ * or NULL when it is not waitlisted
+ * @param {string} alias - Alias of the Registrations table in the outer query
+ * @returns {string}
+ */
+function waitlistPositionSql(alias) {
+    return `IF(${alias}.Status = 'waitlisted', (
+        SELECT COUNT(*) + 1 FROM Registrations w
+        WHERE w.EventID = ${alias}.EventID AND w.Status = 'waitlisted'
+          AND (w.WaitlistedAt < ${alias}.WaitlistedAt
+               OR (w.WaitlistedAt = ${alias}.WaitlistedAt AND w.RegistrationID < ${alias}.RegistrationID))
+    ), NULL)`;
+}
+
+/**
+ * Queries that give a free place, if there is one, to the first person on an event's
+ * waitlist. They must run in a transaction that has locked the event row; the last
+ * query returns the promoted registration (or nothing).
+ * @param {number} eventId - Events.EventID
+ * @returns {Array<{query: string, params: Array}>}
+ */
+function promotionQueries(eventId) {
+    return [
+        { query: 'SET @promoted_registration = NULL', params: [] },
+        {
+            query: `
+                SELECT r.RegistrationID INTO @promoted_registration
+                FROM Registrations r
+                JOIN Events e ON r.EventID = e.EventID
+                WHERE r.EventID = ? AND r.Status = 'waitlisted'
+                  AND (e.Max_Participants IS NULL OR e.Max_Participants > (
+                      SELECT COUNT(*) FROM Registrations s
+                      WHERE s.EventID = e.EventID AND s.Status IN (${SEAT_STATUSES})
+                  ))
+                ORDER BY r.WaitlistedAt, r.RegistrationID
+                LIMIT 1
+            `,
+            params: [eventId]
+        },
+        {
+            query: `
+                UPDATE Registrations r
+                JOIN Events e ON r.EventID = e.EventID
+                SET r.Status = 'pending', r.WaitlistedAt = NULL,
+                    r.PaymentDueAt = IF(e.Reg_Fee > 0, NOW() + INTERVAL ? HOUR, NULL)
+                WHERE r.RegistrationID = @promoted_registration
+            `,
+            params: [PAYMENT_WINDOW_HOURS]
+        },
+        {
+            query: `
+                INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                SELECT r.UserID, 'waitlist_promoted',
+                       CONCAT('A place has opened up for ', e.Name,
+                              IF(r.PaymentDueAt IS NULL, '.',
+                                 CONCAT('. Please pay by ', DATE_FORMAT(r.PaymentDueAt, '%Y-%m-%d %H:%i'), ' to keep it.'))),
+                       e.EventID
+                FROM Registrations r
+                JOIN Events e ON r.EventID = e.EventID
+                WHERE r.RegistrationID = @promoted_registration
+            `,
+            params: []
+        },
+        {
+            query: `
+                SELECT r.RegistrationID, r.PaymentDueAt, u.Name, u.Email, e.Name AS EventName
+                FROM Registrations r
+                JOIN Users u ON r.UserID = u.UserID
+                JOIN Events e ON r.EventID = e.EventID
+                WHERE r.RegistrationID = @promoted_registration
+            `,
+            params: []
+        }
+    ];
+}
+
+/**
+ * Emails the person who just got a place. Failures are logged, not thrown:
+ * the in-app alert has already been created.
+ * @param {object} promoted - Row returned by the last promotion query
+ */
+async function notifyPromotion(promoted) {
+    try {
+        await sendMail({
+            to: promoted.Email,
+            subject: `A place has opened up for ${promoted.EventName}`,
+            text: `Hi ${promoted.Name},\n\nGood news: a place has opened up for ${promoted.EventName} ` +
+                'and you have been moved off the waitlist.\n\n' +
+                (promoted.PaymentDueAt
+                    ? `Please complete your payment by ${new Date(promoted.PaymentDueAt).toLocaleString()} to keep it; ` +
+                      'after that the place is offered to the next person.\n\n'
+                    : '') +
+                `Your registrations: ${appUrl('/me')}`
+        });
+    } catch (error) {
+        console.error('Error sending waitlist promotion email:', error);
+    }
+}
+
+/**
+ * Runs queries that may free a place (cancellations, refunds, expired offers) in one
+ * transaction with the event row locked, then promotes the next waitlisted person
+ * @param {number} eventId - Events.EventID
+ * @param {Array<{query: string, params: Array}>} queries - Changes that free the place
+ * @returns {Promise<{results: Array, promoted: object|null}>} - Results of `queries` and who was promoted
+ */
+async function executeWithPromotion(eventId, queries) {
+    const results = await executeTransaction([
+        { query: 'SELECT EventID FROM Events WHERE EventID = ? FOR UPDATE', params: [eventId] },
+        ...queries,
+        ...promotionQueries(eventId)
+    ]);
+
+    const [promoted] = results[results.length - 1];
+    if (promoted) {
+        await notifyPromotion(promoted);
+    }
+
+    return { results: results.slice(1, 1 + queries.length), promoted: promoted || null };
+}
+
+/**
+ * Registers a user for an event, or puts them on the waitlist when the event is full.
+ * The place count and insert happen with the event row locked, so two people cannot
+ * take the last place.
+ * @param {object} registration - { userId, eventId, paymentStatus, specialRequirements }
+ * @param {Array<{query: string, params: Array}>} extraQueries - Further inserts for the new registration,
+ *   which they can refer to as @new_registration
+ * @returns {Promise<{registrationId: number, status: string, waitlistPosition: number|null}>}
+ * @throws {Error} - With status 409 when the user is already registered
+ */
+async function registerForEvent({ userId, eventId, paymentStatus = 'pending', specialRequirements = null }, extraQueries = []) {
+    let results;
+    try {
+        results = await executeTransaction([
+            { query: 'SELECT EventID FROM Events WHERE EventID = ? FOR UPDATE', params: [eventId] },
+            {
+                query: `
+                    INSERT INTO Registrations
+                        (UserID, EventID, PaymentStatus, Status, RegistrationDate, SpecialRequirements, WaitlistedAt)
+                    SELECT ?, e.EventID, ?, IF(e.IsFull, 'waitlisted', 'pending'), NOW(), ?, IF(e.IsFull, NOW(), NULL)
+                    FROM (
+                        SELECT EventID, Max_Participants IS NOT NULL AND Max_Participants <= (
+                            SELECT COUNT(*) FROM Registrations
+                            WHERE EventID = ? AND Status IN (${SEAT_STATUSES})
+                        ) AS IsFull
+                        FROM Events
+                        WHERE EventID = ?
+                    ) e
+                `,
+                params: [userId, paymentStatus, specialRequirements, eventId, eventId]
+            },
+            { query: 'SET @new_registration = LAST_INSERT_ID()', params: [] },
+            {
+                query: `
+                    SELECT r.RegistrationID, r.Status, ${waitlistPositionSql('r')} AS WaitlistPosition
+                    FROM Registrations r
+                    WHERE r.RegistrationID = @new_registration
+                `,
+                params: []
+            },
+            ...extraQueries
+        ]);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw Object.assign(new Error('Already registered'), { status: 409 });
+        }
+        throw error;
+    }
+
+    const [registration] = results[3];
+    return {
+        registrationId: registration.RegistrationID,
+        status: registration.Status,
+        waitlistPosition: registration.WaitlistPosition
+    };
+}
+
+/**
+ * Cancels a registration (and its unpaid payments) and hands the freed place to the waitlist
+ * @param {object} registration - { RegistrationID, EventID }
+ * @param {Array<{query: string, params: Array}>} extraQueries - Further changes to make in the same transaction
+ * @returns {Promise<{results: Array, promoted: object|null}>}
+ */
+async function cancelRegistration(registration, extraQueries = []) {
+    return executeWithPromotion(registration.EventID, [
+        {
+            query: `
+                UPDATE Registrations
+                SET Status = 'cancelled', WaitlistedAt = NULL, PaymentDueAt = NULL
+                WHERE RegistrationID = ? AND Status <> 'cancelled'
+            `,
+            params: [registration.RegistrationID]
+        },
+        {
+            query: "UPDATE Payments SET Status = 'cancelled' WHERE RelatedRegistrationID = ? AND Status = 'pending'",
+            params: [registration.RegistrationID]
+        },
+        ...extraQueries
+    ]);
+}
+
+/**
+ * Cancels promoted registrations whose payment window has passed and offers
+ * their places to the next people in line
+ * @returns {Promise<number>} - How many offers expired
+ */
+async function expireWaitlistOffers() {
+    const expired = await executeQuery(`
+        SELECT r.RegistrationID, r.EventID, e.Name AS EventName
+        FROM Registrations r
+        JOIN Events e ON r.EventID = e.EventID
+        WHERE r.Status = 'pending' AND r.PaymentDueAt < NOW()
+          AND r.PaymentStatus NOT IN ('paid', 'not_required')
+    `);
+
+    let expiredCount = 0;
+    for (const registration of expired) {
+        // Re-checked under the lock in case the payment arrived since the select. The follow-ups
+        // only run when this update expired the offer (@offer_expired = 1), not when the
+        // registration was cancelled some other way in the meantime.
+        const { results } = await executeWithPromotion(registration.EventID, [
+            {
+                query: `
+                    UPDATE Registrations
+                    SET Status = 'cancelled', PaymentDueAt = NULL
+                    WHERE RegistrationID = ? AND Status = 'pending' AND PaymentDueAt < NOW()
+                      AND PaymentStatus NOT IN ('paid', 'not_required')
+                `,
+                params: [registration.RegistrationID]
+            },
+            { query: 'SET @offer_expired = ROW_COUNT()', params: [] },
+            {
+                query: `
+                    UPDATE Payments
+                    SET Status = 'cancelled'
+                    WHERE RelatedRegistrationID = ? AND Status = 'pending' AND @offer_expired = 1
+                `,
+                params: [registration.RegistrationID]
+            },
+            {
+                query: `
+                    INSERT INTO SystemAlerts (UserID, AlertType, Message, RelatedEventID)
+                    SELECT UserID, 'waitlist_offer_expired', ?, EventID
+                    FROM Registrations
+                    WHERE RegistrationID = ? AND @offer_expired = 1
+                `,
+                params: [
+                    `Your place for ${registration.EventName} was not paid for in time and has been offered to the next person on the waitlist.`,
+                    registration.RegistrationID
+                ]
+            }
+        ]);
+        expiredCount += results[0].affectedRows;
+    }
+
+    return expiredCount;
+}
+
+/**
+ * Checks for expired waitlist offers in the background for as long as the process runs
+ */
+function startWaitlistSweeper() {
+    const sweep = () => expireWaitlistOffers().catch(error => {
+        console.error('Error expiring waitlist offers:', error);
+    });
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+    sweep();
+}
+
+module.exports = {
+    PAYMENT_WINDOW_HOURS,
+    waitlistPositionSql,
+    registerForEvent,
+    executeWithPromotion,
+    cancelRegistration,
+    expireWaitlistOffers,
+    startWaitlistSweeper
+};